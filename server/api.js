@@ -0,0 +1,223 @@
+// REST API over the session store (see docs/session-api.md). A plain node:http
+// handler: JSON in and out, except snapshot images, which travel as raw bodies.
+
+const MAX_JSON_BYTES = 5 * 1024 * 1024;     // reports carry every event and the policy
+const MAX_SNAPSHOT_BYTES = 5 * 1024 * 1024;
+const MAX_EVENTS_PER_REQUEST = 1000;
+const MAX_PAGE_SIZE = 200;
+// Only raster formats: an SVG could carry script and would run on the API's origin
+const SNAPSHOT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const SNAPSHOT_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'Content-Disposition': 'inline',
+  'Content-Security-Policy': "default-src 'none'; sandbox"
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const isId = value => typeof value === 'string' && value.length > 0 && value.length <= 200;
+const isTime = value => Number.isFinite(value) && value >= 0;
+const isOptionalTime = value => value === null || value === undefined || isTime(value);
+
+const readBody = (req, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const onData = (chunk) => {
+    size += chunk.length;
+    if (size <= limit) return chunks.push(chunk);
+    // Drain the rest unread, so the 413 still reaches the client
+    req.off('data', onData);
+    req.resume();
+    reject(new HttpError(413, `Body larger than ${limit} bytes`));
+  };
+  req.on('data', onData);
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const readJson = async (req) => {
+  if (!req.headers['content-type']?.startsWith('application/json')) throw new HttpError(415, 'Expected application/json');
+  try {
+    return JSON.parse((await readBody(req, MAX_JSON_BYTES)).toString('utf8'));
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+    throw new HttpError(400, 'Body is not valid JSON');
+  }
+};
+
+const validateSession = (body) => {
+  if (!isId(body?.id)) throw new HttpError(400, 'id must be a non-empty string of up to 200 characters');
+  if (!isTime(body.startedAt)) throw new HttpError(400, 'startedAt must be a timestamp in milliseconds');
+  if (body.candidate !== undefined && (body.candidate === null || typeof body.candidate !== 'object')) {
+    throw new HttpError(400, 'candidate must be an object');
+  }
+};
+
+const validateEvent = (event, index) => {
+  const fail = message => new HttpError(400, `events[${index}]: ${message}`);
+  if (!isId(event?.id)) throw fail('id must be a non-empty string');
+  if (typeof event.type !== 'string' || !event.type) throw fail('type must be a non-empty string');
+  if (!isTime(event.startedAt)) throw fail('startedAt must be a timestamp in milliseconds');
+  if (!isOptionalTime(event.endedAt)) throw fail('endedAt must be a timestamp or null');
+  if (!Number.isInteger(event.revision) || event.revision < 0) throw fail('revision must be a non-negative integer');
+};
+
+// The summary's score and level are copied onto the session for listing
+const validateReport = (report) => {
+  if (report === undefined) return;
+  if (report === null || typeof report !== 'object') throw new HttpError(400, 'report must be an object');
+  const { integrityScore, riskLevel } = report.summary ?? {};
+  if (typeof integrityScore !== 'number' || !(integrityScore >= 0 && integrityScore <= 100)) {
+    throw new HttpError(400, 'report.summary.integrityScore must be a number from 0 to 100');
+  }
+  if (riskLevel !== undefined && riskLevel !== null && typeof riskLevel !== 'string') throw new HttpError(400, 'report.summary.riskLevel must be a string');
+};
+
+const integer = (value, fallback, { min = 0, max = Infinity } = {}) => {
+  if (value === null) return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) throw new HttpError(400, `Expected an integer from ${min} to ${max}, got "${value}"`);
+  return parsed;
+};
+
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, `Malformed escape in "${value}"`);
+  }
+};
+
+const time = (value) => {
+  if (value === null) return null;
+  const parsed = Number.isNaN(Number(value)) ? Date.parse(value) : Number(value);
+  if (!Number.isFinite(parsed)) throw new HttpError(400, `"${value}" is not a timestamp or ISO date`);
+  return parsed;
+};
+
+// `corsOrigin` is sent as Access-Control-Allow-Origin; null sends no CORS headers
+export const createApi = (store, { corsOrigin = null } = {}) => {
+  const sessionOr404 = (id) => {
+    const session = store.getSession(id);
+    if (!session) throw new HttpError(404, `Session "${id}" not found`);
+    return session;
+  };
+
+  // [method, pattern, handler(req, params, url) => { status?, body } | { raw, type, headers? }]
+  const routes = [
+    ['GET', /^\/api\/health$/, () => ({ body: { ok: true } })],
+
+    ['GET', /^\/api\/sessions$/, (req, params, url) => {
+      const search = url.searchParams;
+      const status = search.get('status');
+      if (status !== null && status !== 'finalized' && status !== 'open') throw new HttpError(400, 'status must be "finalized" or "open"');
+      return {
+        body: store.listSessions({
+          query: search.get('q') ?? '',
+          status,
+          from: time(search.get('from')),
+          to: time(search.get('to')),
+          limit: integer(search.get('limit'), 50, { min: 1, max: MAX_PAGE_SIZE }),
+          offset: integer(search.get('offset'), 0)
+        })
+      };
+    }],
+
+    ['POST', /^\/api\/sessions$/, async (req) => {
+      const body = await readJson(req);
+      validateSession(body);
+      const { session, created } = store.saveSession(body);
+      return { status: created ? 201 : 200, body: session };
+    }],
+
+    ['GET', /^\/api\/sessions\/([^/]+)$/, (req, [id]) => ({
+      body: { session: sessionOr404(id), events: store.getEvents(id), snapshots: store.listSnapshots(id) }
+    })],
+
+    ['POST', /^\/api\/sessions\/([^/]+)\/events$/, async (req, [id]) => {
+      const body = await readJson(req);
+      sessionOr404(id);
+      if (!Array.isArray(body?.events)) throw new HttpError(400, 'events must be an array');
+      if (body.events.length > MAX_EVENTS_PER_REQUEST) throw new HttpError(413, `At most ${MAX_EVENTS_PER_REQUEST} events per request`);
+      body.events.forEach(validateEvent);
+      return { body: { received: body.events.length, stored: store.saveEvents(id, body.events) } };
+    }],
+
+    ['PUT', /^\/api\/sessions\/([^/]+)\/snapshots\/([^/]+)$/, async (req, [id, eventId], url) => {
+      const mimeType = req.headers['content-type']?.split(';')[0].trim().toLowerCase();
+      if (!SNAPSHOT_TYPES.includes(mimeType)) throw new HttpError(415, `Expected one of ${SNAPSHOT_TYPES.join(', ')}`);
+      const image = await readBody(req, MAX_SNAPSHOT_BYTES);
+      sessionOr404(id);
+      store.saveSnapshot({ sessionId: id, eventId, capturedAt: time(url.searchParams.get('capturedAt')), mimeType, image });
+      return { status: 204 };
+    }],
+
+    ['GET', /^\/api\/sessions\/([^/]+)\/snapshots\/([^/]+)$/, (req, [id, eventId]) => {
+      const snapshot = store.getSnapshot(id, eventId);
+      if (!snapshot) throw new HttpError(404, 'Snapshot not found');
+      // Anything stored before the type check is served as an opaque download
+      const type = SNAPSHOT_TYPES.includes(snapshot.mimeType) ? snapshot.mimeType : 'application/octet-stream';
+      return { raw: snapshot.image, type, headers: SNAPSHOT_HEADERS };
+    }],
+
+    ['POST', /^\/api\/sessions\/([^/]+)\/finalize$/, async (req, [id]) => {
+      const body = await readJson(req);
+      sessionOr404(id);
+      if (!isTime(body?.endedAt)) throw new HttpError(400, 'endedAt must be a timestamp in milliseconds');
+      validateReport(body.report);
+      return { body: store.finalizeSession(id, body) };
+    }],
+
+    ['GET', /^\/api\/sessions\/([^/]+)\/report$/, (req, [id]) => {
+      sessionOr404(id);
+      const report = store.getReport(id);
+      if (!report) throw new HttpError(404, 'The session has no final report yet');
+      return { body: report };
+    }]
+  ];
+
+  const send = (res, status, body, type = 'application/json', headers = {}) => {
+    if (corsOrigin) res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+    if (body === undefined) return res.writeHead(status).end();
+    res.writeHead(status, { ...headers, 'Content-Type': type });
+    res.end(type === 'application/json' ? JSON.stringify(body) : body);
+  };
+
+  return async (req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      return send(res, 400, { error: 'Malformed URL' });
+    }
+    if (req.method === 'OPTIONS' && corsOrigin) {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': corsOrigin,
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Max-Age': '86400'
+      });
+      return res.end();
+    }
+    try {
+      const matches = routes
+        .map(([method, pattern, handler]) => ({ method, handler, match: url.pathname.match(pattern) }))
+        .filter(route => route.match);
+      if (!matches.length) throw new HttpError(404, 'Not found');
+      const route = matches.find(r => r.method === req.method);
+      if (!route) throw new HttpError(405, `${req.method} not allowed here`);
+      const params = route.match.slice(1).map(decodeParam);
+      const result = await route.handler(req, params, url);
+      if (result.raw) send(res, 200, result.raw, result.type, result.headers);
+      else send(res, result.status ?? 200, result.body);
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(`${req.method} ${url.pathname} failed`, err);
+      if (!res.headersSent) send(res, err.status ?? 500, { error: err instanceof HttpError ? err.message : 'Internal error' });
+    }
+  };
+};
@@ -0,0 +1,44 @@
+// Session persistence backend: `npm start` in this directory, or `npm run server`
+// from the app. Configured through the environment:
+//   PORT           port to listen on (8787)
+//   HOST           interface to bind (127.0.0.1)
+//   DB_FILE        SQLite database file (data/proctoring.db, created on first run)
+//   CORS_ORIGIN    origin allowed to call the API from another site (none)
+//   RELAY_TOKEN    token reviewers must pass to the live relay; unset turns the relay off
+//   RELAY_ORIGINS  comma-separated origins, besides the server's own, whose pages may
+//                  use the relay (none)
+import { createServer } from 'node:http';
+import { mkdirSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { openStore } from './store.js';
+import { createApi } from './api.js';
+import { attachRelay } from './relay.js';
+
+const here = dirname(fileURLToPath(import.meta.url));
+const port = Number(process.env.PORT ?? 8787);
+const host = process.env.HOST ?? '127.0.0.1';
+const dbFile = resolve(here, process.env.DB_FILE ?? 'data/proctoring.db');
+const corsOrigin = process.env.CORS_ORIGIN || null;
+const reviewerToken = process.env.RELAY_TOKEN || null;
+const relayOrigins = (process.env.RELAY_ORIGINS ?? '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+mkdirSync(dirname(dbFile), { recursive: true });
+const store = openStore(dbFile);
+const server = createServer(createApi(store, { corsOrigin }));
+const relay = reviewerToken ? attachRelay(server, { store, reviewerToken, allowedOrigins: relayOrigins }) : null;
+
+server.listen(port, host, () => {
+  console.log(`Session API on http://${host}:${port}/api, storing in ${dbFile}`);
+  console.log(relay ? `Reviewer relay on ws://${host}:${port}/relay` : 'Reviewer relay off: set RELAY_TOKEN to turn it on');
+});
+
+const shutdown = () => {
+  relay?.close();
+  server.close(() => {
+    store.close();
+    process.exit(0);
+  });
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
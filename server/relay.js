@@ -0,0 +1,211 @@
+// Live relay between candidate dashboards and reviewer dashboards over WebSocket
+// (see docs/reviewer-relay.md). Candidates report their status and latest evidence
+// frame; every reviewer sees the whole roster and can warn, flag or end a session.
+// State lives in memory: a restart empties the roster until candidates reconnect.
+import { WebSocketServer } from 'ws';
+
+const PROTOCOL_VERSION = 1;
+const MAX_MESSAGE_BYTES = 2 * 1024 * 1024; // an evidence frame as a data URL
+const MAX_WARNING_LENGTH = 500;
+const MAX_WARNINGS_KEPT = 20;
+const HEARTBEAT_MS = 30 * 1000;
+const RETAIN_MS = 15 * 60 * 1000;          // how long a disconnected candidate stays listed
+
+const ACTIONS = ['warn', 'flag', 'unflag', 'end'];
+
+const parse = (data) => {
+  try {
+    const message = JSON.parse(data.toString('utf8'));
+    return message && typeof message === 'object' && typeof message.type === 'string' ? message : null;
+  } catch {
+    return null;
+  }
+};
+
+const isSecret = value => typeof value === 'string' && value.length > 0 && value.length <= 200;
+
+const reject = (socket, status, reason) => {
+  socket.once('finish', () => socket.destroy());
+  socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+};
+
+// Browsers send the page's Origin with every WebSocket handshake but don't apply CORS
+// to it, so without this check any site a reviewer visits could connect as them.
+// Clients that send no Origin aren't browsers, and Origin wouldn't stop them anyway.
+const originAllowed = (req, allowedOrigins) => {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  if (allowedOrigins.includes(origin)) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+};
+
+// `reviewerToken` must be passed as ?token= by reviewers. Pages may connect from the
+// server's own origin and from `allowedOrigins`. `store` (optional) persists flags on
+// stored sessions.
+export const attachRelay = (server, { store = null, reviewerToken, allowedOrigins = [], path = '/relay' } = {}) => {
+  if (!reviewerToken) throw new Error('The reviewer relay needs a reviewer token');
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+  const candidates = new Map(); // session id -> { token, socket, state, removeTimer }
+  const reviewers = new Set();
+  let closed = false;
+
+  const send = (socket, message) => {
+    if (socket?.readyState === socket?.OPEN) socket.send(JSON.stringify(message));
+  };
+  const broadcast = message => reviewers.forEach(socket => send(socket, message));
+  const publish = entry => broadcast({ type: 'candidate', candidate: entry.state });
+
+  // Flags are written to the session store once the session has reached it; until
+  // then the write is retried with every update from the candidate
+  const persistFlag = (entry) => {
+    if (!store || !entry.flagPending) return;
+    try {
+      if (store.flagSession(entry.state.sessionId, entry.state.flag)) entry.flagPending = false;
+    } catch (err) {
+      console.error('Could not store a session flag', err);
+    }
+  };
+
+  const onCandidate = (socket) => {
+    let entry = null;
+
+    socket.on('message', (data) => {
+      const message = parse(data);
+      if (!message) return;
+      if (message.type === 'hello') {
+        if (!isSecret(message.sessionId)) return socket.close(4400, 'sessionId required');
+        if (!isSecret(message.token)) return socket.close(4400, 'token required');
+        const previous = candidates.get(message.sessionId);
+        // The first hello binds the session to its token; anyone else who learns the
+        // session id can't take it over
+        if (previous && previous.token !== message.token) return socket.close(4401, 'Wrong token for this session');
+        clearTimeout(previous?.removeTimer);
+        // A reconnect or a second tab of the same session takes over
+        if (previous?.socket && previous.socket !== socket) previous.socket.close(4000, 'Replaced by a newer connection');
+        entry = previous ?? { token: message.token, state: { sessionId: message.sessionId, flag: null, warnings: [], endRequestedAt: null, status: null, frame: null } };
+        entry.socket = socket;
+        entry.state = {
+          ...entry.state,
+          candidate: { name: String(message.candidate?.name ?? ''), id: String(message.candidate?.id ?? '') },
+          policyId: message.policyId ?? null,
+          startedAt: Number(message.startedAt) || Date.now(),
+          connected: true,
+          lastSeenAt: Date.now()
+        };
+        candidates.set(message.sessionId, entry);
+        persistFlag(entry);
+        return publish(entry);
+      }
+      if (!entry) return;
+      entry.state = { ...entry.state, lastSeenAt: Date.now() };
+      if (message.type === 'status') {
+        const { state, integrityScore, riskLevel, active, labels, totalViolations } = message;
+        entry.state.status = {
+          state: String(state),
+          integrityScore: Number.isFinite(integrityScore) ? integrityScore : null,
+          riskLevel: typeof riskLevel === 'string' ? riskLevel : null,
+          active: Array.isArray(active) ? active.map(String) : [],
+          labels: labels && typeof labels === 'object' ? labels : {},
+          totalViolations: Number(totalViolations) || 0
+        };
+        persistFlag(entry);
+      } else if (message.type === 'frame') {
+        if (typeof message.dataUrl !== 'string' || !message.dataUrl.startsWith('data:image/')) return;
+        entry.state.frame = { dataUrl: message.dataUrl, capturedAt: Number(message.capturedAt) || Date.now(), eventType: message.eventType ?? null };
+      } else if (message.type === 'ack') {
+        entry.state.warnings = entry.state.warnings.map(w => (w.id === message.commandId ? { ...w, seenAt: Date.now() } : w));
+      } else {
+        return;
+      }
+      publish(entry);
+    });
+
+    socket.on('close', () => {
+      if (closed || !entry || entry.socket !== socket) return;
+      entry.socket = null;
+      entry.state = { ...entry.state, connected: false, lastSeenAt: Date.now() };
+      publish(entry);
+      entry.removeTimer = setTimeout(() => {
+        candidates.delete(entry.state.sessionId);
+        broadcast({ type: 'removed', sessionId: entry.state.sessionId });
+      }, RETAIN_MS);
+    });
+  };
+
+  const command = (socket, message) => {
+    const fail = error => send(socket, { type: 'error', replyTo: message.id ?? null, error });
+    const entry = candidates.get(message.sessionId);
+    if (!entry) return fail(`No candidate with session "${message.sessionId}"`);
+    if (!ACTIONS.includes(message.action)) return fail(`Unknown action "${message.action}"`);
+    const id = crypto.randomUUID();
+    const now = Date.now();
+
+    if (message.action === 'flag' || message.action === 'unflag') {
+      const note = typeof message.note === 'string' ? message.note.slice(0, MAX_WARNING_LENGTH) : '';
+      entry.state = { ...entry.state, flag: message.action === 'flag' ? { at: now, note } : null };
+      entry.flagPending = true;
+      persistFlag(entry);
+    } else {
+      if (!entry.socket) return fail('The candidate is not connected');
+      if (message.action === 'warn') {
+        const text = typeof message.message === 'string' ? message.message.trim().slice(0, MAX_WARNING_LENGTH) : '';
+        if (!text) return fail('A warning needs a message');
+        send(entry.socket, { type: 'command', id, action: 'warn', message: text });
+        entry.state = { ...entry.state, warnings: [...entry.state.warnings, { id, message: text, sentAt: now, seenAt: null }].slice(-MAX_WARNINGS_KEPT) };
+      } else {
+        send(entry.socket, { type: 'command', id, action: 'end', message: typeof message.message === 'string' ? message.message.slice(0, MAX_WARNING_LENGTH) : '' });
+        entry.state = { ...entry.state, endRequestedAt: now };
+      }
+    }
+    send(socket, { type: 'ok', replyTo: message.id ?? null });
+    publish(entry);
+  };
+
+  const onReviewer = (socket) => {
+    reviewers.add(socket);
+    send(socket, { type: 'roster', version: PROTOCOL_VERSION, candidates: [...candidates.values()].map(entry => entry.state) });
+    socket.on('message', (data) => {
+      const message = parse(data);
+      if (message?.type === 'command') command(socket, message);
+    });
+    socket.on('close', () => reviewers.delete(socket));
+  };
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) return reject(socket, 404, 'Not Found');
+    const role = url.searchParams.get('role');
+    if (role !== 'candidate' && role !== 'reviewer') return reject(socket, 400, 'Bad Request');
+    if (!originAllowed(req, allowedOrigins)) return reject(socket, 403, 'Forbidden');
+    if (role === 'reviewer' && url.searchParams.get('token') !== reviewerToken) return reject(socket, 401, 'Unauthorized');
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.alive = true;
+      ws.on('pong', () => { ws.alive = true; });
+      if (role === 'candidate') onCandidate(ws);
+      else onReviewer(ws);
+    });
+  });
+
+  // Drops connections that stopped answering pings, e.g. a laptop that went to sleep
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.alive) return ws.terminate();
+      ws.alive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_MS);
+
+  return {
+    close: () => {
+      closed = true;
+      clearInterval(heartbeat);
+      candidates.forEach(entry => clearTimeout(entry.removeTimer));
+      wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+      wss.close();
+    }
+  };
+};
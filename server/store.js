@@ -0,0 +1,234 @@
+// SQLite storage for sessions, their violation events, evidence snapshots and final
+// reports. Times are epoch milliseconds, as in the engine; policy, source, event
+// data and reports are stored as JSON text.
+import Database from 'better-sqlite3';
+
+// Bump with a new entry in MIGRATIONS whenever the schema changes
+const MIGRATIONS = [
+  `CREATE TABLE sessions (
+     id TEXT PRIMARY KEY,
+     candidate_name TEXT,
+     candidate_id TEXT,
+     policy TEXT,
+     source TEXT,
+     started_at INTEGER NOT NULL,
+     ended_at INTEGER,
+     finalized_at INTEGER,
+     integrity_score REAL,
+     risk_level TEXT,
+     created_at INTEGER NOT NULL,
+     updated_at INTEGER NOT NULL
+   );
+   CREATE INDEX sessions_started_at ON sessions (started_at);
+   CREATE TABLE events (
+     session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+     id TEXT NOT NULL,
+     type TEXT NOT NULL,
+     started_at INTEGER NOT NULL,
+     ended_at INTEGER,
+     duration_ms INTEGER,
+     peak_confidence REAL,
+     data TEXT,
+     revision INTEGER NOT NULL,
+     PRIMARY KEY (session_id, id)
+   );
+   CREATE TABLE snapshots (
+     session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+     event_id TEXT NOT NULL,
+     captured_at INTEGER,
+     mime_type TEXT NOT NULL,
+     image BLOB NOT NULL,
+     PRIMARY KEY (session_id, event_id)
+   );
+   CREATE TABLE reports (
+     session_id TEXT PRIMARY KEY REFERENCES sessions (id) ON DELETE CASCADE,
+     report TEXT NOT NULL,
+     created_at INTEGER NOT NULL
+   );`,
+  // Reviewer flags from the live relay
+  `ALTER TABLE sessions ADD COLUMN flagged_at INTEGER;
+   ALTER TABLE sessions ADD COLUMN flag_note TEXT;`
+];
+
+const json = value => (value === undefined || value === null ? null : JSON.stringify(value));
+const parse = text => (text === null || text === undefined ? null : JSON.parse(text));
+
+const toSession = row => ({
+  id: row.id,
+  candidate: { name: row.candidate_name ?? '', id: row.candidate_id ?? '' },
+  startedAt: row.started_at,
+  endedAt: row.ended_at,
+  finalizedAt: row.finalized_at,
+  integrityScore: row.integrity_score,
+  riskLevel: row.risk_level,
+  policyId: row.policy_id ?? parse(row.policy)?.id ?? null,
+  source: parse(row.source),
+  flag: row.flagged_at === null ? null : { at: row.flagged_at, note: row.flag_note ?? '' },
+  eventCount: row.event_count ?? 0,
+  snapshotCount: row.snapshot_count ?? 0
+});
+
+const toEvent = row => ({
+  id: row.id,
+  type: row.type,
+  startedAt: row.started_at,
+  endedAt: row.ended_at,
+  durationMs: row.duration_ms,
+  peakConfidence: row.peak_confidence,
+  data: parse(row.data),
+  revision: row.revision
+});
+
+const SUMMARY_COLUMNS = `s.id, s.candidate_name, s.candidate_id, json_extract(s.policy, '$.id') AS policy_id, s.source,
+  s.started_at, s.ended_at, s.finalized_at, s.integrity_score, s.risk_level, s.flagged_at, s.flag_note,
+  (SELECT COUNT(*) FROM events e WHERE e.session_id = s.id) AS event_count,
+  (SELECT COUNT(*) FROM snapshots p WHERE p.session_id = s.id) AS snapshot_count`;
+
+export const openStore = (file) => {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  const version = db.pragma('user_version', { simple: true });
+  db.transaction(() => {
+    MIGRATIONS.slice(version).forEach(sql => db.exec(sql));
+    db.pragma(`user_version = ${MIGRATIONS.length}`);
+  })();
+
+  const statements = {
+    getSession: db.prepare(`SELECT ${SUMMARY_COLUMNS}, s.policy FROM sessions s WHERE s.id = ?`),
+    // A session that starts again after a stop is the same session, reopened
+    upsertSession: db.prepare(`
+      INSERT INTO sessions (id, candidate_name, candidate_id, policy, source, started_at, created_at, updated_at)
+      VALUES (@id, @candidateName, @candidateId, @policy, @source, @startedAt, @now, @now)
+      ON CONFLICT (id) DO UPDATE SET
+        candidate_name = excluded.candidate_name, candidate_id = excluded.candidate_id,
+        policy = excluded.policy, source = excluded.source,
+        ended_at = NULL, finalized_at = NULL, updated_at = excluded.updated_at`),
+    // Only newer revisions replace an event, so retried batches are harmless
+    upsertEvent: db.prepare(`
+      INSERT INTO events (session_id, id, type, started_at, ended_at, duration_ms, peak_confidence, data, revision)
+      VALUES (@sessionId, @id, @type, @startedAt, @endedAt, @durationMs, @peakConfidence, @data, @revision)
+      ON CONFLICT (session_id, id) DO UPDATE SET
+        type = excluded.type, started_at = excluded.started_at, ended_at = excluded.ended_at,
+        duration_ms = excluded.duration_ms, peak_confidence = excluded.peak_confidence,
+        data = excluded.data, revision = excluded.revision
+      WHERE excluded.revision > events.revision`),
+    touchSession: db.prepare('UPDATE sessions SET updated_at = ? WHERE id = ?'),
+    getEvents: db.prepare('SELECT * FROM events WHERE session_id = ? ORDER BY started_at, id'),
+    putSnapshot: db.prepare(`
+      INSERT INTO snapshots (session_id, event_id, captured_at, mime_type, image)
+      VALUES (@sessionId, @eventId, @capturedAt, @mimeType, @image)
+      ON CONFLICT (session_id, event_id) DO UPDATE SET
+        captured_at = excluded.captured_at, mime_type = excluded.mime_type, image = excluded.image`),
+    getSnapshot: db.prepare('SELECT captured_at, mime_type, image FROM snapshots WHERE session_id = ? AND event_id = ?'),
+    listSnapshots: db.prepare('SELECT event_id, captured_at, mime_type, length(image) AS size FROM snapshots WHERE session_id = ?'),
+    finalize: db.prepare(`
+      UPDATE sessions SET ended_at = @endedAt, finalized_at = @now, integrity_score = @integrityScore,
+        risk_level = @riskLevel, updated_at = @now
+      WHERE id = @id`),
+    putReport: db.prepare(`
+      INSERT INTO reports (session_id, report, created_at) VALUES (?, ?, ?)
+      ON CONFLICT (session_id) DO UPDATE SET report = excluded.report, created_at = excluded.created_at`),
+    getReport: db.prepare('SELECT report FROM reports WHERE session_id = ?'),
+    flag: db.prepare('UPDATE sessions SET flagged_at = @at, flag_note = @note, updated_at = @now WHERE id = @id')
+  };
+
+  const getSession = (id) => {
+    const row = statements.getSession.get(id);
+    return row ? { ...toSession(row), policy: parse(row.policy) } : null;
+  };
+
+  // Resolves to { session, created }
+  const saveSession = ({ id, candidate, policy, source, startedAt }) => {
+    const existed = Boolean(statements.getSession.get(id));
+    statements.upsertSession.run({
+      id,
+      candidateName: candidate?.name || null,
+      candidateId: candidate?.id || null,
+      policy: json(policy),
+      source: json(source),
+      startedAt,
+      now: Date.now()
+    });
+    return { session: getSession(id), created: !existed };
+  };
+
+  // Returns how many events were new or newer than the stored revision
+  const saveEvents = db.transaction((sessionId, events) => {
+    const changed = events.reduce((count, event) => count + statements.upsertEvent.run({
+      sessionId,
+      id: event.id,
+      type: event.type,
+      startedAt: event.startedAt,
+      endedAt: event.endedAt ?? null,
+      durationMs: event.durationMs ?? null,
+      peakConfidence: event.peakConfidence ?? null,
+      data: json(event.data),
+      revision: event.revision
+    }).changes, 0);
+    if (changed) statements.touchSession.run(Date.now(), sessionId);
+    return changed;
+  });
+
+  const finalizeSession = db.transaction((id, { endedAt, report }) => {
+    statements.finalize.run({
+      id,
+      endedAt,
+      now: Date.now(),
+      integrityScore: report?.summary?.integrityScore ?? null,
+      riskLevel: report?.summary?.riskLevel ?? null
+    });
+    if (report) statements.putReport.run(id, JSON.stringify(report), Date.now());
+    return getSession(id);
+  });
+
+  // `query` matches the session id or the candidate's name or id, case-insensitively.
+  // `status` is 'finalized' or 'open'; `from` and `to` bound the start time.
+  const listSessions = ({ query = '', status = null, from = null, to = null, limit = 50, offset = 0 } = {}) => {
+    const where = [];
+    const params = {};
+    if (query) {
+      where.push("(s.id LIKE @like ESCAPE '\\' OR s.candidate_name LIKE @like ESCAPE '\\' OR s.candidate_id LIKE @like ESCAPE '\\')");
+      params.like = `%${query.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+    }
+    if (status === 'finalized') where.push('s.finalized_at IS NOT NULL');
+    if (status === 'open') where.push('s.finalized_at IS NULL');
+    if (from !== null) {
+      where.push('s.started_at >= @from');
+      params.from = from;
+    }
+    if (to !== null) {
+      where.push('s.started_at < @to');
+      params.to = to;
+    }
+    const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const total = db.prepare(`SELECT COUNT(*) AS total FROM sessions s ${clause}`).get(params).total;
+    const rows = db.prepare(`SELECT ${SUMMARY_COLUMNS} FROM sessions s ${clause} ORDER BY s.started_at DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset });
+    return { sessions: rows.map(toSession), total };
+  };
+
+  return {
+    getSession,
+    saveSession,
+    saveEvents,
+    getEvents: sessionId => statements.getEvents.all(sessionId).map(toEvent),
+    saveSnapshot: snapshot => statements.putSnapshot.run(snapshot),
+    getSnapshot: (sessionId, eventId) => {
+      const row = statements.getSnapshot.get(sessionId, eventId);
+      return row && { capturedAt: row.captured_at, mimeType: row.mime_type, image: row.image };
+    },
+    listSnapshots: sessionId => statements.listSnapshots.all(sessionId)
+      .map(row => ({ eventId: row.event_id, capturedAt: row.captured_at, mimeType: row.mime_type, size: row.size })),
+    finalizeSession,
+    getReport: (sessionId) => {
+      const row = statements.getReport.get(sessionId);
+      return row ? JSON.parse(row.report) : null;
+    },
+    listSessions,
+    // `flag` is { at, note }, or null to clear it. False when the session isn't stored yet.
+    flagSession: (id, flag) => statements.flag.run({ id, at: flag?.at ?? null, note: flag?.note ?? null, now: Date.now() }).changes > 0,
+    close: () => db.close()
+  };
+};
@@ -0,0 +1,145 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { openStore } from '../store.js';
+import { createApi } from '../api.js';
+
+const startedAt = Date.UTC(2026, 0, 5, 9, 0, 0);
+let store;
+let server;
+let base;
+
+const listen = handler => new Promise((resolve) => {
+  const instance = createServer(handler).listen(0, '127.0.0.1', () => resolve(instance));
+});
+
+before(async () => {
+  store = openStore(':memory:');
+  server = await listen(createApi(store));
+  base = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server.close();
+  store.close();
+});
+
+const call = async (path, { method = 'GET', json, body, type } = {}) => {
+  const response = await fetch(`${base}${path}`, {
+    method,
+    headers: json !== undefined ? { 'Content-Type': 'application/json' } : type ? { 'Content-Type': type } : undefined,
+    body: json !== undefined ? JSON.stringify(json) : body
+  });
+  const text = await response.text();
+  return { status: response.status, headers: response.headers, body: text && response.headers.get('content-type') === 'application/json' ? JSON.parse(text) : text };
+};
+
+const event = (id, revision, endedAt = null) => ({
+  id, type: 'phoneDetected', startedAt: startedAt + 1000, endedAt, durationMs: endedAt && endedAt - startedAt - 1000, peakConfidence: 0.9, data: null, revision
+});
+
+test('a session is created once and reopened after that', async () => {
+  const session = { id: 'create', startedAt, candidate: { name: 'Ada Lovelace', id: 'C-1042' }, policy: { id: 'standard' } };
+  const created = await call('/sessions', { method: 'POST', json: session });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.candidate, session.candidate);
+  assert.equal(created.body.policyId, 'standard');
+  assert.equal((await call('/sessions', { method: 'POST', json: session })).status, 200);
+});
+
+test('events keep their newest revision', async () => {
+  await call('/sessions', { method: 'POST', json: { id: 'events', startedAt } });
+  const first = await call('/sessions/events/events', { method: 'POST', json: { events: [event('e1', 1)] } });
+  assert.deepEqual(first.body, { received: 1, stored: 1 });
+  await call('/sessions/events/events', { method: 'POST', json: { events: [event('e1', 3, startedAt + 5000)] } });
+  const stale = await call('/sessions/events/events', { method: 'POST', json: { events: [event('e1', 2)] } });
+  assert.deepEqual(stale.body, { received: 1, stored: 0 });
+
+  const { body } = await call('/sessions/events');
+  assert.equal(body.events.length, 1);
+  assert.equal(body.events[0].endedAt, startedAt + 5000);
+  assert.equal(body.events[0].revision, 3);
+});
+
+test('finalize stores the report and copies its score for listing', async () => {
+  await call('/sessions', { method: 'POST', json: { id: 'final', startedAt, candidate: { name: 'Grace Hopper', id: 'C-7' } } });
+  assert.equal((await call('/sessions/final/report')).status, 404);
+  const report = { schemaVersion: 1, summary: { integrityScore: 72.5, riskLevel: 'Medium Risk' } };
+  const finalized = await call('/sessions/final/finalize', { method: 'POST', json: { endedAt: startedAt + 60000, report } });
+  assert.equal(finalized.status, 200);
+  assert.equal(finalized.body.integrityScore, 72.5);
+  assert.equal(finalized.body.riskLevel, 'Medium Risk');
+  assert.deepEqual((await call('/sessions/final/report')).body, report);
+
+  const listed = await call('/sessions?q=grace&status=finalized');
+  assert.equal(listed.body.total, 1);
+  assert.equal(listed.body.sessions[0].id, 'final');
+});
+
+test('finalize refuses a report without an integrity score from 0 to 100', async () => {
+  await call('/sessions', { method: 'POST', json: { id: 'bad-report', startedAt } });
+  for (const summary of [undefined, { integrityScore: '90' }, { integrityScore: -1 }, { integrityScore: 101 }, { integrityScore: 80, riskLevel: 3 }]) {
+    const response = await call('/sessions/bad-report/finalize', { method: 'POST', json: { endedAt: startedAt + 1000, report: { summary } } });
+    assert.equal(response.status, 400, JSON.stringify(summary));
+  }
+  assert.equal((await call('/sessions/bad-report')).body.session.finalizedAt, null);
+});
+
+test('snapshots go in and come back as raw images', async () => {
+  await call('/sessions', { method: 'POST', json: { id: 'snap', startedAt } });
+  const image = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3]);
+  const put = await call(`/sessions/snap/snapshots/e1?capturedAt=${startedAt + 1500}`, { method: 'PUT', body: image, type: 'image/jpeg' });
+  assert.equal(put.status, 204);
+
+  const response = await fetch(`${base}/sessions/snap/snapshots/e1`);
+  assert.equal(response.headers.get('content-type'), 'image/jpeg');
+  assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+  assert.match(response.headers.get('content-security-policy'), /default-src 'none'/);
+  assert.deepEqual(Buffer.from(await response.arrayBuffer()), image);
+  assert.deepEqual((await call('/sessions/snap')).body.snapshots, [{ eventId: 'e1', capturedAt: startedAt + 1500, mimeType: 'image/jpeg', size: image.length }]);
+});
+
+test('snapshots other than JPEG, PNG or WebP are refused', async () => {
+  await call('/sessions', { method: 'POST', json: { id: 'svg', startedAt } });
+  const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+  for (const type of ['image/svg+xml', 'text/html', 'image/gif']) {
+    const put = await call('/sessions/svg/snapshots/e1', { method: 'PUT', body: svg, type });
+    assert.equal(put.status, 415, type);
+  }
+  assert.equal((await fetch(`${base}/sessions/svg/snapshots/e1`)).status, 404);
+  assert.deepEqual((await call('/sessions/svg')).body.snapshots, []);
+});
+
+test('bad requests are answered with 4xx errors', async () => {
+  const cases = [
+    [await call('/sessions/%E0'), 400],
+    [await call('/sessions/missing'), 404],
+    [await call('/nowhere'), 404],
+    [await call('/sessions', { method: 'PUT' }), 405],
+    [await call('/sessions', { method: 'POST', body: '{}', type: 'text/plain' }), 415],
+    [await call('/sessions', { method: 'POST', body: '{', type: 'application/json' }), 400],
+    [await call('/sessions', { method: 'POST', json: { id: '', startedAt } }), 400],
+    [await call('/sessions?limit=500'), 400],
+    [await call('/sessions/missing/events', { method: 'POST', json: { events: [] } }), 404]
+  ];
+  for (const [response, status] of cases) {
+    assert.equal(response.status, status);
+    assert.equal(typeof response.body.error, 'string');
+  }
+});
+
+test('CORS headers are only sent for a configured origin', async () => {
+  assert.equal((await call('/health')).headers.get('access-control-allow-origin'), null);
+  assert.equal((await fetch(`${base}/health`, { method: 'OPTIONS' })).status, 405);
+
+  const cors = await listen(createApi(store, { corsOrigin: 'https://exam.example.com' }));
+  try {
+    const url = `http://127.0.0.1:${cors.address().port}/api/health`;
+    assert.equal((await fetch(url)).headers.get('access-control-allow-origin'), 'https://exam.example.com');
+    const preflight = await fetch(url, { method: 'OPTIONS' });
+    assert.equal(preflight.status, 204);
+    assert.match(preflight.headers.get('access-control-allow-methods'), /POST/);
+  } finally {
+    cors.close();
+  }
+});
@@ -0,0 +1,115 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { attachRelay } from '../relay.js';
+
+const TOKEN = 's3cret';
+let server;
+let relay;
+let host;
+
+before(async () => {
+  server = createServer((req, res) => res.writeHead(404).end());
+  relay = attachRelay(server, { reviewerToken: TOKEN, allowedOrigins: ['https://exam.example.com'] });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  host = `127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  relay.close();
+  server.close();
+});
+
+// Resolves to the open socket, or to the HTTP status the handshake was refused with.
+// Messages are queued from the start: the roster can arrive with the handshake.
+const connect = (query, origin) => new Promise((resolve, reject) => {
+  const socket = new WebSocket(`ws://${host}/relay?${query}`, origin ? { origin } : {});
+  socket.received = [];
+  socket.on('message', data => socket.received.push(JSON.parse(data)));
+  socket.once('open', () => resolve(socket));
+  socket.once('unexpected-response', (req, res) => {
+    req.destroy();
+    resolve(res.statusCode);
+  });
+  socket.once('error', reject);
+});
+
+const nextMessage = async (socket) => {
+  if (!socket.received.length) await once(socket, 'message');
+  return socket.received.shift();
+};
+
+test('the relay does not start without a reviewer token', () => {
+  assert.throws(() => attachRelay(createServer(), {}), /token/);
+});
+
+test('reviewers need the token', async () => {
+  assert.equal(await connect('role=reviewer'), 401);
+  assert.equal(await connect('role=reviewer&token=guess'), 401);
+  const reviewer = await connect(`role=reviewer&token=${TOKEN}`);
+  assert.equal((await nextMessage(reviewer)).type, 'roster');
+  reviewer.close();
+});
+
+test('pages from other origins are refused', async () => {
+  assert.equal(await connect(`role=reviewer&token=${TOKEN}`, 'https://evil.example.com'), 403);
+  assert.equal(await connect('role=candidate', 'https://evil.example.com'), 403);
+  assert.equal(await connect('role=candidate', 'null'), 403);
+
+  const sameOrigin = await connect(`role=reviewer&token=${TOKEN}`, `http://${host}`);
+  const allowed = await connect('role=candidate', 'https://exam.example.com');
+  assert.ok(sameOrigin instanceof WebSocket && allowed instanceof WebSocket);
+  sameOrigin.close();
+  allowed.close();
+});
+
+test('reviewers see candidates who say hello', async () => {
+  const reviewer = await connect(`role=reviewer&token=${TOKEN}`);
+  await nextMessage(reviewer);
+  const candidate = await connect('role=candidate');
+  candidate.send(JSON.stringify({ type: 'hello', sessionId: 's-1', token: 't-1', candidate: { name: 'Ada Lovelace', id: 'C-1042' }, policyId: 'standard', startedAt: 1 }));
+  const { type, candidate: state } = await nextMessage(reviewer);
+  assert.equal(type, 'candidate');
+  assert.equal(state.sessionId, 's-1');
+  assert.equal(state.connected, true);
+  assert.deepEqual(state.candidate, { name: 'Ada Lovelace', id: 'C-1042' });
+  assert.equal(state.token, undefined);
+  candidate.close();
+  assert.equal((await nextMessage(reviewer)).candidate.connected, false);
+  reviewer.close();
+});
+
+test('only a connection with the session token can take a session over', async () => {
+  const hello = (socket, token, name) =>
+    socket.send(JSON.stringify({ type: 'hello', sessionId: 's-2', token, candidate: { name, id: '' }, policyId: 'standard', startedAt: 1 }));
+  const reviewer = await connect(`role=reviewer&token=${TOKEN}`);
+  await nextMessage(reviewer);
+  const candidate = await connect('role=candidate');
+  hello(candidate, 'secret-2', 'Ada Lovelace');
+  await nextMessage(reviewer);
+
+  const intruder = await connect('role=candidate');
+  const refused = once(intruder, 'close');
+  hello(intruder, 'guess', 'Mallory');
+  assert.deepEqual((await refused).map(String), ['4401', 'Wrong token for this session']);
+  assert.equal(candidate.readyState, WebSocket.OPEN);
+
+  // Commands still reach the real candidate
+  reviewer.send(JSON.stringify({ type: 'command', id: 'c1', sessionId: 's-2', action: 'warn', message: 'Eyes on the screen' }));
+  assert.equal((await nextMessage(candidate)).message, 'Eyes on the screen');
+  assert.equal((await nextMessage(reviewer)).type, 'ok');
+  const { candidate: state } = await nextMessage(reviewer);
+  assert.equal(state.candidate.name, 'Ada Lovelace');
+  assert.equal(state.connected, true);
+
+  // A reconnect with the token replaces the old connection
+  const reconnected = await connect('role=candidate');
+  const replaced = once(candidate, 'close');
+  hello(reconnected, 'secret-2', 'Ada Lovelace');
+  assert.equal((await replaced)[0], 4000);
+  reconnected.close();
+  reviewer.close();
+});
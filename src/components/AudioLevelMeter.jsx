@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react';
+import { Mic } from 'lucide-react';
+
+const FLOOR_DB = -90;
+
+// Live microphone level from an audio monitor (see utils/audioMonitor), redrawn every
+// animation frame: green while speech is detected, amber for background noise.
+const AudioLevelMeter = ({ monitor }) => {
+  const [level, setLevel] = useState(null);
+
+  useEffect(() => {
+    let frame;
+    const tick = () => {
+      setLevel(monitor.getLevel());
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [monitor]);
+
+  const db = level?.db ?? FLOOR_DB;
+  const width = Math.max(0, Math.min(1, (db - FLOOR_DB) / -FLOOR_DB)) * 100;
+  const color = level?.speech ? 'bg-green-400' : level?.noise ? 'bg-yellow-400' : 'bg-gray-300';
+  return (
+    <div className="flex items-center gap-2 bg-black bg-opacity-70 text-white px-2 py-1 rounded text-xs" title={`${Math.round(db)} dB`}>
+      <Mic className="w-3 h-3" />
+      <div className="w-24 h-1.5 bg-gray-600 rounded-full overflow-hidden">
+        <div className={`h-full ${color}`} style={{ width: `${width}%` }}></div>
+      </div>
+      <span className="w-10 text-right">{level?.speech ? 'voice' : level?.noise ? 'noise' : ''}</span>
+    </div>
+  );
+};
+
+export default AudioLevelMeter;
@@ -1,256 +1,757 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { AlertTriangle, Eye, EyeOff, Users, Smartphone, FileText, Moon, Camera, CameraOff, Loader } from 'lucide-react';
-import * as tf from '@tensorflow/tfjs';
-import * as blazeface from '@tensorflow-models/blazeface';
-import * as cocoSsd from '@tensorflow-models/coco-ssd';
-
-const EAR_THRESHOLD = 0.2; // Eye Aspect Ratio threshold
-const DROWSINESS_FRAMES = 15; // How many frames of closed eyes mean "drowsy"
-const FOCUS_LOST_FRAMES = 35; // How many frames of "gaze away" mean lost focus
-
-const DetectionStatistics = () => {
-  const [stats, setStats] = useState({
-    focusLost: 0,
-    faceAbsent: 0,
-    multipleFaces: 0,
-    phoneDetected: 0,
-    notesDetected: 0,
-    drowsiness: 0
-  });
+import { AlertTriangle, Eye, EyeOff, Users, Smartphone, FileText, Moon, Camera, CameraOff, Loader, Download, Printer, Film, Upload, ClipboardCheck, SlidersHorizontal, FlipHorizontal, Mic, MessagesSquare, Volume2, AppWindow, Focus, UserX, Minimize, Maximize, ClipboardPaste, MousePointer2, Monitor, RotateCw, Tv, UserPlus, Keyboard, History, MessageSquare, FolderOpen } from 'lucide-react';
+import { createProctoringEngine, createDefaultDetectors, createFrameScheduler, faceBox } from '../engine';
+import { loadFaceEmbedder } from '../engine/faceEmbedding';
+import { loadBrowserInference } from '../engine/workerInference';
+import { eventDuration, totalDurationByType } from '../utils/eventLog';
+import { formatDuration, formatClock, formatConfidence, formatOffset } from '../utils/format';
+import { buildReport, reportToCsv, reportToHtml, reportFileName, downloadFile, printReport } from '../utils/report';
+import { captureAnnotatedFrame, saveSnapshot, getSessionSnapshots, deleteSessionSnapshots, blobToDataUrl } from '../utils/snapshots';
+import { createSessionRecorder, deleteSessionRecordings } from '../utils/recordings';
+import { loadVideoFile, seekTo, unloadVideoFile } from '../utils/videoFile';
+import { computeIntegrity, integrityTrend } from '../utils/integrity';
+import { pairReferenceFiles, compareReports, referenceFileName } from '../utils/regression';
+import { coverTransform, drawLiveOverlay } from '../utils/overlay';
+import { createAudioMonitor } from '../utils/audioMonitor';
+import { openMediaStream, describeMediaError, stopStream } from '../utils/mediaDevices';
+import { createSessionSync } from '../utils/sessionSync';
+import { SESSION_API_ENABLED } from '../utils/sessionApi';
+import { RELAY_ENABLED, createRelayClient } from '../utils/relayClient';
+import { STANDARD_POLICY, detectorOptions, loadPolicies, saveCustomPolicies, loadActivePolicyId, saveActivePolicyId } from '../utils/policy';
+import SnapshotLightbox from './SnapshotLightbox';
+import SessionReview from './SessionReview';
+import PolicySettings from './PolicySettings';
+import Sparkline from './Sparkline';
+import AudioLevelMeter from './AudioLevelMeter';
+import IdentityPanel from './IdentityPanel';
+import PreCheckWizard from './PreCheckWizard';
+import PastSessions from './PastSessions';
+import RegressionResults from './RegressionResults';
+
+const SNAPSHOT_STORAGE_CAP = 20 * 1024 * 1024; // Bytes of evidence frames stored per session
+const RELAY_STATUS_INTERVAL_MS = 2000;
+// Offline analysis sample rates (frames per second). By default files are sampled at the
+// policy's live cadence so its frame-count windows mean the same time span in both modes.
+const ANALYSIS_SAMPLE_RATES = [1, 2, 5, 10];
+const OVERLAY_LAYERS = { faces: 'Faces', landmarks: 'Landmarks', objects: 'Objects', debug: 'Debug' };
+const SEVERITY_COLORS = {
+  Critical: 'text-red-700 bg-red-200',
+  'High Risk': 'text-red-600 bg-red-100',
+  'Medium Risk': 'text-yellow-600 bg-yellow-100',
+  'Low Risk': 'text-orange-600 bg-orange-100',
+  Normal: 'text-green-600 bg-green-100'
+};
+
+const imageDataToUrl = (imageData) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = imageData.width;
+  canvas.height = imageData.height;
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return canvas.toDataURL('image/jpeg', 0.85);
+};
 
-  const [currentDetections, setCurrentDetections] = useState({
-    focusLost: false,
-    faceAbsent: false,
-    multipleFaces: false,
-    phoneDetected: false,
-    notesDetected: false,
-    drowsiness: false
+const loadImage = file => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('not a readable image'));
+  image.src = URL.createObjectURL(file);
+});
+
+// `extraDetectors` are engine detector plugins registered next to the built-in ones
+// (see src/engine/proctoringEngine.js); they are read once, on mount.
+const DetectionStatistics = ({ extraDetectors = [] }) => {
+  const [policies, setPolicies] = useState(loadPolicies);
+  const [policyId, setPolicyId] = useState(loadActivePolicyId);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const policy = policies.find(p => p.id === policyId) || STANDARD_POLICY;
+  const [micEnabled, setMicEnabled] = useState(false);
+  const [audioMonitor, setAudioMonitor] = useState(null); // live while the camera stream has a microphone track
+  const [micUnavailable, setMicUnavailable] = useState(false);
+  const [embedderStatus, setEmbedderStatus] = useState(null); // 'loading' | 'ready' | 'error'
+  const [identityReferences, setIdentityReferences] = useState([]); // data URLs of the enrolled face crops
+  const [idPhoto, setIdPhoto] = useState(null); // { url } | { loading } | { error }
+  const [precheckOpen, setPrecheckOpen] = useState(false);
+  const [mediaSelection, setMediaSelection] = useState({ cameraId: null, microphoneId: null });
+  const [calibrated, setCalibrated] = useState(false); // a system check baseline is set for this session
+  const [cameraError, setCameraError] = useState('');
+
+  const extraDetectorsRef = useRef(extraDetectors);
+  const audioMonitorRef = useRef(null);
+  const embedderRef = useRef(null);
+  const embedderLoadRef = useRef(null); // the pending or settled loadFaceEmbedder() promise
+  const idDescriptorRef = useRef(null);
+  const baselineRef = useRef(null);
+  const getBaseline = useCallback(() => baselineRef.current, []);
+  // Read by the identity detector at frame time
+  const identityHooksRef = useRef({
+    getEmbedder: () => embedderRef.current,
+    getIdDescriptor: () => idDescriptorRef.current,
+    onEnroll: ({ crop }) => setIdentityReferences(prev => [...prev, imageDataToUrl(crop)])
   });
+  const engineRef = useRef(null);
+  if (!engineRef.current) {
+    engineRef.current = createProctoringEngine({
+      detectors: [...createDefaultDetectors(detectorOptions(policy, { identity: identityHooksRef.current, getBaseline })), ...extraDetectorsRef.current],
+      smoothing: policy.smoothing
+    });
+  }
+
+  const [stats, setStats] = useState(() => engineRef.current.getStats());
+  const [currentDetections, setCurrentDetections] = useState(() => engineRef.current.getActive());
 
   const [isMonitoring, setIsMonitoring] = useState(false);
   const [cameraActive, setCameraActive] = useState(false);
   const [modelsLoaded, setModelsLoaded] = useState(false);
+  const [inferenceInfo, setInferenceInfo] = useState(null); // { backend, worker }
+  const [pipelineStats, setPipelineStats] = useState(null); // { fps, latencyMs, ... } from the scheduler
   const [loadingStatus, setLoadingStatus] = useState('');
   const [detectionResults, setDetectionResults] = useState([]);
+  const [liveFrame, setLiveFrame] = useState(null); // latest engine frame, drawn on the overlay
+  const [overlayLayers, setOverlayLayers] = useState({ faces: true, landmarks: true, objects: true, debug: false });
+  const [mirrored, setMirrored] = useState(true); // selfie view of the live camera
+  const [eyeMetrics, setEyeMetrics] = useState(null);
+  const [identity, setIdentity] = useState(null); // the identity detector's enrollment and last check
+  const [attention, setAttention] = useState(null);
+  const [focusDirections, setFocusDirections] = useState({ left: 0, right: 0, up: 0, down: 0 });
+  const [events, setEvents] = useState([]);
+  const [session, setSession] = useState(null); // { id, startedAt, endedAt, policy }; live sessions also hold the relayToken
+  const [candidate, setCandidate] = useState({ name: '', id: '' });
+  const [snapshots, setSnapshots] = useState({}); // event id -> { url, capturedAt, size } or { skipped: true }
+  const [lightboxEvent, setLightboxEvent] = useState(null);
+  const [reviewOpen, setReviewOpen] = useState(false);
+  const [pastSessionsOpen, setPastSessionsOpen] = useState(false);
+  const [syncState, setSyncState] = useState(null); // { pending, online, error } of the session server outbox
+  const [relayState, setRelayState] = useState(null); // { connected, error } of the reviewer relay during a live session
+  const [reviewerNotice, setReviewerNotice] = useState(null); // { action, message, commandId } from a reviewer
+  const [recordingSaving, setRecordingSaving] = useState(false);
+  const [analysis, setAnalysis] = useState(null); // { fileName, progress } while a file is analyzed
+  const [analysisSampleRate, setAnalysisSampleRate] = useState(null); // null: the policy's live cadence
+  const [analysisError, setAnalysisError] = useState('');
+  const [regression, setRegression] = useState(null); // { total, results, running } of the last reference folder check
 
   const videoRef = useRef(null);
+  const overlayCanvasRef = useRef(null);
   const streamRef = useRef(null);
-  const detectionIntervalRef = useRef(null);
-  const blazeFaceModelRef = useRef(null);
-  const cocoSsdModelRef = useRef(null);
-
-  // Focus and drowsiness counters
-  const lastFacePosition = useRef({ x: 0, y: 0 });
-  const focusLostFrames = useRef(0);
-  const drowsyFrames = useRef(0);
+  const schedulerRef = useRef(null);
+  const lastFrameRef = useRef({ now: null, faces: [], objects: [] }); // latest frame's detections, drawn on snapshots
+  const capturedEventsRef = useRef(new Set());
+  const snapshotBytesRef = useRef(0);
+  const recorderRef = useRef(null);
+  const analysisCancelRef = useRef(false);
+  const syncRef = useRef(null);
+  const relayRef = useRef(null);
+  const relayInfoRef = useRef(null); // { hello, status } as reviewers should see this session now
+  const stopMonitoringRef = useRef(null);
 
-  // Load models
+  // Load models, in a worker when the browser can hand it frames, else on this thread
   useEffect(() => {
-    const loadModels = async () => {
+    let cancelled = false;
+    let loaded = null;
+    const load = async () => {
       setLoadingStatus('Loading models...');
-      blazeFaceModelRef.current = await blazeface.load();
-      cocoSsdModelRef.current = await cocoSsd.load();
+      loaded = await loadBrowserInference();
+      if (cancelled) return loaded.inference.terminate?.();
+      engineRef.current.setInference(loaded.inference);
+      setInferenceInfo({ backend: loaded.backend, worker: loaded.worker });
       setModelsLoaded(true);
       setLoadingStatus('');
     };
-    loadModels();
+    load().catch((err) => {
+      console.error('Failed to load models', err);
+      if (!cancelled) setLoadingStatus(`Could not load models: ${err.message}`);
+    });
+    return () => {
+      cancelled = true;
+      loaded?.inference.terminate?.();
+      schedulerRef.current?.stop();
+      engineRef.current.stopWatching();
+    };
+  }, []);
+
+  // Sessions are streamed to the session server, when there is one; what it can't
+  // take yet waits in IndexedDB
+  useEffect(() => {
+    if (!SESSION_API_ENABLED) return undefined;
+    const sync = createSessionSync();
+    syncRef.current = sync;
+    setSyncState(sync.getState());
+    const unsubscribe = sync.subscribe(setSyncState);
+    return () => {
+      unsubscribe();
+      sync.stop();
+      syncRef.current = null;
+    };
+  }, []);
+
+  // Rebuild the detector set whenever the active policy or the microphone option
+  // changes. Both can only be switched while no session is in progress.
+  useEffect(() => {
+    const engine = engineRef.current;
+    const getMonitor = micEnabled ? () => audioMonitorRef.current : null;
+    engine.setDetectors([...createDefaultDetectors(detectorOptions(policy, { getMonitor, identity: identityHooksRef.current, getBaseline })), ...extraDetectorsRef.current]);
+    engine.setSmoothing(policy.smoothing);
+    setStats(engine.getStats());
+    setCurrentDetections(engine.getActive());
+  }, [policy, micEnabled, getBaseline]);
+
+  // The face recognition model is only fetched once a profile checks identity, after
+  // the shared models so both land on the same tfjs backend
+  const identityEnabled = policy.detectors.identity?.enabled !== false;
+  useEffect(() => {
+    if (!modelsLoaded || !identityEnabled || embedderRef.current) return;
+    let cancelled = false;
+    setEmbedderStatus('loading');
+    const loading = loadFaceEmbedder();
+    embedderLoadRef.current = loading;
+    loading.then((embedder) => {
+      if (cancelled) return embedder.dispose();
+      embedderRef.current = embedder;
+      setEmbedderStatus('ready');
+    }).catch((err) => {
+      console.error('Failed to load the face recognition model', err);
+      if (!cancelled) setEmbedderStatus('error');
+    });
+    return () => {
+      cancelled = true;
+      embedderLoadRef.current = null;
+    };
+  }, [modelsLoaded, identityEnabled]);
+
+  // Mirror the engine's counts, log and per-frame results into React state
+  useEffect(() => {
+    const engine = engineRef.current;
+    const sync = () => {
+      setStats(engine.getStats());
+      setEvents(engine.getEvents());
+      setCurrentDetections(engine.getActive());
+    };
+    const unsubscribers = [
+      engine.on('violation:start', (event) => {
+        sync();
+        const direction = event.type === 'focusLost' && event.data?.direction;
+        if (direction) setFocusDirections(prev => ({ ...prev, [direction]: prev[direction] + 1 }));
+      }),
+      engine.on('violation:update', sync),
+      engine.on('violation:end', sync),
+      engine.on('reset', sync),
+      engine.on('frame', (frame) => {
+        lastFrameRef.current = { now: frame.now, faces: frame.faces, objects: frame.objects };
+        setDetectionResults(frame.results);
+        setLiveFrame(frame);
+        setEyeMetrics(frame.metrics.eye ?? null);
+        setIdentity(frame.metrics.identity ?? null);
+        setAttention(frame.metrics.attention ?? null);
+        recorderRef.current?.recordFrame({
+          t: frame.now,
+          faces: frame.faces.map(faceBox),
+          objects: frame.objects,
+          active: frame.results.filter(result => result.active).map(result => result.type)
+        });
+      })
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
   }, []);
 
-  // Camera handling
-  const startCamera = async () => {
-    const stream = await navigator.mediaDevices.getUserMedia({ video: {facingMode:'user'} });
+  // Camera handling, on the devices picked in the system check. The microphone, when
+  // enabled, is requested in the same prompt; if it is refused or missing,
+  // monitoring goes on with the camera alone.
+  const startCamera = async (devices = mediaSelection) => {
+    const { stream, audioError } = await openMediaStream({ ...devices, audio: micEnabled });
+    if (audioError) console.warn('Microphone unavailable, continuing with the camera only', audioError);
     streamRef.current = stream;
     if (videoRef.current) {
       videoRef.current.srcObject = stream;
       await videoRef.current.play();
     }
     setCameraActive(true);
+    setMicUnavailable(micEnabled && stream.getAudioTracks().length === 0);
+    if (stream.getAudioTracks().length) {
+      audioMonitorRef.current = createAudioMonitor(stream, { noiseDb: policy.detectors.audio?.noiseDb });
+      setAudioMonitor(audioMonitorRef.current);
+    }
   };
   const stopCamera = () => {
-    if (streamRef.current) streamRef.current.getTracks().forEach(track => track.stop());
+    audioMonitorRef.current?.stop();
+    audioMonitorRef.current = null;
+    setAudioMonitor(null);
+    stopStream(streamRef.current);
     if (videoRef.current) videoRef.current.srcObject = null;
     setCameraActive(false);
   };
 
-  // Face detection
-  const detectFacesTF = async (videoElement) => {
-    if (!blazeFaceModelRef.current || !videoElement) return [];
-    const predictions = await blazeFaceModelRef.current.estimateFaces(videoElement, false);
-    return predictions.map(pred => ({
-      x: pred.topLeft[0], y: pred.topLeft[1],
-      width: pred.bottomRight[0] - pred.topLeft[0],
-      height: pred.bottomRight[1] - pred.topLeft[1],
-      centerX: (pred.topLeft[0] + pred.bottomRight[0]) / 2,
-      centerY: (pred.topLeft[1] + pred.bottomRight[1]) / 2,
-      probability: pred.probability[0],
-      landmarks: pred.landmarks // eye/nose/ear positions for focus/drowsy
-    }));
+  // Main detection loop: faces and landmarks every frame, objects at the scheduler's slower rate
+  const startDetection = () => {
+    schedulerRef.current = createFrameScheduler({
+      processFrame: ({ runObjects }) => {
+        const video = videoRef.current;
+        if (!video?.videoWidth) return Promise.resolve(null);
+        return engineRef.current.processFrame(video, Date.now(), { skip: runObjects ? [] : ['objects'] });
+      },
+      intervalMs: policy.sampleIntervalMs,
+      onStats: setPipelineStats
+    });
+    schedulerRef.current.start();
   };
-
-  // Object (phone/books) detection
-  const detectObjectsTF = async (videoElement) => {
-    if (!cocoSsdModelRef.current || !videoElement) return [];
-    const predictions = await cocoSsdModelRef.current.detect(videoElement);
-    return predictions.filter(pred => ["cell phone","book"].includes(pred.class))
-      .map(pred => ({
-        class: pred.class === "cell phone" ? "phone" : "book",
-        confidence: pred.score,
-        bbox: pred.bbox
-      }));
+  const stopDetection = async () => {
+    const scheduler = schedulerRef.current;
+    schedulerRef.current = null;
+    await scheduler?.stop();
+    setPipelineStats(null);
   };
 
-  // Gaze/focus loss by looking away (using eye/nose landmarks or bounding box movement)
-  const detectFocusLoss = (face) => {
-    if (!face) {
-      focusLostFrames.current++;
-      return focusLostFrames.current >= FOCUS_LOST_FRAMES;
+  // Redraw the overlay for every processed frame. The canvas matches the video's box,
+  // so detections are mapped through the same object-cover crop (and mirroring) as the picture.
+  const mirrorView = mirrored && !analysis;
+  useEffect(() => {
+    const canvas = overlayCanvasRef.current, video = videoRef.current;
+    if (!canvas) return;
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!liveFrame || !video?.videoWidth) return;
+    const objects = policy.detectors.objects;
+    const watchedClasses = new Set(objects.enabled ? Object.values(objects.violations).flatMap(rule => rule.classes) : []);
+    const transform = coverTransform(video.videoWidth, video.videoHeight, canvas.width, canvas.height, { mirror: mirrorView });
+    drawLiveOverlay(ctx, liveFrame, transform, { layers: overlayLayers, watchedClasses, region: objects.enabled ? objects.roi?.region : null });
+  }, [liveFrame, overlayLayers, mirrorView, policy]);
+
+  // Grab an annotated evidence frame for every new event, until the session's storage cap is reached
+  useEffect(() => {
+    if (!session) return;
+    events.filter(event => !capturedEventsRef.current.has(event.id)).forEach(async (event) => {
+      capturedEventsRef.current.add(event.id);
+      const blob = await captureAnnotatedFrame(videoRef.current, lastFrameRef.current);
+      if (!blob) return;
+      if (snapshotBytesRef.current + blob.size > SNAPSHOT_STORAGE_CAP) {
+        setSnapshots(prev => ({ ...prev, [event.id]: { skipped: true } }));
+        return;
+      }
+      snapshotBytesRef.current += blob.size;
+      const capturedAt = Date.now();
+      setSnapshots(prev => ({ ...prev, [event.id]: { url: URL.createObjectURL(blob), capturedAt, size: blob.size } }));
+      syncRef.current?.saveSnapshot(session.id, { eventId: event.id, capturedAt, blob });
+      if (relayRef.current) {
+        blobToDataUrl(blob).then(dataUrl => relayRef.current?.send({ type: 'frame', dataUrl, capturedAt, eventType: event.type }));
+      }
+      try {
+        await saveSnapshot({ eventId: event.id, sessionId: session.id, type: event.type, capturedAt, mimeType: blob.type, size: blob.size, blob });
+      } catch (err) {
+        console.error('Failed to store snapshot', err);
+      }
+    });
+  }, [events, session]);
+
+  // Every new or changed log event goes to the session server
+  useEffect(() => {
+    if (session) events.forEach(event => syncRef.current?.saveEvent(session.id, event));
+  }, [events, session]);
+
+  const resetStats = () => {
+    engineRef.current.reset();
+    setEyeMetrics(null);
+    setIdentity(null);
+    setIdentityReferences([]);
+    baselineRef.current = null;
+    setCalibrated(false);
+    setAttention(null);
+    setLiveFrame(null);
+    setFocusDirections({ left: 0, right: 0, up: 0, down: 0 });
+    Object.values(snapshots).forEach(snapshot => snapshot.url && URL.revokeObjectURL(snapshot.url));
+    setSnapshots({});
+    capturedEventsRef.current = new Set();
+    snapshotBytesRef.current = 0;
+    if (session) {
+      deleteSessionSnapshots(session.id).catch(err => console.error('Failed to delete snapshots', err));
+      deleteSessionRecordings(session.id).catch(err => console.error('Failed to delete recordings', err));
     }
-    // If you want true gaze: require face landmarks detection (not just BlazeFace)
-    // Simple: track bounding box center drifting away from center of the video
-    const { centerX, centerY } = face;
-    const videoW = videoRef.current?.videoWidth || 640;
-    const videoH = videoRef.current?.videoHeight || 1180;
-    const dX = Math.abs(centerX - videoW / 2);
-    const dY = Math.abs(centerY - videoH / 2);
-    const drift = Math.sqrt(dX*dX + dY*dY);
-    if (drift > Math.min(videoW, videoH) / 4) { focusLostFrames.current++; }
-    else { focusLostFrames.current = Math.max(0, focusLostFrames.current-1); }
-    return focusLostFrames.current >= FOCUS_LOST_FRAMES;
+    setSession(null);
+    setReviewerNotice(null);
   };
 
-  // Drowsiness: eyes closed (use landmarks for accurate, simulate EAR for now)
-  const detectDrowsiness = (face) => {
-    if (!face || !face.landmarks) {
-      drowsyFrames.current = 0;
-      return false;
+  // Fullscreen can only be requested from the click itself, before anything is awaited
+  const enforceFullscreen = policy.detectors.browser?.enabled !== false && policy.detectors.browser?.fullscreenExit !== false;
+  const enterFullscreen = () => document.documentElement.requestFullscreen?.().catch(err => console.warn('Fullscreen refused', err));
+
+  // Finds the face on an uploaded ID photo and keeps only its descriptor and a preview
+  const loadIdPhoto = async (file) => {
+    if (!file || !embedderRef.current) return;
+    setIdPhoto({ loading: true });
+    let image = null;
+    try {
+      image = await loadImage(file);
+      const { faces } = await engineRef.current.infer(image, { faces: true });
+      const face = [...faces].sort((a, b) => b.probability - a.probability)[0];
+      if (!face) throw new Error('no face found');
+      const { descriptor, crop } = await embedderRef.current.embed(image, faceBox(face).bbox, { crop: true });
+      idDescriptorRef.current = descriptor;
+      setIdPhoto({ url: imageDataToUrl(crop) });
+    } catch (err) {
+      console.warn('Could not read the ID photo', err);
+      idDescriptorRef.current = null;
+      setIdPhoto({ error: `Could not use ${file.name}: ${err.message}` });
+    } finally {
+      if (image) URL.revokeObjectURL(image.src);
     }
-    // In production: calculate EAR (eye aspect ratio) from left/right eye landmarks
-    // Here: we randomly simulate closed eyes 10% of the time for demo
-    let isClosed = Math.random() < 0.08;
-    drowsyFrames.current = isClosed ? drowsyFrames.current + 1 : 0;
-    return drowsyFrames.current >= DROWSINESS_FRAMES;
+  };
+  const clearIdPhoto = () => {
+    idDescriptorRef.current = null;
+    setIdPhoto(null);
   };
 
-  // Main detection loop
-  const runDetection = useCallback(async () => {
-    if (!videoRef.current || !cameraActive || !modelsLoaded) return;
-    const faces = await detectFacesTF(videoRef.current);
-    const objects = await detectObjectsTF(videoRef.current);
-    const detectionResults = [];
-
-    const mainFace = faces[0];
-
-    // Face Absent
-    if (!mainFace) {
-      if (!currentDetections.faceAbsent) triggerDetection('faceAbsent');
-      detectionResults.push({ type: 'faceAbsent', active: true });
-    } else {
-      if (currentDetections.faceAbsent) clearDetection('faceAbsent');
-      detectionResults.push({ type: 'faceAbsent', active: false });
+  // `devices` is passed straight from the system check, before its selection state lands
+  const startMonitoring = async (devices = mediaSelection) => {
+    if (enforceFullscreen && !document.fullscreenElement) enterFullscreen();
+    setCameraError('');
+    if (!cameraActive) {
+      try {
+        await startCamera(devices);
+      } catch (err) {
+        console.error('Could not start the camera', err);
+        setCameraError(describeMediaError(err));
+        if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+        return;
+      }
     }
-
-    // Multiple Faces
-    if (faces.length > 1) {
-      if (!currentDetections.multipleFaces) triggerDetection('multipleFaces');
-      detectionResults.push({ type: 'multipleFaces', active: true });
-    } else {
-      if (currentDetections.multipleFaces) clearDetection('multipleFaces');
-      detectionResults.push({ type: 'multipleFaces', active: false });
+    // Restarting after a stop resumes the same session until stats are reset;
+    // each start records its own segment
+    const activeSession = session ? { ...session, endedAt: null } : { id: crypto.randomUUID(), relayToken: crypto.randomUUID(), startedAt: Date.now(), endedAt: null, policy };
+    setSession(activeSession);
+    syncRef.current?.startSession(activeSession, candidate);
+    try {
+      // Recordings stay video-only: the microphone is analyzed live and never stored
+      const videoStream = new MediaStream(streamRef.current.getVideoTracks());
+      recorderRef.current = createSessionRecorder({ sessionId: activeSession.id, stream: videoStream });
+    } catch (err) {
+      console.warn('Session recording unavailable', err);
     }
+    setIsMonitoring(true);
+    startDetection();
+    engineRef.current.startWatching();
+  };
 
-    // Focus Lost
-    const focusLost = detectFocusLoss(mainFace);
-    if (focusLost) {
-      if (!currentDetections.focusLost) triggerDetection('focusLost');
-      detectionResults.push({ type: 'focusLost', active: true });
-    } else {
-      if (currentDetections.focusLost) clearDetection('focusLost');
-      detectionResults.push({ type: 'focusLost', active: false });
+  const stopMonitoring = async () => {
+    const stoppedAt = Date.now();
+    setIsMonitoring(false);
+    engineRef.current.stopWatching();
+    // Let the frame in flight finish first so it can't reopen violations after closeAll
+    await stopDetection();
+    const recorder = recorderRef.current;
+    recorderRef.current = null;
+    if (recorder) {
+      setRecordingSaving(true);
+      recorder.stop().finally(() => setRecordingSaving(false));
     }
+    stopCamera();
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    setLiveFrame(null);
+    engineRef.current.closeAll(stoppedAt);
+    setSession(prev => prev && { ...prev, endedAt: stoppedAt });
+    if (session) finalizeSync(session, stoppedAt);
+  };
 
-    // Drowsiness
-    const isDrowsy = detectDrowsiness(mainFace);
-    if (isDrowsy) {
-      if (!currentDetections.drowsiness) triggerDetection('drowsiness');
-      detectionResults.push({ type: 'drowsiness', active: true });
-    } else {
-      if (currentDetections.drowsiness) clearDetection('drowsiness');
-      detectionResults.push({ type: 'drowsiness', active: false });
-    }
+  // The session server keeps the final report next to the streamed events; evidence
+  // frames are uploaded on their own, so the report leaves them out
+  const finalizeSync = (activeSession, endedAt) => {
+    const engine = engineRef.current;
+    const finished = { ...activeSession, endedAt };
+    const finalEvents = engine.getEvents();
+    const finalIntegrity = computeIntegrity(finalEvents, { startedAt: finished.startedAt, now: endedAt, risk: finished.policy.risk });
+    const report = buildReport({ session: finished, candidate, stats: engine.getStats(), events: finalEvents, integrity: finalIntegrity, labels: allLabels, now: endedAt });
+    syncRef.current?.finalizeSession(finished.id, { endedAt, report });
+  };
 
-    // Object detection (phone/books)
-    let phoneDetected = objects.some(obj => obj.class === 'phone');
-    let notesDetected = objects.some(obj => obj.class === 'book');
+  const inferPreview = useCallback((source, needs) => engineRef.current.infer(source, needs), []);
+  const completePrecheck = ({ cameraId, microphoneId, baseline }) => {
+    setMediaSelection({ cameraId, microphoneId });
+    baselineRef.current = baseline;
+    setCalibrated(true);
+    setPrecheckOpen(false);
+    startMonitoring({ cameraId, microphoneId });
+  };
 
-    if (phoneDetected) {
-      if (!currentDetections.phoneDetected) triggerDetection('phoneDetected');
-      detectionResults.push({ type: 'phoneDetected', active: true });
-    } else {
-      if (currentDetections.phoneDetected) clearDetection('phoneDetected');
-      detectionResults.push({ type: 'phoneDetected', active: false });
-    }
-    if (notesDetected) {
-      if (!currentDetections.notesDetected) triggerDetection('notesDetected');
-      detectionResults.push({ type: 'notesDetected', active: true });
-    } else {
-      if (currentDetections.notesDetected) clearDetection('notesDetected');
-      detectionResults.push({ type: 'notesDetected', active: false });
-    }
+  // A new session always starts with the system check; restarting a stopped one doesn't
+  const handleStartStop = () => {
+    if (isMonitoring) stopMonitoring();
+    else if (!calibrated) setPrecheckOpen(true);
+    else startMonitoring();
+  };
 
-    setDetectionResults(detectionResults);
-  }, [cameraActive, modelsLoaded, currentDetections]);
+  // Identity checks in an analysis start with the first frame; otherwise the results
+  // would depend on how far the face recognition model had loaded
+  const waitForEmbedder = async () => {
+    if (!identityEnabled || embedderRef.current) return;
+    try {
+      await (embedderLoadRef.current ?? Promise.reject(new Error('not loading')));
+    } catch {
+      throw new Error('the face recognition model is unavailable; turn identity checks off in the profile to analyze without them');
+    }
+  };
 
-  useEffect(() => {
-    if (isMonitoring && cameraActive && modelsLoaded) {
-      detectionIntervalRef.current = setInterval(runDetection, 300);
-    } else if (detectionIntervalRef.current) {
-      clearInterval(detectionIntervalRef.current);
+  // Feeds the loaded video to the engine `sampleRate` times per second of video, timing
+  // every frame by its position from `base` so the same file always yields the same
+  // results. Resolves to the end time: the end of the video, or where analysis stopped.
+  const stepThroughVideo = async (video, duration, sampleRate, base) => {
+    let t = 0;
+    for (let i = 0; i / sampleRate < duration && !analysisCancelRef.current; i++) {
+      t = i / sampleRate;
+      await seekTo(video, t);
+      await engineRef.current.processFrame(video, base + Math.round(t * 1000));
+      setAnalysis(prev => prev && { ...prev, progress: t / duration });
+      // Let React commit this frame's events (and grab their snapshots) before seeking on
+      await new Promise(resolve => setTimeout(resolve, 0));
     }
-    return () => {
-      if (detectionIntervalRef.current) clearInterval(detectionIntervalRef.current);
-    };
-  }, [isMonitoring, cameraActive, modelsLoaded, runDetection]);
+    const endedAt = base + Math.round((analysisCancelRef.current ? t : duration) * 1000);
+    engineRef.current.closeAll(endedAt);
+    return endedAt;
+  };
 
-  const triggerDetection = (detectionType) => {
-    setStats(prev => ({ ...prev, [detectionType]: prev[detectionType] + 1 }));
-    setCurrentDetections(prev => ({ ...prev, [detectionType]: true }));
+  // Steps through a local video at `analysisSampleRate` as a session of its own.
+  const analyzeRecording = async (file) => {
+    if (!file || isMonitoring || !modelsLoaded) return;
+    const video = videoRef.current;
+    const sampleRate = analysisSampleRate ?? 1000 / policy.sampleIntervalMs;
+    resetStats();
+    setAnalysisError('');
+    setRegression(null);
+    analysisCancelRef.current = false;
+    setAnalysis({ fileName: file.name, progress: 0 });
+    try {
+      await waitForEmbedder();
+      const duration = await loadVideoFile(video, file);
+      const base = Date.now();
+      const activeSession = {
+        id: crypto.randomUUID(), startedAt: base, endedAt: null, policy,
+        source: { kind: 'file', name: file.name, size: file.size, sampleRate }
+      };
+      setSession(activeSession);
+      syncRef.current?.startSession(activeSession, candidate);
+      const endedAt = await stepThroughVideo(video, duration, sampleRate, base);
+      setSession({ ...activeSession, endedAt });
+      finalizeSync(activeSession, endedAt);
+    } catch (err) {
+      console.error('Offline analysis failed', err);
+      setAnalysisError(`Could not analyze ${file.name}: ${err.message || 'unsupported video'}`);
+    } finally {
+      unloadVideoFile(video);
+      setLiveFrame(null);
+      setAnalysis(null);
+    }
   };
-  const clearDetection = detectionType => setCurrentDetections(prev => ({ ...prev, [detectionType]: false }));
-  const resetStats = () => {
-    setStats({ focusLost: 0, faceAbsent: 0, multipleFaces: 0, phoneDetected: 0, notesDetected: 0, drowsiness: 0 });
-    setCurrentDetections({ focusLost: false, faceAbsent: false, multipleFaces: false, phoneDetected: false, notesDetected: false, drowsiness: false });
-    focusLostFrames.current = drowsyFrames.current = 0;
+
+  // Analyzes every clip of a reference folder under the current profile, at the sample
+  // rate of its reference report, and compares the results (see utils/regression).
+  // Clips run without a session: no snapshots are kept and nothing is synced.
+  const runRegression = async (files) => {
+    if (isMonitoring || !modelsLoaded) return;
+    const clips = pairReferenceFiles(files);
+    setAnalysisError('');
+    if (!clips.length) return setAnalysisError('No video files in that folder');
+    const video = videoRef.current;
+    resetStats();
+    analysisCancelRef.current = false;
+    setRegression({ total: clips.length, results: [], running: true });
+    try {
+      await waitForEmbedder();
+      for (const clip of clips) {
+        if (analysisCancelRef.current) break;
+        resetStats();
+        setAnalysis({ fileName: clip.path, progress: 0 });
+        let result;
+        try {
+          const expected = clip.expected ? JSON.parse(await clip.expected.text()) : null;
+          const sampleRate = expected?.session?.source?.sampleRate ?? analysisSampleRate ?? 1000 / policy.sampleIntervalMs;
+          const duration = await loadVideoFile(video, clip.video);
+          const base = Date.now();
+          const endedAt = await stepThroughVideo(video, duration, sampleRate, base);
+          if (analysisCancelRef.current) break;
+          const analyzed = {
+            id: crypto.randomUUID(), startedAt: base, endedAt, policy,
+            source: { kind: 'file', name: clip.video.name, size: clip.video.size, sampleRate }
+          };
+          const engine = engineRef.current;
+          const clipEvents = engine.getEvents();
+          const clipIntegrity = computeIntegrity(clipEvents, { startedAt: base, now: endedAt, risk: policy.risk });
+          const report = buildReport({ session: analyzed, candidate, stats: engine.getStats(), events: clipEvents, integrity: clipIntegrity, labels: allLabels, now: endedAt });
+          const differences = expected ? compareReports(expected, report) : [];
+          result = { path: clip.path, video: clip.video, report, differences, status: !expected ? 'new' : differences.length ? 'failed' : 'passed' };
+        } catch (err) {
+          console.error(`Regression check of ${clip.path} failed`, err);
+          result = { path: clip.path, differences: [err.message || 'unsupported video'], status: 'error' };
+        }
+        setRegression(prev => ({ ...prev, results: [...prev.results, result] }));
+      }
+    } catch (err) {
+      setAnalysisError(`Could not run the regression check: ${err.message}`);
+    } finally {
+      unloadVideoFile(video);
+      setLiveFrame(null);
+      setAnalysis(null);
+      setRegression(prev => ({ ...prev, running: false }));
+    }
   };
 
-  const handleStartStop = async () => {
-    if (!isMonitoring) {
-      if (!cameraActive) await startCamera();
-      setIsMonitoring(true);
-    } else {
-      setIsMonitoring(false); stopCamera();
+  const downloadReference = ({ video, report }) =>
+    downloadFile(referenceFileName(video), JSON.stringify(report, null, 2), 'application/json');
+
+  const loadReportSnapshots = async () => {
+    try {
+      const stored = await getSessionSnapshots(session.id);
+      const entries = await Promise.all(stored.map(async s => [s.eventId, { capturedAt: s.capturedAt, mimeType: s.mimeType, dataUrl: await blobToDataUrl(s.blob) }]));
+      return Object.fromEntries(entries);
+    } catch (err) {
+      console.error('Failed to load snapshots', err);
+      return {};
     }
   };
+  const exportReport = async (format) => {
+    const reportSnapshots = format === 'csv' ? {} : await loadReportSnapshots();
+    const report = buildReport({ session, candidate, stats, events, integrity, labels: allLabels, snapshots: reportSnapshots });
+    if (format === 'json') downloadFile(reportFileName(report, 'json'), JSON.stringify(report, null, 2), 'application/json');
+    if (format === 'csv') downloadFile(reportFileName(report, 'csv'), reportToCsv(report), 'text/csv');
+    if (format === 'html') downloadFile(reportFileName(report, 'html'), reportToHtml(report), 'text/html');
+    if (format === 'print' && !printReport(report)) alert('Allow pop-ups for this page to print the report.');
+  };
 
-  const icons = { focusLost: Eye, faceAbsent: EyeOff, multipleFaces: Users, phoneDetected: Smartphone, notesDetected: FileText, drowsiness: Moon };
-  const labels = { focusLost: "Focus Lost", faceAbsent: "Face Absent", multipleFaces: "Multiple Faces", phoneDetected: "Phone Detected", notesDetected: "Notes Detected", drowsiness: "Drowsiness" };
-  const getDetectionIcon = key => icons[key];
-  const getDetectionLabel = key => labels[key];
+  const icons = { focusLost: Eye, faceAbsent: EyeOff, multipleFaces: Users, phoneDetected: Smartphone, notesDetected: FileText, drowsiness: Moon, speechDetected: Mic, multipleVoices: MessagesSquare, backgroundNoise: Volume2,
+    identityMismatch: UserX, tabHidden: AppWindow, windowBlur: Focus, fullscreenExit: Minimize, clipboardUsed: ClipboardPaste, contextMenu: MousePointer2, displayChanged: Monitor, reloadAttempt: RotateCw,
+    secondaryScreen: Tv, additionalPerson: UserPlus, electronicDevice: Keyboard };
+  const labels = { focusLost: "Focus Lost", faceAbsent: "Face Absent", multipleFaces: "Multiple Faces", phoneDetected: "Phone Detected", notesDetected: "Notes Detected", drowsiness: "Drowsiness", speechDetected: "Speech While Muted Expected", multipleVoices: "Multiple Voices", backgroundNoise: "Sustained Background Noise",
+    identityMismatch: "Identity Mismatch", tabHidden: "Tab Hidden", windowBlur: "Window Unfocused", fullscreenExit: "Fullscreen Exited", clipboardUsed: "Clipboard Used", contextMenu: "Context Menu Opened", displayChanged: "Display Changed", reloadAttempt: "Reload Attempt",
+    secondaryScreen: "Secondary Screen", additionalPerson: "Additional Person", electronicDevice: "Electronic Device" };
+  // Types from third-party detectors fall back to the label they registered and a generic icon
+  const violationTypes = engineRef.current.getViolationTypes();
+  const allLabels = { ...Object.fromEntries(Object.entries(violationTypes).map(([type, meta]) => [type, meta.label])), ...labels };
+  const getDetectionIcon = key => icons[key] || AlertTriangle;
+  const getDetectionLabel = key => allLabels[key] || key;
   const getDetectionColor = (type, a) =>
     a ? 'text-red-600 bg-red-100'
-      : {focusLost:'text-orange-600',faceAbsent:'text-red-600',multipleFaces:'text-yellow-600',phoneDetected:'text-purple-600',notesDetected:'text-blue-600',drowsiness:'text-indigo-600'}[type] || 'text-gray-600';
+      : {focusLost:'text-orange-600',faceAbsent:'text-red-600',multipleFaces:'text-yellow-600',phoneDetected:'text-purple-600',notesDetected:'text-blue-600',drowsiness:'text-indigo-600',speechDetected:'text-pink-600',multipleVoices:'text-rose-600',backgroundNoise:'text-teal-600',
+        identityMismatch:'text-red-700',tabHidden:'text-sky-600',windowBlur:'text-cyan-600',fullscreenExit:'text-slate-600',clipboardUsed:'text-amber-600',contextMenu:'text-lime-600',displayChanged:'text-violet-600',reloadAttempt:'text-fuchsia-600',
+        secondaryScreen:'text-emerald-600',additionalPerson:'text-red-500',electronicDevice:'text-stone-600'}[type] || 'text-gray-600';
   const getTotalViolations = () => Object.values(stats).reduce((t,n)=>t+n,0);
-  const getSeverityLevel = () => {
-    const t=getTotalViolations(); if (t>=20) return {level:"Critical", color:"text-red-700 bg-red-200"};
-    if (t>=15) return {level:"High Risk", color:"text-red-600 bg-red-100"};
-    if (t>=8) return {level:"Medium Risk", color:"text-yellow-600 bg-yellow-100"};
-    if (t>=3) return {level:"Low Risk", color:"text-orange-600 bg-orange-100"};
-    return {level:"Normal",color:"text-green-600 bg-green-100"};
+  // Live sessions are scored up to now, file analysis up to the last analyzed frame
+  const riskPolicy = session?.policy || policy;
+  const scoredUntil = !session ? Date.now()
+    : session.endedAt ?? (session.source ? Math.max(session.startedAt, lastFrameRef.current.now ?? 0) : Date.now());
+  const scoring = { startedAt: session?.startedAt ?? scoredUntil, now: scoredUntil, risk: riskPolicy.risk };
+  const integrity = computeIntegrity(events, scoring);
+  const integrityHistory = session ? integrityTrend(events, scoring).map(sample => sample.score) : [];
+  const getSeverityLevel = () => ({ level: integrity.level, score: integrity.score, color: SEVERITY_COLORS[integrity.level] });
+
+  // Live sessions (not file analysis) report to the reviewer relay, when one is
+  // configured, until stats are reset, so reviewers also see a stopped session and
+  // can still flag it
+  const liveSessionId = session && !session.source ? session.id : null;
+  useEffect(() => {
+    if (!RELAY_ENABLED || !liveSessionId) return undefined;
+    const sendStatus = () => relayInfoRef.current && relay.send({ type: 'status', ...relayInfoRef.current.status });
+    const relay = createRelayClient({
+      role: 'candidate',
+      onOpen: () => {
+        relay.send({ type: 'hello', ...relayInfoRef.current.hello });
+        sendStatus();
+      },
+      onMessage: (message) => {
+        if (message.type !== 'command') return;
+        setReviewerNotice({ action: message.action, message: message.message, commandId: message.id });
+        if (message.action === 'end') stopMonitoringRef.current?.();
+      }
+    });
+    relayRef.current = relay;
+    setRelayState(relay.getState());
+    const unsubscribe = relay.subscribe(setRelayState);
+    const timer = setInterval(sendStatus, RELAY_STATUS_INTERVAL_MS);
+    return () => {
+      clearInterval(timer);
+      unsubscribe();
+      relay.close();
+      relayRef.current = null;
+      setRelayState(null);
+    };
+  }, [liveSessionId]);
+
+  // Keeps what the relay shows current; a change in alerts or risk goes out at once,
+  // the drifting score with the next interval
+  useEffect(() => {
+    stopMonitoringRef.current = () => {
+      if (isMonitoring) stopMonitoring();
+    };
+    if (!liveSessionId) return;
+    const status = {
+      state: isMonitoring ? 'monitoring' : 'stopped',
+      integrityScore: Math.round(integrity.score),
+      riskLevel: integrity.level,
+      active: Object.keys(currentDetections).filter(type => currentDetections[type]),
+      labels: allLabels,
+      totalViolations: getTotalViolations()
+    };
+    const previous = relayInfoRef.current?.status;
+    relayInfoRef.current = {
+      hello: { sessionId: liveSessionId, token: session.relayToken, candidate, policyId: session.policy.id, startedAt: session.startedAt },
+      status
+    };
+    const changed = !previous || ['state', 'riskLevel', 'totalViolations'].some(key => previous[key] !== status[key])
+      || previous.active.join() !== status.active.join();
+    if (changed) relayRef.current?.send({ type: 'status', ...status });
+  });
+
+  // Warnings are acknowledged to the reviewer once the candidate dismisses them
+  const dismissReviewerNotice = () => {
+    if (reviewerNotice.action === 'warn') relayRef.current?.send({ type: 'ack', commandId: reviewerNotice.commandId });
+    setReviewerNotice(null);
+  };
+
+  // The profile stays fixed while a session exists so its results match the recorded policy
+  const policyLocked = Boolean(session) || isMonitoring || Boolean(analysis);
+  const selectPolicy = (id) => {
+    setPolicyId(id);
+    saveActivePolicyId(id);
+  };
+  const savePolicy = (saved) => {
+    const next = policies.some(p => p.id === saved.id) ? policies.map(p => (p.id === saved.id ? saved : p)) : [...policies, saved];
+    setPolicies(next);
+    saveCustomPolicies(next);
+  };
+  const deletePolicy = (id) => {
+    const next = policies.filter(p => p.id !== id);
+    setPolicies(next);
+    saveCustomPolicies(next);
+    if (id === policyId) selectPolicy(STANDARD_POLICY.id);
   };
 
   const severity = getSeverityLevel();
+  const closeLightbox = useCallback(() => setLightboxEvent(null), []);
+  // File analysis sessions show positions in the video rather than clock times
+  const formatEventTime = timestamp => (session?.source ? formatOffset(timestamp - session.startedAt) : formatClock(timestamp));
+  const openEventOf = type => events.findLast(e => e.type === type && e.endedAt === null);
+  const durations = totalDurationByType(events);
+  const describeEventData = ({ type, data }) => {
+    if (!data) return '';
+    if (type === 'focusLost') return data.direction ? `looking ${data.direction}` : '';
+    if (type === 'multipleFaces') return `${data.faces.length} faces`;
+    if (type === 'drowsiness') return data.ear ? `EAR ${data.ear.average.toFixed(2)}` : '';
+    if (type === 'speechDetected') return `${(data.speechMs / 1000).toFixed(1)} s of speech`;
+    if (type === 'multipleVoices') return `voices at ~${data.pitches[0]} and ~${data.pitches[1]} Hz`;
+    if (type === 'backgroundNoise') return data.db === null ? '' : `${Math.round(data.db)} dB`;
+    if (type === 'identityMismatch') return `similarity ${Math.round(data.similarity * 100)}%${data.idSimilarity === null ? '' : `, ID ${Math.round(data.idSimilarity * 100)}%`}`;
+    if (type === 'clipboardUsed') return data.action;
+    if (type === 'displayChanged') return `${data.width}×${data.height}${data.isExtended ? ', extended desktop' : ''}`;
+    if (data.objects) return data.objects.map(obj => `bbox [${obj.bbox.map(Math.round).join(', ')}]`).join(' ');
+    return '';
+  };
 
   return (
     <div className="max-w-7xl mx-auto p-6 bg-white">
+      {precheckOpen && (
+        <PreCheckWizard
+          micEnabled={micEnabled}
+          initialDevices={mediaSelection}
+          infer={inferPreview}
+          onComplete={completePrecheck}
+          onClose={() => setPrecheckOpen(false)}
+        />
+      )}
       <div className="mb-6">
         <h1 className="text-3xl font-bold text-gray-800 mb-2">
           Advanced Computer Vision Detection System
@@ -259,6 +760,18 @@ const DetectionStatistics = () => {
           Real-time monitoring using TensorFlow.js for face/gaze/drowsiness/phone/notes.
         </p>
       </div>
+      {reviewerNotice && (
+        <div className={`mb-4 p-3 border rounded-lg flex items-start justify-between ${reviewerNotice.action === 'end' ? 'bg-red-100 border-red-300 text-red-800' : 'bg-yellow-100 border-yellow-300 text-yellow-800'}`}>
+          <div className="flex items-start">
+            <MessageSquare className="w-5 h-5 mr-2 mt-0.5 shrink-0" />
+            <div>
+              <p className="font-semibold">{reviewerNotice.action === 'end' ? 'The reviewer ended this session' : 'Message from the reviewer'}</p>
+              {reviewerNotice.message && <p>{reviewerNotice.message}</p>}
+            </div>
+          </div>
+          <button onClick={dismissReviewerNotice} className="ml-4 px-3 py-1 bg-white bg-opacity-70 rounded text-sm hover:bg-opacity-100">OK</button>
+        </div>
+      )}
       {loadingStatus && (
         <div className="mb-4 p-3 bg-blue-100 border border-blue-300 rounded-lg flex items-center">
           <Loader className="w-5 h-5 text-blue-600 animate-spin mr-2" />
@@ -278,21 +791,50 @@ const DetectionStatistics = () => {
           <div className={`w-3 h-3 rounded-full ${isMonitoring ? 'bg-green-500 animate-pulse' : 'bg-gray-500'}`}></div>
           <span>Detection: {isMonitoring ? 'Running' : 'Stopped'}</span>
         </div>
+        <div className="flex items-center space-x-2 p-2 bg-gray-50 rounded" title={inferenceInfo ? `tfjs ${inferenceInfo.backend} backend${inferenceInfo.worker ? ' in a Web Worker' : ' on the main thread'}` : ''}>
+          <div className={`w-3 h-3 rounded-full ${!pipelineStats ? 'bg-gray-500' : pipelineStats.latencyMs > pipelineStats.intervalMs ? 'bg-yellow-500' : 'bg-green-500'}`}></div>
+          <span>
+            {inferenceInfo ? `${inferenceInfo.backend}${inferenceInfo.worker ? ' · worker' : ''}` : 'Inference'}
+            {pipelineStats && ` · ${pipelineStats.fps.toFixed(1)} fps · ${Math.round(pipelineStats.latencyMs)} ms`}
+          </span>
+        </div>
       </div>
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
         <div className="lg:col-span-2 bg-gray-100 rounded-lg overflow-hidden">
           <div className="p-4 bg-gray-200 flex items-center justify-between">
             <h3 className="font-semibold text-gray-800">Live Camera Feed</h3>
+            <div className="flex items-center gap-1 text-xs">
+              {Object.entries(OVERLAY_LAYERS).map(([layer, label]) => (
+                <button
+                  key={layer}
+                  onClick={() => setOverlayLayers(prev => ({ ...prev, [layer]: !prev[layer] }))}
+                  aria-pressed={overlayLayers[layer]}
+                  className={`px-2 py-1 rounded ${overlayLayers[layer] ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'}`}
+                >
+                  {label}
+                </button>
+              ))}
+              <button
+                onClick={() => setMirrored(prev => !prev)}
+                aria-pressed={mirrored}
+                className={`p-1 rounded ${mirrored ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'}`}
+                title="Mirror the camera view"
+                aria-label="Mirror the camera view"
+              >
+                <FlipHorizontal className="w-4 h-4" />
+              </button>
+            </div>
           </div>
           <div className="relative">
             <video
               ref={videoRef}
-              className="w-full h-80 object-cover bg-gray-900"
+              className={`w-full h-80 object-cover bg-gray-900 ${mirrorView ? '-scale-x-100' : ''}`}
               autoPlay
               muted
               playsInline
             />
-            {!cameraActive && (
+            <canvas ref={overlayCanvasRef} className="absolute inset-0 w-full h-full pointer-events-none" />
+            {!cameraActive && !analysis && (
               <div className="absolute inset-0 flex items-center justify-center bg-gray-800">
                 <div className="text-center">
                   <CameraOff className="w-16 h-16 text-gray-400 mx-auto mb-2" />
@@ -300,6 +842,24 @@ const DetectionStatistics = () => {
                 </div>
               </div>
             )}
+            {(audioMonitor || micUnavailable) && (
+              <div className="absolute top-2 left-2">
+                {audioMonitor ? <AudioLevelMeter monitor={audioMonitor} /> : (
+                  <div className="bg-black bg-opacity-70 text-yellow-300 px-2 py-1 rounded text-xs">Microphone unavailable</div>
+                )}
+              </div>
+            )}
+            {isMonitoring && currentDetections.fullscreenExit && enforceFullscreen && (
+              <div className="absolute inset-x-0 top-12 flex justify-center">
+                <button
+                  onClick={enterFullscreen}
+                  className="flex items-center px-3 py-1 bg-yellow-500 text-white rounded-full text-sm hover:bg-yellow-600"
+                >
+                  <Maximize className="w-4 h-4 mr-1" />
+                  Return to fullscreen
+                </button>
+              </div>
+            )}
             {cameraActive && (
               <div className="absolute top-2 right-2">
                 <div className="flex items-center space-x-1 bg-red-600 text-white px-3 py-1 rounded-full text-sm">
@@ -308,14 +868,22 @@ const DetectionStatistics = () => {
                 </div>
               </div>
             )}
-            {isMonitoring && (
+            {analysis && (
+              <div className="absolute top-2 right-2">
+                <div className="flex items-center space-x-1 bg-indigo-600 text-white px-3 py-1 rounded-full text-sm">
+                  <Loader className="w-3 h-3 animate-spin" />
+                  <span>ANALYZING {Math.round(analysis.progress * 100)}%</span>
+                </div>
+              </div>
+            )}
+            {(isMonitoring || analysis) && (
               <div className="absolute bottom-2 left-2 right-2">
                 <div className="bg-black bg-opacity-70 text-white p-2 rounded text-xs">
                   <div className="grid grid-cols-3 gap-2">
-                    {detectionResults.slice(0, 6).map((result, index) => {
+                    {detectionResults.slice(0, 9).map((result, index) => {
                       const Icon = getDetectionIcon(result.type);
                       return (
-                        <div key={index} className={`flex items-center ${result.active ? 'text-red-400' : 'text-green-400'}`}>
+                        <div key={index} className={`flex items-center ${result.active ? 'text-red-400' : result.detected ? 'text-yellow-300' : 'text-green-400'}`}>
                           <Icon className="w-4 h-4 mr-1"/>
                           <span>{getDetectionLabel(result.type).split(' ')[0]}</span>
                         </div>
@@ -331,9 +899,55 @@ const DetectionStatistics = () => {
           <div className="p-4 bg-gray-50 rounded-lg">
             <h3 className="font-semibold text-gray-800 mb-4">Detection Control</h3>
             <div className="space-y-4">
+              <div className="flex gap-2">
+                <select
+                  value={policy.id}
+                  onChange={e => selectPolicy(e.target.value)}
+                  disabled={policyLocked}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100"
+                  title={policyLocked ? 'Reset statistics to switch profiles' : policy.description}
+                >
+                  {policies.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+                <button
+                  onClick={() => setSettingsOpen(true)}
+                  className="px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+                  title="Policy profiles"
+                  aria-label="Policy profiles"
+                >
+                  <SlidersHorizontal className="w-4 h-4" />
+                </button>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700" title={policyLocked ? 'Reset statistics to change the microphone option' : 'Also listen for speech, other voices and background noise'}>
+                <input
+                  type="checkbox"
+                  checked={micEnabled}
+                  disabled={policyLocked}
+                  onChange={e => setMicEnabled(e.target.checked)}
+                />
+                Monitor microphone
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  type="text"
+                  value={candidate.name}
+                  onChange={e => setCandidate(prev => ({ ...prev, name: e.target.value }))}
+                  disabled={isMonitoring}
+                  placeholder="Candidate name"
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100"
+                />
+                <input
+                  type="text"
+                  value={candidate.id}
+                  onChange={e => setCandidate(prev => ({ ...prev, id: e.target.value }))}
+                  disabled={isMonitoring}
+                  placeholder="Candidate ID"
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100"
+                />
+              </div>
               <button
                 onClick={handleStartStop}
-                disabled={!modelsLoaded}
+                disabled={!modelsLoaded || Boolean(analysis)}
                 className={`w-full px-4 py-3 rounded-lg font-medium transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed ${
                   isMonitoring
                     ? 'bg-red-600 text-white hover:bg-red-700'
@@ -354,12 +968,155 @@ const DetectionStatistics = () => {
                   )}
                 </div>
               </button>
+              {cameraError && <p className="text-sm text-red-600">{cameraError}</p>}
+              {!isMonitoring && (
+                <button
+                  onClick={() => setPrecheckOpen(true)}
+                  disabled={!modelsLoaded || Boolean(analysis)}
+                  className="w-full px-4 py-2 bg-blue-100 text-blue-800 rounded-lg hover:bg-blue-200 transition-colors disabled:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+                >
+                  <div className="flex items-center justify-center">
+                    <ClipboardCheck className="w-4 h-4 mr-2" />
+                    {calibrated ? 'Run System Check Again' : 'System Check'}
+                  </div>
+                </button>
+              )}
+              {/* Resetting a running session would drop its sync, recording and baseline */}
               <button
                 onClick={resetStats}
-                className="w-full px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
+                disabled={isMonitoring || Boolean(analysis)}
+                title={isMonitoring || analysis ? 'Stop first' : undefined}
+                className={`w-full px-4 py-2 text-white rounded-lg transition-colors ${
+                  isMonitoring || analysis ? 'bg-gray-400 cursor-not-allowed' : 'bg-gray-600 hover:bg-gray-700'
+                }`}
               >
                 Reset All Statistics
               </button>
+              {SESSION_API_ENABLED && (
+                <button
+                  onClick={() => setPastSessionsOpen(true)}
+                  className="w-full px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors"
+                >
+                  <div className="flex items-center justify-center">
+                    <History className="w-4 h-4 mr-2" />
+                    Past Sessions
+                  </div>
+                </button>
+              )}
+              {syncState?.pending > 0 && (
+                <p className="text-xs text-gray-500">
+                  {syncState.pending} {syncState.pending === 1 ? 'change' : 'changes'} waiting for the session server
+                  {!syncState.online ? ' (offline)' : syncState.error ? ` (${syncState.error})` : ''}
+                </p>
+              )}
+              {!syncState?.pending && syncState?.error && <p className="text-xs text-red-600">{syncState.error}</p>}
+              {relayState && (
+                <p className={`text-xs ${relayState.connected ? 'text-green-700' : 'text-gray-500'}`}>
+                  Reviewer relay: {relayState.connected ? 'connected' : relayState.error || 'connecting'}
+                </p>
+              )}
+              <div className="pt-2 border-t border-gray-200">
+                <p className="text-sm text-gray-600 mb-2">Analyze recording</p>
+                {analysis ? (
+                  <div className="space-y-2">
+                    <p className="text-sm text-gray-700 truncate">{analysis.fileName}</p>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div className="h-2 rounded-full bg-indigo-500" style={{ width: `${analysis.progress * 100}%` }}></div>
+                    </div>
+                    <button
+                      onClick={() => { analysisCancelRef.current = true; }}
+                      className="w-full px-4 py-2 bg-gray-200 text-gray-800 rounded-lg text-sm hover:bg-gray-300 transition-colors"
+                    >
+                      Stop Analysis
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex gap-2">
+                    <select
+                      value={analysisSampleRate ?? ''}
+                      onChange={e => setAnalysisSampleRate(e.target.value === '' ? null : Number(e.target.value))}
+                      className="px-2 py-2 border border-gray-300 rounded-lg text-sm"
+                      title="Frames analyzed per second of video"
+                    >
+                      <option value="">{Number((1000 / policy.sampleIntervalMs).toFixed(2))} fps (live)</option>
+                      {ANALYSIS_SAMPLE_RATES.map(rate => (
+                        <option key={rate} value={rate}>{Number(rate.toFixed(2))} fps</option>
+                      ))}
+                    </select>
+                    <label className={`flex-1 flex items-center justify-center px-4 py-2 rounded-lg text-sm text-white transition-colors ${
+                      !modelsLoaded || isMonitoring ? 'bg-gray-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700 cursor-pointer'
+                    }`}>
+                      <Upload className="w-4 h-4 mr-2" />
+                      Choose video
+                      <input
+                        type="file"
+                        accept="video/*"
+                        className="hidden"
+                        disabled={!modelsLoaded || isMonitoring}
+                        onChange={e => { analyzeRecording(e.target.files[0]); e.target.value = ''; }}
+                      />
+                    </label>
+                  </div>
+                )}
+                {!analysis && (
+                  <label
+                    className={`mt-2 flex items-center justify-center px-4 py-2 rounded-lg text-sm transition-colors ${
+                      !modelsLoaded || isMonitoring ? 'bg-gray-100 text-gray-400 cursor-not-allowed' : 'bg-gray-200 text-gray-800 hover:bg-gray-300 cursor-pointer'
+                    }`}
+                    title="Analyze every clip in a folder and compare each with its saved JSON report"
+                  >
+                    <FolderOpen className="w-4 h-4 mr-2" />
+                    Check reference folder
+                    <input
+                      type="file"
+                      webkitdirectory=""
+                      multiple
+                      className="hidden"
+                      disabled={!modelsLoaded || isMonitoring}
+                      onChange={e => { runRegression([...e.target.files]); e.target.value = ''; }}
+                    />
+                  </label>
+                )}
+                {analysisError && <p className="mt-2 text-sm text-red-600">{analysisError}</p>}
+                {regression && (
+                  <RegressionResults results={regression.results} total={regression.total} running={regression.running} onDownload={downloadReference} />
+                )}
+              </div>
+              {session && !isMonitoring && !analysis && (
+                <div className="pt-2 border-t border-gray-200">
+                  <p className="text-sm text-gray-600 mb-2">Session report</p>
+                  <div className="grid grid-cols-4 gap-2">
+                    {['json', 'csv', 'html'].map(format => (
+                      <button
+                        key={format}
+                        onClick={() => exportReport(format)}
+                        className="flex items-center justify-center px-2 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors"
+                      >
+                        <Download className="w-4 h-4 mr-1" />
+                        {format.toUpperCase()}
+                      </button>
+                    ))}
+                    <button
+                      onClick={() => exportReport('print')}
+                      className="flex items-center justify-center px-2 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors"
+                      title="Print or save as PDF"
+                    >
+                      <Printer className="w-4 h-4 mr-1" />
+                      PDF
+                    </button>
+                  </div>
+                  {!session.source && (
+                    <button
+                      onClick={() => setReviewOpen(true)}
+                      disabled={recordingSaving}
+                      className="mt-2 w-full flex items-center justify-center px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 transition-colors disabled:bg-gray-400 disabled:cursor-not-allowed"
+                    >
+                      <Film className="w-4 h-4 mr-2" />
+                      {recordingSaving ? 'Saving recording...' : 'Review Recording'}
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           </div>
           <div className="space-y-3">
@@ -370,9 +1127,14 @@ const DetectionStatistics = () => {
             </div>
             <div className={`p-4 rounded-lg ${severity.color.replace('text-', 'bg-').replace('-600', '-50').replace('-700', '-50')}`}>
               <h3 className={`font-semibold mb-1 ${severity.color.split(' ')[0]}`}>Risk Assessment</h3>
-              <p className={`text-xl font-bold ${severity.color.split(' ')[0].replace('-600', '-900').replace('-700', '-900')}`}>
-                {severity.level}
-              </p>
+              <div className="flex items-end justify-between">
+                <p className={`text-xl font-bold ${severity.color.split(' ')[0].replace('-600', '-900').replace('-700', '-900')}`}>
+                  {severity.level}
+                </p>
+                <p className="text-2xl font-bold text-gray-900" title="Integrity score">
+                  {Math.round(severity.score)}<span className="text-sm font-normal text-gray-500">/100</span>
+                </p>
+              </div>
               <p className={`text-sm ${severity.color.split(' ')[0].replace('-600', '-700').replace('-700', '-700')}`}>
                 {severity.level === 'Critical' && 'Immediate intervention required'}
                 {severity.level === 'High Risk' && 'Close monitoring needed'}
@@ -380,7 +1142,81 @@ const DetectionStatistics = () => {
                 {severity.level === 'Low Risk' && 'Minor concerns detected'}
                 {severity.level === 'Normal' && 'All systems normal'}
               </p>
+              <Sparkline values={integrityHistory} className={`mt-2 ${severity.color.split(' ')[0]}`} />
+              <p className="text-xs text-gray-500 mt-1">Integrity score · {riskPolicy.name} policy</p>
+              {integrity.items.length > 0 && (
+                <div className="mt-2 space-y-1 text-sm">
+                  {Object.entries(integrity.byType).sort((a, b) => b[1] - a[1]).map(([type, points]) => (
+                    <div key={type} className="flex justify-between text-gray-700">
+                      <span>{getDetectionLabel(type)} ×{integrity.items.filter(item => item.type === type).length}</span>
+                      <span className="font-mono">-{points.toFixed(1)}</span>
+                    </div>
+                  ))}
+                  <details className="text-xs text-gray-600">
+                    <summary className="cursor-pointer">Per-event cost</summary>
+                    <p className="mt-1 text-gray-500">
+                      Weight × confidence × duration factor × session length factor ({integrity.lengthFactor.toFixed(2)})
+                    </p>
+                    <ul className="mt-1 space-y-0.5 max-h-40 overflow-y-auto">
+                      {[...integrity.items].sort((a, b) => b.points - a.points).map(item => (
+                        <li key={item.id} className="flex justify-between gap-2">
+                          <span className="truncate">
+                            {getDetectionLabel(item.type)} at {formatEventTime(item.startedAt)}, {formatDuration(item.durationMs)}, {formatConfidence(item.confidence)}
+                          </span>
+                          <span className="font-mono">-{item.points.toFixed(1)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                </div>
+              )}
             </div>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <h3 className="font-semibold text-gray-800 mb-2">Eye &amp; Head Tracking</h3>
+              {attention?.pose && (
+                <div className="grid grid-cols-2 gap-2 text-sm text-gray-700 mb-2">
+                  <span>Head (yaw / pitch / roll)</span>
+                  <span className="text-right font-mono">
+                    {`${Math.round(attention.pose.yaw)}° / ${Math.round(attention.pose.pitch)}° / ${Math.round(attention.pose.roll)}°`}
+                  </span>
+                  <span>Gaze</span>
+                  <span className={`text-right ${attention.away ? 'text-orange-600' : 'text-green-600'}`}>
+                    {attention.away ? `Looking ${attention.direction} (${attention.source})` : 'On screen'}
+                  </span>
+                </div>
+              )}
+              {eyeMetrics ? (
+                <div className="grid grid-cols-2 gap-2 text-sm text-gray-700">
+                  <span>EAR (L / R)</span>
+                  <span className="text-right font-mono">
+                    {eyeMetrics.ear ? `${eyeMetrics.ear.left.toFixed(2)} / ${eyeMetrics.ear.right.toFixed(2)}` : '--'}
+                  </span>
+                  <span>Eyes</span>
+                  <span className={`text-right ${eyeMetrics.closed ? 'text-indigo-600' : 'text-green-600'}`}>
+                    {eyeMetrics.closed ? `Closed ${(eyeMetrics.closedMs / 1000).toFixed(1)}s` : 'Open'}
+                  </span>
+                  <span>Blinks</span>
+                  <span className="text-right font-mono">{eyeMetrics.blinkCount}</span>
+                  <span>Blink rate</span>
+                  <span className="text-right font-mono">{Math.round(eyeMetrics.blinkRate)}/min</span>
+                  <span>Longest closure</span>
+                  <span className="text-right font-mono">{(eyeMetrics.longestClosureMs / 1000).toFixed(1)}s</span>
+                </div>
+              ) : (
+                <p className="text-gray-500 text-sm">No eye data yet</p>
+              )}
+            </div>
+            {identityEnabled && (
+              <IdentityPanel
+                status={embedderStatus}
+                identity={identity}
+                references={identityReferences}
+                idPhoto={idPhoto}
+                locked={policyLocked}
+                onIdPhoto={loadIdPhoto}
+                onClearIdPhoto={clearIdPhoto}
+              />
+            )}
             <div className="bg-gray-50 p-4 rounded-lg">
               <h3 className="font-semibold text-gray-800 mb-2">Active Alerts</h3>
               <div className="space-y-2">
@@ -389,12 +1225,24 @@ const DetectionStatistics = () => {
                 ) : (
                   Object.entries(currentDetections)
                     .filter(([_, active]) => active)
-                    .map(([key, _]) => (
-                      <div key={key} className="flex items-center text-red-600 text-sm">
-                        <AlertTriangle className="w-4 h-4 mr-2 animate-pulse" />
-                        <span>{getDetectionLabel(key)} - Active</span>
-                      </div>
-                    ))
+                    .map(([key, _]) => {
+                      const event = openEventOf(key);
+                      const snapshot = event && snapshots[event.id];
+                      return (
+                        <div key={key} className="flex items-center text-red-600 text-sm">
+                          <AlertTriangle className="w-4 h-4 mr-2 animate-pulse" />
+                          <span className="flex-1">
+                            {getDetectionLabel(key)} - Active
+                            {key === 'focusLost' && attention?.direction && ` (looking ${attention.direction})`}
+                          </span>
+                          {snapshot?.url && (
+                            <button onClick={() => setLightboxEvent(event)} className="ml-2 shrink-0" title="View evidence">
+                              <img src={snapshot.url} alt={`${getDetectionLabel(key)} evidence`} className="w-16 h-10 object-cover rounded border border-red-300" />
+                            </button>
+                          )}
+                        </div>
+                      );
+                    })
                 )}
               </div>
             </div>
@@ -437,6 +1285,10 @@ const DetectionStatistics = () => {
                   <span className="text-3xl font-bold text-gray-900">{count}</span>
                   <span className="text-sm text-gray-500">violations</span>
                 </div>
+                <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
+                  <span>Total duration</span>
+                  <span className="font-mono">{formatDuration(durations[key])}</span>
+                </div>
                 <div className="w-full bg-gray-200 rounded-full h-2 mb-2">
                   <div 
                     className={`h-2 rounded-full transition-all duration-300 ${
@@ -447,6 +1299,13 @@ const DetectionStatistics = () => {
                     }}
                   ></div>
                 </div>
+                {key === 'focusLost' && count > 0 && (
+                  <div className="flex justify-between text-xs text-gray-600 mb-2">
+                    {Object.entries(focusDirections).map(([direction, n]) => (
+                      <span key={direction} className="capitalize">{direction}: {n}</span>
+                    ))}
+                  </div>
+                )}
                 <div className="text-xs text-gray-500">
                   {count > 0 && (
                     <span>
@@ -460,6 +1319,83 @@ const DetectionStatistics = () => {
           })}
         </div>
       </div>
+      {/* Violation timeline */}
+      <div className="mb-6 bg-gray-50 rounded-lg">
+        <div className="p-4 flex items-center justify-between">
+          <h3 className="font-semibold text-gray-800">Violation Timeline</h3>
+          <span className="text-sm text-gray-500">{events.length} events</span>
+        </div>
+        <div className="max-h-64 overflow-y-auto px-4 pb-4">
+          {events.length === 0 ? (
+            <p className="text-sm text-gray-500">No violations recorded this session</p>
+          ) : (
+            <ul className="space-y-2">
+              {[...events].reverse().map(event => {
+                const Icon = getDetectionIcon(event.type);
+                const ongoing = event.endedAt === null;
+                return (
+                  <li key={event.id} className={`flex items-center text-sm p-2 rounded bg-white border ${ongoing ? 'border-red-300' : 'border-gray-200'}`}>
+                    <Icon className={`w-4 h-4 mr-2 ${getDetectionColor(event.type, false)}`} />
+                    <span className="font-medium text-gray-800 w-36">{getDetectionLabel(event.type)}</span>
+                    <span className="font-mono text-gray-600 w-40">
+                      {formatEventTime(event.startedAt)}{ongoing ? '' : ` - ${formatEventTime(event.endedAt)}`}
+                    </span>
+                    <span className={`font-mono w-24 ${ongoing ? 'text-red-600' : 'text-gray-600'}`}>
+                      {ongoing ? `${formatDuration(eventDuration(event))}…` : formatDuration(event.durationMs)}
+                    </span>
+                    <span className="font-mono text-gray-600 w-16">{formatConfidence(event.peakConfidence)}</span>
+                    <span className="text-gray-500 truncate flex-1">{describeEventData(event)}</span>
+                    {snapshots[event.id]?.url && (
+                      <button onClick={() => setLightboxEvent(event)} className="ml-2 shrink-0" title="View evidence">
+                        <img src={snapshots[event.id].url} alt={`${getDetectionLabel(event.type)} evidence`} className="w-12 h-8 object-cover rounded border border-gray-300" />
+                      </button>
+                    )}
+                    {snapshots[event.id]?.skipped && (
+                      <span className="ml-2 text-xs text-gray-400" title="Snapshot storage cap reached">no snapshot</span>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+      <SnapshotLightbox
+        snapshot={lightboxEvent && snapshots[lightboxEvent.id]}
+        title={lightboxEvent ? getDetectionLabel(lightboxEvent.type) : ''}
+        subtitle={lightboxEvent ? `${formatEventTime(lightboxEvent.startedAt)} · peak confidence ${formatConfidence(lightboxEvent.peakConfidence)}` : ''}
+        onClose={closeLightbox}
+      />
+      {settingsOpen && (
+        <PolicySettings
+          policies={policies}
+          activeId={policy.id}
+          lockedId={policyLocked ? (session?.policy || policy).id : null}
+          labels={allLabels}
+          onSelect={selectPolicy}
+          onSave={savePolicy}
+          onDelete={deletePolicy}
+          onClose={() => setSettingsOpen(false)}
+        />
+      )}
+      {reviewOpen && session && (
+        <SessionReview
+          sessionId={session.id}
+          events={events}
+          getDetectionLabel={getDetectionLabel}
+          getDetectionColor={getDetectionColor}
+          onClose={() => setReviewOpen(false)}
+        />
+      )}
+      {pastSessionsOpen && (
+        <PastSessions
+          getDetectionIcon={getDetectionIcon}
+          getDetectionLabel={getDetectionLabel}
+          getDetectionColor={getDetectionColor}
+          severityColors={SEVERITY_COLORS}
+          onClose={() => setPastSessionsOpen(false)}
+        />
+      )}
       {/* Info section */}
       <div className="bg-gradient-to-r from-blue-50 to-indigo-50 p-6 rounded-lg border border-blue-200">
         <h3 className="text-lg font-semibold text-gray-800 mb-3">
@@ -470,15 +1406,25 @@ const DetectionStatistics = () => {
             <h4 className="font-medium text-green-800 mb-2">TensorFlow.js Integration:</h4>
             <ul className="space-y-1 text-gray-700">
               <li>• BlazeFace model for face/gaze</li>
-              <li>• Drowsiness & FocusLost simulation</li>
+              <li>• FaceMesh eye aspect ratio for drowsiness & blinks</li>
+              <li>• Head pose & iris gaze for focus lost, relative to a calibrated baseline</li>
+              <li>• Pre-interview system check: devices, lighting, focus, face and calibration</li>
+              <li>• Live overlay of face boxes, landmarks and object labels</li>
+              <li>• MediaRecorder session recording with annotated playback</li>
+              <li>• Offline analysis of uploaded recordings</li>
               <li>• COCO-SSD for phone/book detection</li>
+              <li>• Identity checks against enrolled reference faces and an optional ID photo, on-device</li>
+              <li>• Optional microphone: voice activity, multiple voices and background noise</li>
+              <li>• Browser checks: tab switches, focus, fullscreen, clipboard, display changes, reloads</li>
+              <li>• Sessions saved to the session server, queued while offline</li>
+              <li>• Live reviewer dashboard with alerts, warnings, flags and remote end</li>
             </ul>
           </div>
         </div>
         <div className="mt-4 p-3 bg-yellow-100 border border-yellow-300 rounded">
           <p className="text-yellow-800 text-sm">
-            <strong>Production Note:</strong> This demo uses simulated focus/eye detection for browser speed.
-            Integrate face landmark models for robust gaze/drowsiness in real deployments.
+            <strong>Production Note:</strong> Head pose and gaze are estimated from FaceMesh geometry and
+            measured from the position recorded in the system check. Tune the allowed angles for your camera placement.
           </p>
         </div>
       </div>
@@ -0,0 +1,75 @@
+import React from 'react';
+import { UserCheck, Loader, X } from 'lucide-react';
+
+const percent = value => (value === null || value === undefined ? '--' : `${Math.round(value * 100)}%`);
+
+// Identity verification status: the reference faces enrolled at the start of the
+// session, the latest similarity checks and the optional ID photo. Everything here
+// stays in the browser; nothing is uploaded or stored with the session.
+const IdentityPanel = ({ status, identity, references, idPhoto, locked, onIdPhoto, onClearIdPhoto }) => {
+  const enrolling = identity && identity.enrolled < identity.needed;
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg">
+      <h3 className="font-semibold text-gray-800 mb-2 flex items-center">
+        <UserCheck className="w-4 h-4 mr-2" />
+        Identity
+      </h3>
+      {status === 'loading' && (
+        <p className="text-sm text-gray-500 flex items-center"><Loader className="w-4 h-4 mr-2 animate-spin" />Loading face recognition model...</p>
+      )}
+      {status === 'error' && <p className="text-sm text-red-600">Face recognition unavailable; identity is not checked.</p>}
+      {status === 'ready' && (
+        <div className="space-y-2 text-sm text-gray-700">
+          {references.length > 0 ? (
+            <div className="flex gap-1">
+              {references.map((url, i) => <img key={i} src={url} alt={`Reference ${i + 1}`} className="w-10 h-10 rounded object-cover border border-gray-300" />)}
+            </div>
+          ) : (
+            <p className="text-gray-500">Reference faces are captured when monitoring starts.</p>
+          )}
+          {enrolling && <p className="text-blue-700">Enrolling {identity.enrolled}/{identity.needed}: look at the camera</p>}
+          {identity && !enrolling && (
+            <div className="grid grid-cols-2 gap-2">
+              <span>Match to reference</span>
+              <span className="text-right font-mono">{percent(identity.similarity)}</span>
+              {idPhoto?.url && (
+                <>
+                  <span>Match to ID photo</span>
+                  <span className="text-right font-mono">{percent(identity.idSimilarity)}</span>
+                </>
+              )}
+            </div>
+          )}
+          <div className="flex items-center gap-2 pt-2 border-t border-gray-200">
+            {idPhoto?.url ? (
+              <>
+                <img src={idPhoto.url} alt="ID" className="w-10 h-10 rounded object-cover border border-gray-300" />
+                <span className="flex-1">ID photo</span>
+                {!locked && (
+                  <button onClick={onClearIdPhoto} className="p-1 text-gray-500 hover:text-gray-800" title="Remove ID photo" aria-label="Remove ID photo">
+                    <X className="w-4 h-4" />
+                  </button>
+                )}
+              </>
+            ) : (
+              <label className={`flex-1 px-3 py-1 rounded text-center ${locked ? 'bg-gray-200 text-gray-400 cursor-not-allowed' : 'bg-gray-200 hover:bg-gray-300 cursor-pointer'}`}>
+                {idPhoto?.loading ? 'Reading ID photo...' : 'Add ID photo (optional)'}
+                <input
+                  type="file"
+                  accept="image/*"
+                  className="hidden"
+                  disabled={locked || idPhoto?.loading}
+                  onChange={e => { onIdPhoto(e.target.files[0]); e.target.value = ''; }}
+                />
+              </label>
+            )}
+          </div>
+          {idPhoto?.error && <p className="text-red-600">{idPhoto.error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IdentityPanel;
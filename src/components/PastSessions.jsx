@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, ArrowLeft, Search, Loader, Download, AlertTriangle, Flag } from 'lucide-react';
+import { listSessions, fetchSession, fetchReport, snapshotUrl } from '../utils/sessionApi';
+import { computeIntegrity } from '../utils/integrity';
+import { totalDurationByType, eventDuration } from '../utils/eventLog';
+import { formatDuration, formatConfidence, formatOffset } from '../utils/format';
+import { reportFileName, downloadFile } from '../utils/report';
+import { STANDARD_POLICY } from '../utils/policy';
+import SnapshotLightbox from './SnapshotLightbox';
+
+const PAGE_SIZE = 25;
+const SEARCH_DELAY_MS = 300;
+
+const formatDateTime = timestamp => new Date(timestamp).toLocaleString();
+
+// Statistics of one stored session, rebuilt from its events as the dashboard showed them
+const SessionDetail = ({ sessionId, getDetectionIcon, getDetectionLabel, getDetectionColor, severityColors, onBack }) => {
+  const [data, setData] = useState(null); // { session, events, snapshots }
+  const [error, setError] = useState('');
+  const [lightboxEvent, setLightboxEvent] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchSession(sessionId)
+      .then(found => { if (!cancelled) setData(found); })
+      .catch(err => { if (!cancelled) setError(`Could not load the session: ${err.message}`); });
+    return () => { cancelled = true; };
+  }, [sessionId]);
+
+  const closeLightbox = useCallback(() => setLightboxEvent(null), []);
+
+  if (error) return <p className="text-red-600">{error}</p>;
+  if (!data) return <Loader className="w-6 h-6 text-gray-400 animate-spin" />;
+
+  const { session, events } = data;
+  const snapshots = new Set(data.snapshots.map(s => s.eventId));
+  // Sessions that never finalized end at their last recorded event
+  const endedAt = session.endedAt ?? Math.max(session.startedAt, ...events.map(e => e.endedAt ?? e.startedAt));
+  const integrity = computeIntegrity(events, { startedAt: session.startedAt, now: endedAt, risk: session.policy?.risk ?? STANDARD_POLICY.risk });
+  const counts = events.reduce((totals, event) => ({ ...totals, [event.type]: (totals[event.type] || 0) + 1 }), {});
+  const durations = totalDurationByType(events, endedAt);
+  const formatEventTime = timestamp => formatOffset(timestamp - session.startedAt);
+
+  const downloadReport = async () => {
+    try {
+      const report = await fetchReport(session.id);
+      downloadFile(reportFileName(report, 'json'), JSON.stringify(report, null, 2), 'application/json');
+    } catch (err) {
+      setError(`Could not download the report: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <button onClick={onBack} className="flex items-center text-sm text-blue-700 hover:text-blue-900 mb-2">
+            <ArrowLeft className="w-4 h-4 mr-1" /> All sessions
+          </button>
+          <h3 className="text-xl font-semibold text-gray-800">{session.candidate.name || 'Unnamed candidate'}{session.candidate.id && ` · ${session.candidate.id}`}</h3>
+          <p className="text-sm text-gray-500">
+            {formatDateTime(session.startedAt)} · {formatDuration(endedAt - session.startedAt)} · {session.policy?.name ?? session.policyId ?? 'Unknown'} policy
+            {session.source && ` · analyzed from ${session.source.name}`}
+          </p>
+          <p className="text-xs text-gray-400 font-mono">{session.id}</p>
+          {session.flag && (
+            <p className="mt-1 flex items-center text-sm text-orange-700">
+              <Flag className="w-4 h-4 mr-1" /> Flagged by a reviewer at {formatDateTime(session.flag.at)}{session.flag.note && `: ${session.flag.note}`}
+            </p>
+          )}
+        </div>
+        {session.finalizedAt ? (
+          <button onClick={downloadReport} className="flex items-center px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">
+            <Download className="w-4 h-4 mr-1" /> Report
+          </button>
+        ) : (
+          <span className="text-sm text-yellow-700" title="The session never stopped, or its last changes haven't reached the server">Not finalized</span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-blue-50 p-4 rounded-lg">
+          <h4 className="text-blue-800 font-semibold mb-1">Total Violations</h4>
+          <p className="text-3xl font-bold text-blue-900">{events.length}</p>
+        </div>
+        <div className={`p-4 rounded-lg ${severityColors[integrity.level] || 'bg-gray-100'}`}>
+          <h4 className="font-semibold mb-1">Risk Assessment</h4>
+          <div className="flex items-end justify-between">
+            <p className="text-xl font-bold">{integrity.level}</p>
+            <p className="text-2xl font-bold">{Math.round(integrity.score)}<span className="text-sm font-normal">/100</span></p>
+          </div>
+        </div>
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <h4 className="text-gray-800 font-semibold mb-1">Evidence</h4>
+          <p className="text-3xl font-bold text-gray-900">{snapshots.size}</p>
+          <p className="text-sm text-gray-600">snapshots stored</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([type, count]) => {
+          const Icon = getDetectionIcon(type);
+          return (
+            <div key={type} className="p-4 rounded-lg border-2 border-gray-200 bg-white">
+              <div className="flex items-center mb-2">
+                <Icon className={`w-5 h-5 mr-2 ${getDetectionColor(type, false)}`} />
+                <h4 className="font-semibold text-gray-800">{getDetectionLabel(type)}</h4>
+              </div>
+              <div className="flex items-end justify-between text-sm text-gray-600">
+                <span><span className="text-2xl font-bold text-gray-900">{count}</span> violations</span>
+                <span className="font-mono">{formatDuration(durations[type])}</span>
+              </div>
+              {integrity.byType[type] > 0 && <p className="text-xs text-gray-500 mt-1">-{integrity.byType[type].toFixed(1)} integrity points</p>}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="bg-gray-50 rounded-lg p-4">
+        <h4 className="font-semibold text-gray-800 mb-2">Violation Timeline</h4>
+        {events.length === 0 ? (
+          <p className="text-sm text-gray-500">No violations recorded this session</p>
+        ) : (
+          <ul className="space-y-2 max-h-96 overflow-y-auto">
+            {events.map((event) => {
+              const Icon = getDetectionIcon(event.type);
+              return (
+                <li key={event.id} className="flex items-center text-sm p-2 rounded bg-white border border-gray-200">
+                  <Icon className={`w-4 h-4 mr-2 ${getDetectionColor(event.type, false)}`} />
+                  <span className="font-medium text-gray-800 w-44">{getDetectionLabel(event.type)}</span>
+                  <span className="font-mono text-gray-600 w-40">
+                    {formatEventTime(event.startedAt)}{event.endedAt === null ? '' : ` - ${formatEventTime(event.endedAt)}`}
+                  </span>
+                  <span className="font-mono text-gray-600 w-24">{formatDuration(eventDuration(event, endedAt))}</span>
+                  <span className="font-mono text-gray-600 w-16 flex-1">{formatConfidence(event.peakConfidence)}</span>
+                  {snapshots.has(event.id) && (
+                    <button onClick={() => setLightboxEvent(event)} className="ml-2 shrink-0" title="View evidence">
+                      <img src={snapshotUrl(session.id, event.id)} alt={`${getDetectionLabel(event.type)} evidence`} className="w-12 h-8 object-cover rounded border border-gray-300" loading="lazy" />
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      <SnapshotLightbox
+        snapshot={lightboxEvent && { url: snapshotUrl(session.id, lightboxEvent.id) }}
+        title={lightboxEvent ? getDetectionLabel(lightboxEvent.type) : ''}
+        subtitle={lightboxEvent ? `${formatEventTime(lightboxEvent.startedAt)} · peak confidence ${formatConfidence(lightboxEvent.peakConfidence)}` : ''}
+        onClose={closeLightbox}
+      />
+    </div>
+  );
+};
+
+// Sessions stored by the session backend, searchable by candidate or session id;
+// any of them opens with the statistics it was recorded with.
+const PastSessions = ({ getDetectionIcon, getDetectionLabel, getDetectionColor, severityColors, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState('');
+  const [page, setPage] = useState({ sessions: [], total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [openId, setOpenId] = useState(null);
+
+  const load = useCallback(async (offset) => {
+    setLoading(true);
+    setError('');
+    try {
+      const found = await listSessions({ query: query.trim(), status: status || null, limit: PAGE_SIZE, offset });
+      setPage(prev => ({ sessions: offset ? [...prev.sessions, ...found.sessions] : found.sessions, total: found.total }));
+    } catch (err) {
+      setError(err.status ? err.message : 'The session server is unreachable.');
+    } finally {
+      setLoading(false);
+    }
+  }, [query, status]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => load(0), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [load]);
+
+  return (
+    <div className="fixed inset-0 z-40 bg-white overflow-y-auto">
+      <div className="max-w-6xl mx-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Past Sessions</h2>
+            <p className="text-sm text-gray-500">Sessions saved to the session server</p>
+          </div>
+          <button onClick={onClose} className="p-2 text-gray-600 hover:text-gray-900" aria-label="Close past sessions">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {openId ? (
+          <SessionDetail
+            sessionId={openId}
+            getDetectionIcon={getDetectionIcon}
+            getDetectionLabel={getDetectionLabel}
+            getDetectionColor={getDetectionColor}
+            severityColors={severityColors}
+            onBack={() => setOpenId(null)}
+          />
+        ) : (
+          <>
+            <div className="flex gap-2 mb-4">
+              <div className="flex-1 flex items-center px-3 border border-gray-300 rounded-lg">
+                <Search className="w-4 h-4 text-gray-400 mr-2" />
+                <input
+                  type="search"
+                  value={query}
+                  onChange={e => setQuery(e.target.value)}
+                  placeholder="Candidate name, candidate ID or session ID"
+                  className="flex-1 py-2 text-sm outline-none"
+                />
+              </div>
+              <select value={status} onChange={e => setStatus(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                <option value="">All sessions</option>
+                <option value="finalized">Finalized</option>
+                <option value="open">Not finalized</option>
+              </select>
+            </div>
+
+            {error && (
+              <p className="mb-4 flex items-center text-sm text-red-600"><AlertTriangle className="w-4 h-4 mr-2" />{error}</p>
+            )}
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 font-medium">Started</th>
+                  <th className="py-2 font-medium">Candidate</th>
+                  <th className="py-2 font-medium">Duration</th>
+                  <th className="py-2 font-medium">Policy</th>
+                  <th className="py-2 font-medium text-right">Violations</th>
+                  <th className="py-2 font-medium text-right">Integrity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {page.sessions.map(session => (
+                  <tr key={session.id} onClick={() => setOpenId(session.id)} className="border-b border-gray-100 hover:bg-gray-50 cursor-pointer">
+                    <td className="py-2">{formatDateTime(session.startedAt)}</td>
+                    <td className="py-2">
+                      {session.flag && <Flag className="inline w-4 h-4 mr-1 text-orange-600" aria-label="Flagged" />}
+                      {session.candidate.name || <span className="text-gray-400">Unnamed</span>}
+                      {session.candidate.id && <span className="text-gray-500"> · {session.candidate.id}</span>}
+                    </td>
+                    <td className="py-2 font-mono">{session.endedAt ? formatDuration(session.endedAt - session.startedAt) : <span className="text-yellow-700">not finalized</span>}</td>
+                    <td className="py-2">{session.policyId ?? '--'}{session.source && ' · file'}</td>
+                    <td className="py-2 text-right font-mono">{session.eventCount}</td>
+                    <td className="py-2 text-right">
+                      {session.integrityScore === null ? '--' : (
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${severityColors[session.riskLevel] || 'text-gray-600 bg-gray-100'}`}>
+                          {Math.round(session.integrityScore)} · {session.riskLevel}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!loading && !error && page.sessions.length === 0 && <p className="mt-4 text-sm text-gray-500">No sessions found</p>}
+            <div className="mt-4 flex items-center justify-between text-sm text-gray-500">
+              <span>{page.sessions.length} of {page.total}</span>
+              {loading ? <Loader className="w-5 h-5 animate-spin" /> : page.sessions.length < page.total && (
+                <button onClick={() => load(page.sessions.length)} className="px-3 py-1 bg-gray-200 text-gray-800 rounded hover:bg-gray-300">Load more</button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PastSessions;
@@ -0,0 +1,523 @@
+import React, { useState } from 'react';
+import { X, Copy, Trash2, Upload, Download, Save } from 'lucide-react';
+import { DEFAULT_OBJECT_VIOLATIONS } from '../engine';
+import { RISK_LEVELS, BROWSER_CHECKS, SMOOTHING_FIELDS, validatePolicy, normalizePolicy, parsePolicy, serializePolicy, isBuiltInPolicy, uniquePolicyId } from '../utils/policy';
+import { downloadFile } from '../utils/report';
+
+const DETECTOR_NAMES = {
+  focus: 'Focus lost',
+  faceAbsent: 'Face absent',
+  multipleFaces: 'Multiple faces',
+  identity: 'Identity',
+  objects: 'Objects and people',
+  drowsiness: 'Drowsiness',
+  audio: 'Microphone (when on)',
+  browser: 'Browser environment'
+};
+
+// Per-detector numeric settings: [key, label, step, min]
+const DETECTOR_FIELDS = {
+  focus: [['lostFrames', 'Frames away before flagging', 1]],
+  identity: [
+    ['enrollSamples', 'Reference captures', 1],
+    ['intervalMs', 'Check every (ms)', 250],
+    ['minSimilarity', 'Min similarity to reference (0-1)', 0.05],
+    ['minIdSimilarity', 'Min similarity to ID photo (0-1)', 0.05],
+    ['mismatchChecks', 'Failed checks before flagging', 1]
+  ],
+  drowsiness: [['earThreshold', 'Closed-eye EAR threshold', 0.01], ['drowsyFrames', 'Closed frames before flagging', 1]],
+  audio: [
+    ['minSpeechMs', 'Speech before flagging (ms)', 100],
+    ['pitchSeparation', 'Voice pitch separation (semitones)', 1],
+    ['noiseDb', 'Background noise level (dB)', 1, -90],
+    ['noiseMs', 'Noise before flagging (ms)', 1000]
+  ],
+  browser: [['blurGraceMs', 'Unfocused before flagging (ms)', 100]],
+  objects: [['minArea', 'Min box area (fraction of frame)', 0.001]]
+};
+
+// Desk area (lower half of the frame) and two face widths around the face
+const DEFAULT_ROI = { region: [0, 0.5, 1, 0.5], nearFace: 2 };
+const REGION_FIELDS = ['x', 'y', 'width', 'height'];
+
+const LIMIT_FIELDS = [
+  ['maxYaw', 'Max yaw (°)', 1],
+  ['maxPitchUp', 'Max pitch up (°)', 1],
+  ['maxPitchDown', 'Max pitch down (°)', 1],
+  ['maxGazeX', 'Max gaze x', 0.01],
+  ['maxGazeY', 'Max gaze y', 0.01],
+  ['maxShift', 'Max head shift (face widths)', 0.05]
+];
+
+const SMOOTHING_HEADERS = { minOnMs: 'On', minOffMs: 'Off', averageMs: 'Avg', cooldownMs: 'Merge' };
+
+// Immutable update of a nested value; `undefined` removes the key
+const setIn = (obj, [key, ...rest], value) => {
+  if (!rest.length) {
+    const { [key]: _removed, ...others } = obj;
+    return value === undefined ? others : { ...obj, [key]: value };
+  }
+  return { ...obj, [key]: setIn(obj[key] || {}, rest, value) };
+};
+
+const NumberField = ({ label, value, step, min = 0, disabled, onChange }) => (
+  <label className="flex items-center justify-between gap-2 text-sm text-gray-700">
+    <span>{label}</span>
+    <input
+      type="number"
+      step={step}
+      min={min}
+      value={value ?? ''}
+      disabled={disabled}
+      onChange={e => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+      className="w-24 px-2 py-1 border border-gray-300 rounded text-right disabled:bg-gray-100"
+    />
+  </label>
+);
+
+// Edits, imports and exports policy profiles. Built-in profiles are read-only;
+// `lockedId` is the profile of the session in progress, which can't be changed either.
+const PolicySettings = ({ policies, activeId, lockedId, labels, onSelect, onSave, onDelete, onClose }) => {
+  const [selectedId, setSelectedId] = useState(activeId);
+  const [draft, setDraft] = useState(() => policies.find(p => p.id === activeId));
+  const [message, setMessage] = useState(null); // { error, text }
+
+  const builtIn = isBuiltInPolicy(draft.id);
+  const locked = builtIn || draft.id === lockedId;
+  const errors = validatePolicy(draft);
+  const saved = policies.find(p => p.id === draft.id);
+  const dirty = !saved || serializePolicy(saved) !== serializePolicy(draft);
+
+  const select = (id) => {
+    setSelectedId(id);
+    setDraft(policies.find(p => p.id === id));
+    setMessage(null);
+  };
+  const update = (path, value) => setDraft(prev => setIn(prev, path, value));
+
+  const duplicate = () => {
+    const name = `${draft.name} (copy)`;
+    setDraft({ ...draft, id: uniquePolicyId(name, policies), name });
+    setMessage(null);
+  };
+
+  const save = () => {
+    const policy = normalizePolicy(draft);
+    onSave(policy);
+    setSelectedId(policy.id);
+    setDraft(policy);
+    setMessage({ error: false, text: `Saved "${policy.name}"` });
+  };
+
+  const remove = () => {
+    if (!window.confirm(`Delete the profile "${draft.name}"?`)) return;
+    onDelete(draft.id);
+    select(activeId === draft.id ? policies[0].id : activeId);
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parsePolicy(await file.text());
+      const policy = policies.some(p => p.id === imported.id) ? { ...imported, id: uniquePolicyId(imported.name, policies) } : imported;
+      onSave(policy);
+      setSelectedId(policy.id);
+      setDraft(policy);
+      setMessage({ error: false, text: `Imported "${policy.name}" as ${policy.id}` });
+    } catch (err) {
+      setMessage({ error: true, text: `Could not import ${file.name}: ${err.message}` });
+    }
+  };
+
+  const objectTypes = [...new Set([...Object.keys(DEFAULT_OBJECT_VIOLATIONS), ...Object.keys(draft.detectors.objects?.violations || {})])];
+  const objectClasses = [...new Set(Object.values(draft.detectors.objects?.violations || {}).flatMap(rule => rule.classes || []))];
+  const roi = draft.detectors.objects?.roi;
+
+  return (
+    <div className="fixed inset-0 z-40 bg-white overflow-y-auto">
+      <div className="max-w-5xl mx-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Policy Profiles</h2>
+            <p className="text-sm text-gray-500">Which detectors run, how strict they are and how violations count against the integrity score</p>
+          </div>
+          <button onClick={onClose} className="p-2 text-gray-600 hover:text-gray-900" aria-label="Close settings">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+          <select
+            value={saved ? selectedId : ''}
+            onChange={e => select(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            {!saved && <option value="">{draft.name} (unsaved)</option>}
+            {policies.map(p => (
+              <option key={p.id} value={p.id}>{p.name}{isBuiltInPolicy(p.id) ? ' (built-in)' : ''}{p.id === activeId ? ' - active' : ''}</option>
+            ))}
+          </select>
+          {saved && saved.id !== activeId && (
+            <button
+              onClick={() => onSelect(saved.id)}
+              disabled={Boolean(lockedId)}
+              className="px-3 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+              title={lockedId ? 'Reset statistics to switch profiles' : ''}
+            >
+              Use this profile
+            </button>
+          )}
+          <button onClick={duplicate} className="flex items-center px-3 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm hover:bg-gray-200">
+            <Copy className="w-4 h-4 mr-1" /> Duplicate
+          </button>
+          <button
+            onClick={() => downloadFile(`policy-${draft.id}.json`, serializePolicy(draft), 'application/json')}
+            disabled={errors.length > 0}
+            className="flex items-center px-3 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm hover:bg-gray-200 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4 mr-1" /> Export
+          </button>
+          <label className="flex items-center px-3 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm hover:bg-gray-200 cursor-pointer">
+            <Upload className="w-4 h-4 mr-1" /> Import
+            <input type="file" accept="application/json,.json" className="hidden" onChange={e => { importFile(e.target.files[0]); e.target.value = ''; }} />
+          </label>
+          {saved && !builtIn && (
+            <button
+              onClick={remove}
+              disabled={draft.id === lockedId}
+              className="flex items-center px-3 py-2 bg-gray-100 text-red-600 rounded-lg text-sm hover:bg-gray-200 disabled:opacity-50"
+            >
+              <Trash2 className="w-4 h-4 mr-1" /> Delete
+            </button>
+          )}
+        </div>
+
+        {locked && (
+          <p className="mb-4 p-3 bg-yellow-100 border border-yellow-300 rounded-lg text-yellow-800 text-sm">
+            {builtIn
+              ? 'Built-in profiles are read-only. Duplicate this one to make changes.'
+              : 'This profile is in use by the current session. Reset statistics to edit it.'}
+          </p>
+        )}
+        {message && (
+          <p className={`mb-4 p-3 rounded-lg text-sm ${message.error ? 'bg-red-100 border border-red-300 text-red-800' : 'bg-green-100 border border-green-300 text-green-800'}`}>
+            {message.text}
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-4">
+            <div className="p-4 bg-gray-50 rounded-lg space-y-2">
+              <h3 className="font-semibold text-gray-800">Profile</h3>
+              <input
+                type="text"
+                value={draft.name}
+                disabled={locked}
+                onChange={e => update(['name'], e.target.value)}
+                placeholder="Name"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100"
+              />
+              <textarea
+                value={draft.description || ''}
+                disabled={locked}
+                onChange={e => update(['description'], e.target.value)}
+                placeholder="Description"
+                rows={2}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100"
+              />
+              <p className="text-xs text-gray-500 font-mono">id: {draft.id}</p>
+              <NumberField
+                label="Live sampling interval (ms)"
+                value={draft.sampleIntervalMs}
+                step={50}
+                disabled={locked}
+                onChange={value => update(['sampleIntervalMs'], value)}
+              />
+            </div>
+
+            <div className="p-4 bg-gray-50 rounded-lg space-y-2">
+              <h3 className="font-semibold text-gray-800">Risk rules</h3>
+              <p className="text-xs text-gray-500">
+                Violations cost integrity points in proportion to their weight, confidence and duration; a level applies once the score drops below its value.
+              </p>
+              {RISK_LEVELS.map(level => (
+                <NumberField
+                  key={level}
+                  label={`${level} below score`}
+                  value={draft.risk.levels[level]}
+                  step={1}
+                  disabled={locked}
+                  onChange={value => update(['risk', 'levels', level], value)}
+                />
+              ))}
+              <h4 className="pt-2 text-sm font-medium text-gray-800">Weights</h4>
+              {Object.entries(labels).map(([type, label]) => (
+                <NumberField
+                  key={type}
+                  label={label}
+                  value={draft.risk.weights?.[type] ?? 1}
+                  step={0.5}
+                  disabled={locked}
+                  onChange={value => update(['risk', 'weights', type], value)}
+                />
+              ))}
+            </div>
+
+            <div className="p-4 bg-gray-50 rounded-lg space-y-2">
+              <h3 className="font-semibold text-gray-800">Timing (ms)</h3>
+              <p className="text-xs text-gray-500">
+                How long a detection must hold (On) and stay clear (Off) before it counts or ends, the window its confidence is
+                averaged over (Avg), and how soon a repeat merges into the previous event (Merge). Blank fields use the first row.
+              </p>
+              <div className="grid grid-cols-[1fr_repeat(4,4rem)] gap-1 items-center text-sm text-gray-700">
+                <span></span>
+                {SMOOTHING_FIELDS.map(key => <span key={key} className="text-xs text-gray-500 text-right">{SMOOTHING_HEADERS[key]}</span>)}
+                {[['default', 'All types'], ...Object.entries(labels)].map(([type, label]) => {
+                  const path = type === 'default' ? ['smoothing', 'default'] : ['smoothing', 'types', type];
+                  const settings = type === 'default' ? draft.smoothing?.default : draft.smoothing?.types?.[type];
+                  return (
+                    <React.Fragment key={type}>
+                      <span className={type === 'default' ? 'font-medium' : ''}>{label}</span>
+                      {SMOOTHING_FIELDS.map(key => (
+                        <input
+                          key={key}
+                          type="number"
+                          step={100}
+                          min={0}
+                          value={settings?.[key] ?? ''}
+                          placeholder={type === 'default' ? '0' : String(draft.smoothing?.default?.[key] ?? 0)}
+                          disabled={locked}
+                          onChange={e => update([...path, key], e.target.value === '' ? undefined : Number(e.target.value))}
+                          className="w-16 px-1 py-1 border border-gray-300 rounded text-right disabled:bg-gray-100"
+                        />
+                      ))}
+                    </React.Fragment>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            {Object.entries(DETECTOR_NAMES).map(([id, name]) => {
+              const options = draft.detectors[id];
+              const enabled = Boolean(options) && options.enabled !== false;
+              return (
+                <div key={id} className="p-4 bg-gray-50 rounded-lg space-y-2">
+                  <label className="flex items-center gap-2 font-semibold text-gray-800">
+                    <input
+                      type="checkbox"
+                      checked={enabled}
+                      disabled={locked}
+                      onChange={e => update(['detectors', id, 'enabled'], e.target.checked)}
+                    />
+                    {name}
+                  </label>
+                  {enabled && (
+                    <>
+                      {id !== 'browser' && (
+                        <NumberField
+                          label="Min confidence (0-1)"
+                          value={options.minConfidence}
+                          step={0.05}
+                          disabled={locked}
+                          onChange={value => update(['detectors', id, 'minConfidence'], value)}
+                        />
+                      )}
+                      {id === 'audio' && (
+                        <label className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={options.flagSpeech !== false}
+                            disabled={locked}
+                            onChange={e => update(['detectors', 'audio', 'flagSpeech'], e.target.checked)}
+                          />
+                          Flag any speech (silent exam)
+                        </label>
+                      )}
+                      {id === 'browser' && BROWSER_CHECKS.map(type => (
+                        <label key={type} className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={options[type] !== false}
+                            disabled={locked}
+                            onChange={e => update(['detectors', 'browser', type], e.target.checked)}
+                          />
+                          {labels[type] || type}
+                        </label>
+                      ))}
+                      {(DETECTOR_FIELDS[id] || []).map(([key, label, step, min]) => (
+                        <NumberField
+                          key={key}
+                          label={label}
+                          value={options[key]}
+                          step={step}
+                          min={min}
+                          disabled={locked}
+                          onChange={value => update(['detectors', id, key], value)}
+                        />
+                      ))}
+                      {id === 'focus' && LIMIT_FIELDS.map(([key, label, step]) => (
+                        <NumberField
+                          key={key}
+                          label={label}
+                          value={options.limits?.[key]}
+                          step={step}
+                          disabled={locked}
+                          onChange={value => update(['detectors', 'focus', 'limits', key], value)}
+                        />
+                      ))}
+                      {id === 'objects' && objectTypes.map((type) => {
+                        const rule = options.violations?.[type];
+                        return (
+                          <div key={type} className="pl-2 border-l-2 border-gray-200 space-y-1">
+                            <label className="flex items-center gap-2 text-sm text-gray-800">
+                              <input
+                                type="checkbox"
+                                checked={Boolean(rule)}
+                                disabled={locked}
+                                onChange={e => update(['detectors', 'objects', 'violations', type], e.target.checked ? DEFAULT_OBJECT_VIOLATIONS[type] : undefined)}
+                              />
+                              {labels[type] || type}
+                            </label>
+                            {rule && (
+                              <>
+                                <label className="flex items-center justify-between gap-2 text-sm text-gray-700">
+                                  <span>COCO classes</span>
+                                  <input
+                                    type="text"
+                                    value={rule.classes.join(', ')}
+                                    disabled={locked}
+                                    onChange={e => update(['detectors', 'objects', 'violations', type, 'classes'], e.target.value.split(',').map(c => c.trim()).filter(Boolean))}
+                                    className="w-40 px-2 py-1 border border-gray-300 rounded disabled:bg-gray-100"
+                                  />
+                                </label>
+                                <NumberField
+                                  label="Min confidence (blank: detector's)"
+                                  value={rule.minConfidence}
+                                  step={0.05}
+                                  disabled={locked}
+                                  onChange={value => update(['detectors', 'objects', 'violations', type, 'minConfidence'], value)}
+                                />
+                                <NumberField
+                                  label="Min box area (blank: detector's)"
+                                  value={rule.minArea}
+                                  step={0.001}
+                                  disabled={locked}
+                                  onChange={value => update(['detectors', 'objects', 'violations', type, 'minArea'], value)}
+                                />
+                                <NumberField
+                                  label="Objects needed"
+                                  value={rule.minCount ?? 1}
+                                  step={1}
+                                  min={1}
+                                  disabled={locked}
+                                  onChange={value => update(['detectors', 'objects', 'violations', type, 'minCount'], value === 1 ? undefined : value)}
+                                />
+                                {roi && (
+                                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                                    <input
+                                      type="checkbox"
+                                      checked={rule.roi !== false}
+                                      disabled={locked}
+                                      onChange={e => update(['detectors', 'objects', 'violations', type, 'roi'], e.target.checked ? undefined : false)}
+                                    />
+                                    Only inside the region of interest
+                                  </label>
+                                )}
+                              </>
+                            )}
+                          </div>
+                        );
+                      })}
+                      {id === 'objects' && objectClasses.length > 0 && (
+                        <div className="pt-2 space-y-1">
+                          <h4 className="text-sm font-medium text-gray-800">Per-class thresholds</h4>
+                          <div className="grid grid-cols-[1fr_repeat(2,5rem)] gap-1 items-center text-sm text-gray-700">
+                            <span></span>
+                            <span className="text-xs text-gray-500 text-right">Confidence</span>
+                            <span className="text-xs text-gray-500 text-right">Area</span>
+                            {objectClasses.map(name => (
+                              <React.Fragment key={name}>
+                                <span>{name}</span>
+                                {[['minConfidence', 0.05], ['minArea', 0.001]].map(([key, step]) => (
+                                  <input
+                                    key={key}
+                                    type="number"
+                                    step={step}
+                                    min={0}
+                                    value={options.classes?.[name]?.[key] ?? ''}
+                                    placeholder="rule"
+                                    disabled={locked}
+                                    onChange={e => update(['detectors', 'objects', 'classes', name, key], e.target.value === '' ? undefined : Number(e.target.value))}
+                                    className="w-20 px-1 py-1 border border-gray-300 rounded text-right disabled:bg-gray-100"
+                                  />
+                                ))}
+                              </React.Fragment>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                      {id === 'objects' && (
+                        <div className="pt-2 space-y-1">
+                          <label className="flex items-center gap-2 text-sm font-medium text-gray-800">
+                            <input
+                              type="checkbox"
+                              checked={Boolean(roi)}
+                              disabled={locked}
+                              onChange={e => update(['detectors', 'objects', 'roi'], e.target.checked ? DEFAULT_ROI : null)}
+                            />
+                            Region of interest
+                          </label>
+                          {roi && (
+                            <>
+                              <p className="text-xs text-gray-500">Objects count inside the region (fractions of the frame) or near the face.</p>
+                              {REGION_FIELDS.map((field, i) => (
+                                <NumberField
+                                  key={field}
+                                  label={`Region ${field}`}
+                                  value={roi.region?.[i]}
+                                  step={0.05}
+                                  disabled={locked}
+                                  onChange={value => update(['detectors', 'objects', 'roi', 'region'], (roi.region || DEFAULT_ROI.region).map((v, j) => (j === i ? value ?? 0 : v)))}
+                                />
+                              ))}
+                              <NumberField
+                                label="Near the face (face widths)"
+                                value={roi.nearFace}
+                                step={0.5}
+                                disabled={locked}
+                                onChange={value => update(['detectors', 'objects', 'roi', 'nearFace'], value)}
+                              />
+                            </>
+                          )}
+                        </div>
+                      )}
+                    </>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {errors.length > 0 && (
+          <ul className="mt-4 p-3 bg-red-100 border border-red-300 rounded-lg text-red-800 text-sm list-disc list-inside">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+        {!locked && (
+          <button
+            onClick={save}
+            disabled={errors.length > 0 || !dirty}
+            className="mt-4 flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            <Save className="w-4 h-4 mr-2" /> Save profile
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PolicySettings;
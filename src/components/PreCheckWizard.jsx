@@ -0,0 +1,245 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { X, CircleCheck, AlertTriangle, CircleX, Loader, RefreshCw } from 'lucide-react';
+import { listMediaDevices, openMediaStream, describeMediaError, stopStream } from '../utils/mediaDevices';
+import { grabFrame, measureFrameQuality, frameQualityIssues } from '../utils/frameQuality';
+import { computeAttentionBaseline } from '../utils/headPose';
+import { createAudioMonitor } from '../utils/audioMonitor';
+import AudioLevelMeter from './AudioLevelMeter';
+
+const CHECK_INTERVAL_MS = 700;
+const CALIBRATION_FRAMES = 15;
+const CALIBRATION_STEP_MS = 200;
+
+const Step = ({ state, title, children }) => {
+  const Icon = { ok: CircleCheck, warn: AlertTriangle, fail: CircleX, pending: Loader }[state];
+  const color = { ok: 'text-green-600', warn: 'text-yellow-600', fail: 'text-red-600', pending: 'text-gray-400' }[state];
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg">
+      <h3 className="font-semibold text-gray-800 flex items-center mb-2">
+        <Icon className={`w-5 h-5 mr-2 ${color} ${state === 'pending' ? 'animate-spin' : ''}`} />
+        {title}
+      </h3>
+      <div className="text-sm text-gray-700 space-y-2">{children}</div>
+    </div>
+  );
+};
+
+// Pre-interview system check: device selection and permissions, lighting and focus,
+// a single visible face, then calibration of the candidate's natural head position.
+// `infer(source, needs)` runs the engine's shared models on the preview;
+// `onComplete({ cameraId, microphoneId, baseline })` starts monitoring with them.
+const PreCheckWizard = ({ micEnabled, initialDevices, infer, onComplete, onClose }) => {
+  const [devices, setDevices] = useState({ cameras: [], microphones: [] });
+  const [selection, setSelection] = useState(initialDevices); // { cameraId, microphoneId }, null: browser default
+  const [attempt, setAttempt] = useState(0);
+  const [media, setMedia] = useState({ stream: null, error: null, micError: null, opening: true });
+  const [monitor, setMonitor] = useState(null);
+  const [check, setCheck] = useState(null); // { quality, issues, faces } of the latest preview frame
+  const [calibration, setCalibration] = useState({ running: false, progress: 0, baseline: null, error: null });
+  const videoRef = useRef(null);
+  const busyRef = useRef(false); // one inference at a time between the checks and calibration
+
+  // (Re)open the preview for the selected devices
+  useEffect(() => {
+    let cancelled = false;
+    let opened = null;
+    setMedia(prev => ({ ...prev, opening: true }));
+    openMediaStream({ ...selection, audio: micEnabled })
+      .then(async ({ stream, audioError }) => {
+        if (cancelled) return stopStream(stream);
+        opened = stream;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play().catch(() => {});
+        setMedia({ stream, error: null, micError: audioError && describeMediaError(audioError, 'microphone'), opening: false });
+        setDevices(await listMediaDevices());
+      })
+      .catch((err) => {
+        console.warn('System check could not open the camera', err);
+        if (!cancelled) setMedia({ stream: null, error: describeMediaError(err), micError: null, opening: false });
+      });
+    return () => {
+      cancelled = true;
+      stopStream(opened);
+    };
+  }, [selection, micEnabled, attempt]);
+
+  useEffect(() => {
+    if (!media.stream?.getAudioTracks().length) return;
+    const audioMonitor = createAudioMonitor(media.stream);
+    setMonitor(audioMonitor);
+    return () => {
+      audioMonitor.stop();
+      setMonitor(null);
+    };
+  }, [media.stream]);
+
+  // Lighting, focus and face count of the preview, a few times a second
+  useEffect(() => {
+    if (!media.stream) return;
+    const timer = setInterval(async () => {
+      const video = videoRef.current;
+      if (busyRef.current || !video?.videoWidth) return;
+      busyRef.current = true;
+      try {
+        const quality = measureFrameQuality(grabFrame(video));
+        const { faces } = await infer(video, { faces: true });
+        setCheck({ quality, issues: frameQualityIssues(quality), faces: faces.length });
+      } catch (err) {
+        console.warn('System check frame failed', err);
+      } finally {
+        busyRef.current = false;
+      }
+    }, CHECK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [media.stream, infer]);
+
+  const calibrate = async () => {
+    const video = videoRef.current;
+    setCalibration({ running: true, progress: 0, baseline: null, error: null });
+    while (busyRef.current) await new Promise(resolve => setTimeout(resolve, 50));
+    busyRef.current = true;
+    const samples = [];
+    try {
+      for (let i = 0; i < CALIBRATION_FRAMES; i++) {
+        const { faces, mesh } = await infer(video, { faces: true, mesh: true });
+        if (faces.length === 1 && mesh) samples.push(mesh.keypoints);
+        setCalibration(prev => ({ ...prev, progress: (i + 1) / CALIBRATION_FRAMES }));
+        await new Promise(resolve => setTimeout(resolve, CALIBRATION_STEP_MS));
+      }
+    } catch (err) {
+      console.warn('Calibration failed', err);
+    } finally {
+      busyRef.current = false;
+    }
+    const baseline = samples.length >= CALIBRATION_FRAMES / 2
+      ? computeAttentionBaseline(samples, { width: video.videoWidth, height: video.videoHeight })
+      : null;
+    setCalibration({ running: false, progress: 1, baseline, error: baseline ? null : 'Keep exactly one face in view while calibrating, then try again.' });
+  };
+
+  const choose = (key, id) => {
+    setSelection(prev => ({ ...prev, [key]: id || null }));
+    // A different camera sees the candidate from elsewhere
+    if (key === 'cameraId') setCalibration({ running: false, progress: 0, baseline: null, error: null });
+  };
+
+  const activeCameraId = selection.cameraId ?? media.stream?.getVideoTracks()[0]?.getSettings().deviceId ?? '';
+  const activeMicrophoneId = selection.microphoneId ?? media.stream?.getAudioTracks()[0]?.getSettings().deviceId ?? '';
+  const faceState = !check ? 'pending' : check.faces === 1 ? 'ok' : 'fail';
+  const { baseline } = calibration;
+
+  return (
+    <div className="fixed inset-0 z-40 bg-white overflow-y-auto">
+      <div className="max-w-5xl mx-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">System Check</h2>
+            <p className="text-sm text-gray-500">Check your camera, lighting and position before monitoring starts</p>
+          </div>
+          <button onClick={onClose} className="p-2 text-gray-600 hover:text-gray-900" aria-label="Close system check">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-2">
+            <div className="relative bg-gray-900 rounded-lg overflow-hidden">
+              <video ref={videoRef} className="w-full h-72 object-cover -scale-x-100" autoPlay muted playsInline />
+              {monitor && (
+                <div className="absolute top-2 left-2"><AudioLevelMeter monitor={monitor} /></div>
+              )}
+              {calibration.running && (
+                <div className="absolute inset-x-0 bottom-0 p-3 bg-black bg-opacity-70 text-white text-sm text-center">
+                  Sit as you will during the interview and look at the screen
+                  <div className="mt-2 w-full bg-gray-600 rounded-full h-1.5">
+                    <div className="h-1.5 rounded-full bg-blue-400" style={{ width: `${calibration.progress * 100}%` }}></div>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            <Step state={media.opening ? 'pending' : media.error ? 'fail' : media.micError ? 'warn' : 'ok'} title="Camera and microphone">
+              {media.error ? (
+                <>
+                  <p className="text-red-700">{media.error}</p>
+                  <button onClick={() => setAttempt(n => n + 1)} className="flex items-center px-3 py-1 bg-gray-200 rounded hover:bg-gray-300">
+                    <RefreshCw className="w-4 h-4 mr-1" /> Try again
+                  </button>
+                </>
+              ) : (
+                <>
+                  <label className="flex items-center justify-between gap-2">
+                    <span>Camera</span>
+                    <select value={activeCameraId} onChange={e => choose('cameraId', e.target.value)} className="w-56 px-2 py-1 border border-gray-300 rounded">
+                      {devices.cameras.map(camera => <option key={camera.id} value={camera.id}>{camera.label}</option>)}
+                    </select>
+                  </label>
+                  {micEnabled && (
+                    <label className="flex items-center justify-between gap-2">
+                      <span>Microphone</span>
+                      <select value={activeMicrophoneId} onChange={e => choose('microphoneId', e.target.value)} className="w-56 px-2 py-1 border border-gray-300 rounded">
+                        {devices.microphones.map(mic => <option key={mic.id} value={mic.id}>{mic.label}</option>)}
+                      </select>
+                    </label>
+                  )}
+                  {media.micError && <p className="text-yellow-700">{media.micError} Monitoring will continue without audio.</p>}
+                </>
+              )}
+            </Step>
+
+            <Step state={!check ? 'pending' : check.issues.length ? 'warn' : 'ok'} title="Lighting and focus">
+              {check ? (
+                <>
+                  <p className="font-mono">Brightness {Math.round(check.quality.brightness)} · Sharpness {Math.round(check.quality.sharpness)}</p>
+                  {check.issues.map(issue => <p key={issue} className="text-yellow-700">{issue}</p>)}
+                </>
+              ) : (
+                <p className="text-gray-500">Waiting for the camera...</p>
+              )}
+            </Step>
+
+            <Step state={faceState} title="Face">
+              {!check ? <p className="text-gray-500">Waiting for the camera...</p>
+                : check.faces === 1 ? <p>One face detected.</p>
+                  : check.faces === 0 ? <p className="text-red-700">No face found: face the camera in good light.</p>
+                    : <p className="text-red-700">{check.faces} faces found: only the candidate may be in view.</p>}
+            </Step>
+
+            <Step state={calibration.running ? 'pending' : baseline ? 'ok' : calibration.error ? 'fail' : 'warn'} title="Calibration">
+              <p>Records your natural head position, so looking at your screen is never counted as looking away.</p>
+              {baseline && (
+                <p className="font-mono">
+                  Yaw {Math.round(baseline.pose.yaw)}° · Pitch {Math.round(baseline.pose.pitch)}°
+                  {baseline.face && ` · Face ${Math.round(baseline.face.size * 100)}% of frame width`}
+                </p>
+              )}
+              {calibration.error && <p className="text-red-700">{calibration.error}</p>}
+              <button
+                onClick={calibrate}
+                disabled={calibration.running || faceState !== 'ok'}
+                className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                {baseline ? 'Calibrate again' : 'Calibrate'}
+              </button>
+            </Step>
+          </div>
+        </div>
+
+        <div className="mt-6 flex justify-end gap-2">
+          <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300">Cancel</button>
+          <button
+            onClick={() => onComplete({ cameraId: activeCameraId || null, microphoneId: activeMicrophoneId || null, baseline })}
+            disabled={!media.stream || !baseline || calibration.running}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            Start monitoring
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PreCheckWizard;
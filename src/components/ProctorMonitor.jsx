@@ -0,0 +1,73 @@
+import React, { useCallback, useSyncExternalStore } from 'react';
+import { Play, Square, Loader, AlertTriangle } from 'lucide-react';
+
+const SEVERITY_COLORS = {
+  Critical: 'text-red-700 bg-red-200',
+  'High Risk': 'text-red-600 bg-red-100',
+  'Medium Risk': 'text-yellow-600 bg-yellow-100',
+  'Low Risk': 'text-orange-600 bg-orange-100',
+  Normal: 'text-green-600 bg-green-100'
+};
+
+const STATE_LABELS = { loading: 'Loading models', idle: 'Ready', monitoring: 'Monitoring', stopped: 'Stopped', error: 'Unavailable' };
+
+// Compact view of an embedded monitor (see embed/monitorController): the camera, the
+// session's score and the violations active right now. With `controls` the candidate
+// can start and stop it; otherwise only the host's commands do.
+const ProctorMonitor = ({ controller, controls = false }) => {
+  const status = useSyncExternalStore(controller.subscribe, controller.getSnapshot);
+  const videoRef = useCallback((element) => controller.attachVideo(element), [controller]);
+
+  const run = command => controller.command(command).catch(err => console.warn(`Monitor ${command} failed`, err));
+
+  return (
+    <div className="w-full max-w-sm bg-white rounded-lg shadow overflow-hidden text-sm">
+      <div className="relative bg-gray-900">
+        <video ref={videoRef} className="w-full h-48 object-cover -scale-x-100" autoPlay muted playsInline />
+        {status.state !== 'monitoring' && (
+          <div className="absolute inset-0 flex items-center justify-center text-gray-300">
+            {status.state === 'loading' && <Loader className="w-6 h-6 animate-spin" />}
+            {status.state === 'error' && <AlertTriangle className="w-6 h-6 text-red-400" />}
+          </div>
+        )}
+        <span className={`absolute top-2 left-2 px-2 py-0.5 rounded-full text-xs font-medium ${status.state === 'monitoring' ? 'bg-red-600 text-white' : 'bg-black bg-opacity-70 text-white'}`}>
+          {STATE_LABELS[status.state]}
+        </span>
+      </div>
+
+      <div className="p-3 space-y-2">
+        {status.error && <p className="text-red-700">{status.error}</p>}
+        {status.integrityScore !== null && (
+          <div className="flex items-center justify-between">
+            <span className="text-gray-600">Integrity <span className="font-semibold text-gray-800">{status.integrityScore}</span></span>
+            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${SEVERITY_COLORS[status.riskLevel] || 'text-gray-600 bg-gray-100'}`}>{status.riskLevel}</span>
+          </div>
+        )}
+        {status.active.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {status.active.map(type => (
+              <span key={type} className="px-2 py-0.5 rounded bg-red-100 text-red-700 text-xs">{status.labels[type] ?? type}</span>
+            ))}
+          </div>
+        )}
+        {controls && (
+          status.state === 'monitoring' ? (
+            <button onClick={() => run('stop')} className="w-full flex items-center justify-center px-3 py-1.5 bg-red-600 text-white rounded hover:bg-red-700">
+              <Square className="w-4 h-4 mr-1" /> Stop
+            </button>
+          ) : (
+            <button
+              onClick={() => run('start')}
+              disabled={status.state === 'loading' || status.state === 'error'}
+              className="w-full flex items-center justify-center px-3 py-1.5 bg-green-600 text-white rounded hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              <Play className="w-4 h-4 mr-1" /> {status.state === 'stopped' ? 'Resume' : 'Start'}
+            </button>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProctorMonitor;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { CheckCircle, XCircle, CircleDashed, AlertTriangle, Download } from 'lucide-react';
+
+const STATUS = {
+  passed: { Icon: CheckCircle, color: 'text-green-600', label: 'Matches' },
+  failed: { Icon: XCircle, color: 'text-red-600', label: 'Differs' },
+  new: { Icon: CircleDashed, color: 'text-gray-500', label: 'No reference' },
+  error: { Icon: AlertTriangle, color: 'text-red-600', label: 'Not analyzed' }
+};
+const DIFFERENCES_SHOWN = 5;
+
+// Outcome of a regression run over a folder of reference clips (see utils/regression):
+// a row per clip with what changed, and the fresh report to save as its new reference.
+const RegressionResults = ({ results, total, running, onDownload }) => {
+  const count = status => results.filter(result => result.status === status).length;
+
+  return (
+    <div className="mt-2 space-y-2 text-sm">
+      <p className="text-gray-700">
+        {running ? `Clip ${Math.min(results.length + 1, total)} of ${total}` : `${results.length} of ${total} clips`}
+        {' · '}{count('passed')} match · {count('failed')} differ · {count('new')} new
+        {count('error') > 0 && ` · ${count('error')} not analyzed`}
+      </p>
+      <ul className="max-h-64 overflow-y-auto divide-y divide-gray-200 border border-gray-200 rounded-lg">
+        {results.map((result) => {
+          const { Icon, color, label } = STATUS[result.status];
+          return (
+            <li key={result.path} className="p-2">
+              <div className="flex items-center gap-2">
+                <Icon className={`w-4 h-4 flex-shrink-0 ${color}`} />
+                <span className="flex-1 truncate" title={result.path}>{result.path}</span>
+                <span className={`text-xs ${color}`}>{label}</span>
+                {result.report && result.status !== 'passed' && (
+                  <button onClick={() => onDownload(result)} className="p-1 text-gray-500 hover:text-gray-800" title="Download this run's report, to save as the new reference">
+                    <Download className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+              {result.differences.length > 0 && (
+                <ul className="mt-1 ml-6 text-xs text-gray-600 list-disc list-inside">
+                  {result.differences.slice(0, DIFFERENCES_SHOWN).map((difference, i) => <li key={i}>{difference}</li>)}
+                  {result.differences.length > DIFFERENCES_SHOWN && <li>and {result.differences.length - DIFFERENCES_SHOWN} more</li>}
+                </ul>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default RegressionResults;
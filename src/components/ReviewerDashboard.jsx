@@ -0,0 +1,357 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Flag, MessageSquare, Power, Volume2, VolumeX, Loader, AlertTriangle, Image as ImageIcon, Check } from 'lucide-react';
+import { createRelayClient } from '../utils/relayClient';
+import { createAlertSound } from '../utils/alertSound';
+import { RISK_LEVELS } from '../utils/policy';
+import { formatClock, formatDuration } from '../utils/format';
+
+const SEVERITY_COLORS = {
+  Critical: 'text-red-700 bg-red-200',
+  'High Risk': 'text-red-600 bg-red-100',
+  'Medium Risk': 'text-yellow-600 bg-yellow-100',
+  'Low Risk': 'text-orange-600 bg-orange-100',
+  Normal: 'text-green-600 bg-green-100'
+};
+
+const TOKEN_KEY = 'proctoring.reviewerToken';
+const CRITICAL = 'Critical';
+
+// The light on each card: gray while the candidate is away, yellow while connected but
+// not monitoring, red while a violation is active, green otherwise
+const statusLight = (candidate) => {
+  if (!candidate.connected) return { color: 'bg-gray-400', label: 'Disconnected' };
+  if (candidate.status?.state !== 'monitoring') return { color: 'bg-yellow-400', label: 'Not monitoring' };
+  if (candidate.status.active.length) return { color: 'bg-red-500 animate-pulse', label: 'Violation active' };
+  return { color: 'bg-green-500', label: 'Monitoring' };
+};
+
+// Connected candidates first, then the riskiest, then the longest running
+const riskRank = candidate => RISK_LEVELS.indexOf(candidate.status?.riskLevel);
+const byAttention = (a, b) => Number(b.connected) - Number(a.connected) || riskRank(b) - riskRank(a) || a.startedAt - b.startedAt;
+
+const CandidateCard = ({ candidate, now, onCommand }) => {
+  const [input, setInput] = useState(null); // 'warn' | 'flag' while its text field is open
+  const [text, setText] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const { status, frame, flag } = candidate;
+  const light = statusLight(candidate);
+  const critical = status?.riskLevel === CRITICAL;
+  const lastWarning = candidate.warnings.at(-1);
+
+  const run = async (action, extra = {}) => {
+    setBusy(true);
+    setError('');
+    try {
+      await onCommand({ sessionId: candidate.sessionId, action, ...extra });
+      setInput(null);
+      setText('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (input === 'warn') run('warn', { message: text });
+    else run('flag', { note: text });
+  };
+
+  const end = () => {
+    if (window.confirm(`End the session of ${candidate.candidate.name || 'this candidate'}? Their monitoring stops and the session is finalized.`)) {
+      run('end', { message: 'A reviewer ended your session.' });
+    }
+  };
+
+  return (
+    <div className={`bg-white rounded-lg shadow overflow-hidden text-sm border-2 ${critical ? 'border-red-500' : flag ? 'border-orange-400' : 'border-transparent'}`}>
+      <div className="relative bg-gray-900 h-40">
+        {frame ? (
+          <img src={frame.dataUrl} alt="Latest evidence" className="w-full h-full object-cover" />
+        ) : (
+          <div className="w-full h-full flex flex-col items-center justify-center text-gray-500">
+            <ImageIcon className="w-6 h-6 mb-1" />
+            <span className="text-xs">No evidence yet</span>
+          </div>
+        )}
+        {frame && (
+          <span className="absolute bottom-2 left-2 px-2 py-0.5 rounded bg-black bg-opacity-70 text-white text-xs">
+            {(frame.eventType && status?.labels[frame.eventType]) || frame.eventType || 'Evidence'} · {formatClock(frame.capturedAt)}
+          </span>
+        )}
+        {flag && (
+          <span className="absolute top-2 right-2 flex items-center px-2 py-0.5 rounded-full bg-orange-500 text-white text-xs font-medium" title={flag.note || undefined}>
+            <Flag className="w-3 h-3 mr-1" /> Flagged
+          </span>
+        )}
+      </div>
+
+      <div className="p-3 space-y-2">
+        <div className="flex items-start justify-between gap-2">
+          <div className="min-w-0">
+            <div className="flex items-center">
+              <span className={`w-3 h-3 rounded-full mr-2 shrink-0 ${light.color}`} title={light.label} />
+              <span className="font-semibold text-gray-800 truncate">{candidate.candidate.name || 'Unnamed candidate'}</span>
+            </div>
+            <p className="text-xs text-gray-500 truncate">
+              {candidate.candidate.id && `${candidate.candidate.id} · `}{light.label} · {formatDuration(now - candidate.startedAt)}
+            </p>
+          </div>
+          {status?.integrityScore !== null && status?.integrityScore !== undefined && (
+            <div className="text-right shrink-0">
+              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${SEVERITY_COLORS[status.riskLevel] || 'text-gray-600 bg-gray-100'}`}>{status.riskLevel}</span>
+              <p className="text-lg font-bold text-gray-800">{Math.round(status.integrityScore)}<span className="text-xs font-normal text-gray-500">/100</span></p>
+            </div>
+          )}
+        </div>
+
+        {status?.active.length > 0 ? (
+          <div className="flex flex-wrap gap-1">
+            {status.active.map(type => (
+              <span key={type} className="px-2 py-0.5 rounded bg-red-100 text-red-700 text-xs">{status.labels[type] ?? type}</span>
+            ))}
+          </div>
+        ) : (
+          <p className="text-xs text-gray-500">{status ? `No active alerts · ${status.totalViolations} violations so far` : 'Waiting for the first status'}</p>
+        )}
+
+        {flag?.note && <p className="text-xs text-orange-700">Flag: {flag.note}</p>}
+        {lastWarning && (
+          <p className="text-xs text-gray-600 truncate" title={lastWarning.message}>
+            Warned {formatClock(lastWarning.sentAt)}: “{lastWarning.message}”{' '}
+            {lastWarning.seenAt ? <span className="text-green-700">seen</span> : <span className="text-yellow-700">not seen yet</span>}
+          </p>
+        )}
+        {candidate.endRequestedAt && <p className="text-xs text-red-700">End requested at {formatClock(candidate.endRequestedAt)}</p>}
+        {error && <p className="text-xs text-red-600">{error}</p>}
+
+        {input ? (
+          <form onSubmit={submit} className="flex gap-1">
+            <input
+              autoFocus
+              value={text}
+              onChange={e => setText(e.target.value)}
+              maxLength={500}
+              placeholder={input === 'warn' ? 'Message to the candidate' : 'Note (optional)'}
+              className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded text-xs"
+            />
+            <button type="submit" disabled={busy || (input === 'warn' && !text.trim())} className="px-2 py-1 bg-blue-600 text-white rounded text-xs hover:bg-blue-700 disabled:bg-gray-400">
+              {input === 'warn' ? 'Send' : 'Flag'}
+            </button>
+            <button type="button" onClick={() => setInput(null)} className="px-2 py-1 bg-gray-200 text-gray-800 rounded text-xs hover:bg-gray-300">Cancel</button>
+          </form>
+        ) : (
+          <div className="flex gap-1">
+            <button
+              onClick={() => setInput('warn')}
+              disabled={busy || !candidate.connected}
+              className="flex-1 flex items-center justify-center px-2 py-1 bg-yellow-500 text-white rounded text-xs hover:bg-yellow-600 disabled:bg-gray-300"
+            >
+              <MessageSquare className="w-3 h-3 mr-1" /> Warn
+            </button>
+            {flag ? (
+              <button onClick={() => run('unflag')} disabled={busy} className="flex-1 flex items-center justify-center px-2 py-1 bg-gray-200 text-gray-800 rounded text-xs hover:bg-gray-300">
+                <Check className="w-3 h-3 mr-1" /> Unflag
+              </button>
+            ) : (
+              <button onClick={() => setInput('flag')} disabled={busy} className="flex-1 flex items-center justify-center px-2 py-1 bg-orange-500 text-white rounded text-xs hover:bg-orange-600">
+                <Flag className="w-3 h-3 mr-1" /> Flag
+              </button>
+            )}
+            <button
+              onClick={end}
+              disabled={busy || !candidate.connected || status?.state !== 'monitoring'}
+              className="flex-1 flex items-center justify-center px-2 py-1 bg-red-600 text-white rounded text-xs hover:bg-red-700 disabled:bg-gray-300"
+            >
+              <Power className="w-3 h-3 mr-1" /> End
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Live view of every candidate connected to the relay (see docs/reviewer-relay.md):
+// what each is doing now, their score, and the latest evidence frame. Sounds an
+// alert when a candidate's risk level becomes Critical.
+const ReviewerDashboard = () => {
+  const [token, setToken] = useState(() => sessionStorage.getItem(TOKEN_KEY) ?? '');
+  // The relay refuses reviewers without the token, so only a remembered one connects on load
+  const [connecting, setConnecting] = useState(() => Boolean(sessionStorage.getItem(TOKEN_KEY)));
+  const [relayState, setRelayState] = useState({ connected: false, error: null });
+  const [candidates, setCandidates] = useState({}); // session id -> candidate state
+  const [soundOn, setSoundOn] = useState(true);
+  const [soundBlocked, setSoundBlocked] = useState(false); // the browser wants a click before playing
+  const [now, setNow] = useState(Date.now());
+  const clientRef = useRef(null);
+  const pendingRef = useRef(new Map()); // command id -> { resolve, reject }
+  const levelsRef = useRef(new Map()); // session id -> last risk level seen
+  const soundRef = useRef(null);
+  const soundOnRef = useRef(soundOn);
+
+  useEffect(() => {
+    soundOnRef.current = soundOn;
+  }, [soundOn]);
+
+  useEffect(() => {
+    const sound = createAlertSound();
+    soundRef.current = sound;
+    setSoundBlocked(!sound.isUnlocked());
+    const unsubscribe = sound.subscribe(unlocked => setSoundBlocked(!unlocked));
+    return () => {
+      unsubscribe();
+      sound.close();
+    };
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (!connecting) return undefined;
+    const pending = pendingRef.current;
+    const levels = levelsRef.current;
+
+    // Alerts only on the way into Critical, not for candidates already there on connect
+    const track = (candidate, alert) => {
+      const level = candidate.status?.riskLevel ?? null;
+      const previous = levels.get(candidate.sessionId);
+      levels.set(candidate.sessionId, level);
+      if (alert && level === CRITICAL && previous !== CRITICAL && soundOnRef.current) soundRef.current?.play();
+    };
+
+    const onMessage = (message) => {
+      if (message.type === 'roster') {
+        levels.clear();
+        message.candidates.forEach(candidate => track(candidate, false));
+        setCandidates(Object.fromEntries(message.candidates.map(candidate => [candidate.sessionId, candidate])));
+      } else if (message.type === 'candidate') {
+        track(message.candidate, true);
+        setCandidates(prev => ({ ...prev, [message.candidate.sessionId]: message.candidate }));
+      } else if (message.type === 'removed') {
+        levels.delete(message.sessionId);
+        setCandidates((prev) => {
+          const next = { ...prev };
+          delete next[message.sessionId];
+          return next;
+        });
+      } else if (message.type === 'ok' || message.type === 'error') {
+        const request = pending.get(message.replyTo);
+        pending.delete(message.replyTo);
+        if (message.type === 'ok') request?.resolve();
+        else request?.reject(new Error(message.error));
+      }
+    };
+
+    const client = createRelayClient({ role: 'reviewer', token, onMessage });
+    clientRef.current = client;
+    const unsubscribe = client.subscribe(setRelayState);
+    return () => {
+      unsubscribe();
+      client.close();
+      clientRef.current = null;
+      pending.forEach(request => request.reject(new Error('Disconnected from the relay')));
+      pending.clear();
+    };
+  }, [connecting, token]);
+
+  const sendCommand = command => new Promise((resolve, reject) => {
+    const id = crypto.randomUUID();
+    if (!clientRef.current?.send({ type: 'command', id, ...command })) {
+      return reject(new Error('Not connected to the relay'));
+    }
+    pendingRef.current.set(id, { resolve, reject });
+  });
+
+  const connect = (e) => {
+    e.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, token);
+    soundRef.current?.unlock();
+    setConnecting(true);
+  };
+
+  const toggleSound = () => {
+    soundRef.current?.unlock();
+    setSoundOn(on => !on);
+  };
+
+  const list = Object.values(candidates).sort(byAttention);
+  const criticalCount = list.filter(candidate => candidate.status?.riskLevel === CRITICAL).length;
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <div className="max-w-7xl mx-auto p-6">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Reviewer Dashboard</h1>
+            <p className="text-sm text-gray-500">
+              {list.filter(candidate => candidate.connected).length} connected · {list.length} listed
+              {criticalCount > 0 && <span className="text-red-700 font-medium"> · {criticalCount} critical</span>}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <span className={`flex items-center text-sm ${relayState.connected ? 'text-green-700' : 'text-red-600'}`}>
+              {relayState.connected ? 'Relay connected' : relayState.error || (connecting ? 'Connecting…' : 'Enter the reviewer token')}
+              {!relayState.connected && connecting && <Loader className="w-4 h-4 ml-1 animate-spin" />}
+            </span>
+            {soundOn && soundBlocked && (
+              <button
+                onClick={() => soundRef.current?.unlock()}
+                className="flex items-center px-3 py-2 bg-yellow-100 text-yellow-800 rounded-lg text-sm hover:bg-yellow-200"
+                title="The browser blocks sound until you click on the page"
+              >
+                <VolumeX className="w-4 h-4 mr-1" /> Sound blocked · Enable sound
+              </button>
+            )}
+            <button onClick={toggleSound} className="p-2 text-gray-600 hover:text-gray-900" title={soundOn ? 'Mute critical alerts' : 'Sound critical alerts'}>
+              {soundOn ? <Volume2 className="w-5 h-5" /> : <VolumeX className="w-5 h-5" />}
+            </button>
+            {connecting ? (
+              <button onClick={() => setConnecting(false)} className="px-3 py-2 bg-gray-200 text-gray-800 rounded-lg text-sm hover:bg-gray-300">Disconnect</button>
+            ) : (
+              <form onSubmit={connect} className="flex gap-2">
+                <input
+                  type="password"
+                  value={token}
+                  onChange={e => setToken(e.target.value)}
+                  placeholder="Reviewer token"
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <button type="submit" className="px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">Connect</button>
+              </form>
+            )}
+          </div>
+        </div>
+
+        {relayState.error && !relayState.connected && (
+          <p className="mb-4 flex items-center text-sm text-red-600">
+            <AlertTriangle className="w-4 h-4 mr-2" />
+            {relayState.error}. Is the server running with a RELAY_TOKEN? If the token is wrong, disconnect and enter it again.
+          </p>
+        )}
+
+        {list.length === 0 ? (
+          <p className="text-gray-500">No candidates yet. Sessions appear here as soon as a candidate starts monitoring.</p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+            {list.map(candidate => (
+              <CandidateCard
+                key={candidate.sessionId}
+                candidate={candidate}
+                now={candidate.connected ? now : candidate.lastSeenAt}
+                onCommand={sendCommand}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewerDashboard;
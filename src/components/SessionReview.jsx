@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { X, Play, Pause, Loader } from 'lucide-react';
+import { getSessionRecordings, loadRecordingBlob, loadDetectionFrames, frameAt } from '../utils/recordings';
+import { containTransform, drawDetections } from '../utils/overlay';
+import { formatDuration, formatClock } from '../utils/format';
+
+// Plays back a session recording with the detection overlays redrawn from the
+// stored frame track, and a scrubber marking every violation.
+const SessionReview = ({ sessionId, events, getDetectionLabel, getDetectionColor, onClose }) => {
+  const [recordings, setRecordings] = useState([]);
+  const [selected, setSelected] = useState(0);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [frames, setFrames] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [playing, setPlaying] = useState(false);
+  const [position, setPosition] = useState(0); // ms into the recording
+
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const animationRef = useRef(null);
+
+  const recording = recordings[selected];
+  const durationMs = recording?.durationMs || 0;
+
+  useEffect(() => {
+    getSessionRecordings(sessionId)
+      .then(found => {
+        setRecordings(found);
+        if (!found.length) setLoading(false);
+      })
+      .catch(err => {
+        setError(`Could not open recordings: ${err.message}`);
+        setLoading(false);
+      });
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (!recording) return;
+    let url = null;
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([loadRecordingBlob(recording), loadDetectionFrames(recording.id)])
+      .then(([blob, loadedFrames]) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setVideoUrl(url);
+        setFrames(loadedFrames);
+        setPosition(0);
+        setLoading(false);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setError(`Could not load recording: ${err.message}`);
+        setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [recording]);
+
+  const drawOverlay = useCallback(() => {
+    const video = videoRef.current, canvas = canvasRef.current;
+    if (!video || !canvas || !video.videoWidth) return;
+    canvas.width = canvas.clientWidth;
+    canvas.height = canvas.clientHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const t = video.currentTime * 1000;
+    setPosition(t);
+    const frame = frameAt(frames, t);
+    if (!frame) return;
+    drawDetections(ctx, frame, containTransform(video.videoWidth, video.videoHeight, canvas.width, canvas.height));
+    if (frame.active.length) {
+      ctx.font = 'bold 14px sans-serif';
+      frame.active.forEach((type, i) => {
+        const text = getDetectionLabel(type);
+        ctx.fillStyle = 'rgba(220, 38, 38, 0.85)';
+        ctx.fillRect(8, 8 + i * 24, ctx.measureText(text).width + 12, 20);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(text, 14, 23 + i * 24);
+      });
+    }
+  }, [frames, getDetectionLabel]);
+
+  useEffect(() => {
+    if (!playing) return;
+    const loop = () => {
+      drawOverlay();
+      animationRef.current = requestAnimationFrame(loop);
+    };
+    animationRef.current = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(animationRef.current);
+  }, [playing, drawOverlay]);
+
+  const seek = (ms) => {
+    if (!videoRef.current) return;
+    videoRef.current.currentTime = Math.max(0, Math.min(ms, durationMs)) / 1000;
+  };
+
+  const togglePlay = () => {
+    const video = videoRef.current;
+    if (!video) return;
+    if (video.paused) video.play();
+    else video.pause();
+  };
+
+  const onScrubberClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    seek(((e.clientX - rect.left) / rect.width) * durationMs);
+  };
+
+  const markers = recording
+    ? events
+      .filter(event => event.startedAt >= recording.startedAt && event.startedAt <= recording.endedAt)
+      .map(event => ({ event, offset: event.startedAt - recording.startedAt }))
+    : [];
+
+  return (
+    <div className="fixed inset-0 z-40 bg-white overflow-y-auto">
+      <div className="max-w-6xl mx-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Session Review</h2>
+            <p className="text-sm text-gray-500">Session {sessionId}</p>
+          </div>
+          <button onClick={onClose} className="p-2 text-gray-600 hover:text-gray-900" aria-label="Close review">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {recordings.length > 1 && (
+          <div className="flex gap-2 mb-4">
+            {recordings.map((r, i) => (
+              <button
+                key={r.id}
+                onClick={() => setSelected(i)}
+                className={`px-3 py-1 rounded-lg text-sm ${i === selected ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              >
+                Segment {i + 1} · {formatClock(r.startedAt)}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {error && <p className="mb-4 p-3 bg-red-100 border border-red-300 rounded-lg text-red-800">{error}</p>}
+        {loading && (
+          <div className="p-3 bg-blue-100 border border-blue-300 rounded-lg flex items-center">
+            <Loader className="w-5 h-5 text-blue-600 animate-spin mr-2" />
+            <p className="text-blue-800">Loading recording...</p>
+          </div>
+        )}
+        {!loading && !recordings.length && !error && (
+          <p className="text-gray-500">No recording was stored for this session.</p>
+        )}
+
+        {videoUrl && !loading && (
+          <div className="bg-gray-100 rounded-lg overflow-hidden">
+            <div className="relative bg-gray-900">
+              <video
+                ref={videoRef}
+                src={videoUrl}
+                className="w-full h-[28rem] object-contain"
+                playsInline
+                onPlay={() => setPlaying(true)}
+                onPause={() => setPlaying(false)}
+                onEnded={() => setPlaying(false)}
+                onSeeked={drawOverlay}
+                onLoadedData={drawOverlay}
+              />
+              <canvas ref={canvasRef} className="absolute inset-0 w-full h-full pointer-events-none" />
+            </div>
+            <div className="p-4 space-y-3">
+              <div className="flex items-center gap-3">
+                <button onClick={togglePlay} className="p-2 bg-blue-600 text-white rounded-full hover:bg-blue-700" aria-label={playing ? 'Pause' : 'Play'}>
+                  {playing ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+                </button>
+                <span className="font-mono text-sm text-gray-700">
+                  {formatDuration(position)} / {formatDuration(durationMs)}
+                </span>
+              </div>
+              <div className="relative h-8 bg-gray-300 rounded cursor-pointer" onClick={onScrubberClick}>
+                <div className="absolute inset-y-0 left-0 bg-blue-200 rounded-l" style={{ width: `${durationMs ? (position / durationMs) * 100 : 0}%` }} />
+                {markers.map(({ event, offset }) => (
+                  <button
+                    key={event.id}
+                    onClick={(e) => { e.stopPropagation(); seek(offset); }}
+                    title={`${getDetectionLabel(event.type)} at ${formatClock(event.startedAt)}`}
+                    className={`absolute top-1 bottom-1 min-w-[4px] rounded-sm opacity-80 hover:opacity-100 ${getDetectionColor(event.type, false).replace('text-', 'bg-')}`}
+                    style={{
+                      left: `${(offset / durationMs) * 100}%`,
+                      width: `${(Math.min(event.durationMs ?? 0, durationMs - offset) / durationMs) * 100}%`
+                    }}
+                  />
+                ))}
+                <div className="absolute inset-y-0 w-0.5 bg-gray-900" style={{ left: `${durationMs ? (position / durationMs) * 100 : 0}%` }} />
+              </div>
+              {markers.length > 0 && (
+                <div className="flex flex-wrap gap-2 text-xs">
+                  {markers.map(({ event, offset }) => (
+                    <button
+                      key={event.id}
+                      onClick={() => seek(offset)}
+                      className="px-2 py-1 bg-white border border-gray-200 rounded hover:border-gray-400"
+                    >
+                      <span className={getDetectionColor(event.type, false)}>{getDetectionLabel(event.type)}</span>
+                      <span className="text-gray-500 ml-1">{formatDuration(offset)}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionReview;
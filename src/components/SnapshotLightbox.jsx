@@ -0,0 +1,37 @@
+import React, { useEffect } from 'react';
+import { X } from 'lucide-react';
+
+const SnapshotLightbox = ({ snapshot, title, subtitle, onClose }) => {
+  useEffect(() => {
+    if (!snapshot) return;
+    const onKeyDown = e => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [snapshot, onClose]);
+
+  if (!snapshot) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-80 p-6"
+      onClick={onClose}
+    >
+      <div className="relative max-w-5xl w-full" onClick={e => e.stopPropagation()}>
+        <button
+          onClick={onClose}
+          className="absolute -top-10 right-0 text-white hover:text-gray-300"
+          aria-label="Close"
+        >
+          <X className="w-8 h-8" />
+        </button>
+        <img src={snapshot.url} alt={title} className="w-full max-h-[80vh] object-contain rounded-lg bg-gray-900" />
+        <div className="mt-2 text-white">
+          <p className="font-semibold">{title}</p>
+          {subtitle && <p className="text-sm text-gray-300">{subtitle}</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SnapshotLightbox;
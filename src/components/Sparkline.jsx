@@ -0,0 +1,20 @@
+import React from 'react';
+
+// Minimal SVG trend line for values in [min, max]; stretches to its container's width
+const Sparkline = ({ values, min = 0, max = 100, height = 32, className = 'text-blue-600' }) => {
+  if (values.length < 2) return null;
+  const width = 100;
+  const points = values.map((value, i) => {
+    const x = (i / (values.length - 1)) * width;
+    const y = height - ((Math.min(max, Math.max(min, value)) - min) / (max - min)) * height;
+    return `${x.toFixed(2)},${y.toFixed(2)}`;
+  }).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className={`w-full ${className}`} style={{ height }} aria-hidden="true">
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+export default Sparkline;
@@ -0,0 +1,131 @@
+// <proctor-monitor>: the monitor as a custom element for host pages that load this
+// bundle directly (see docs/embedding.md). It renders into its own shadow root, so
+// the host's styles and ours don't mix.
+//
+//   attributes  session-id, policy (a profile id), candidate-id, candidate-name,
+//               controls (show start/stop buttons to the candidate)
+//   properties  stream (a MediaStream to monitor instead of opening the camera)
+//   methods     start(), stop(), reset(), getReport(), getStatus(), configure(args)
+//               resolve to the command's result (configure also takes a profile
+//               object as `policy`); send(message) takes a protocol
+//               command message and resolves to its response message
+//   events      `proctor:<event>` for every protocol event, the message as `detail`
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import ProctorMonitor from '../components/ProctorMonitor';
+import { createMonitorController } from './monitorController';
+import { eventMessage, parseCommand, responseMessage } from './protocol';
+import styles from '../index.css?inline';
+
+const TAG = 'proctor-monitor';
+const CONFIG_ATTRIBUTES = ['session-id', 'policy', 'candidate-id', 'candidate-name'];
+
+// Custom property registrations don't apply inside shadow roots, and without them
+// Tailwind's composed utilities (transforms, shadows) fall apart; register them once
+// on the document instead
+const registerProperties = () => {
+  if (document.querySelector('style[data-proctor-monitor]')) return;
+  const style = document.createElement('style');
+  style.dataset.proctorMonitor = '';
+  style.textContent = (styles.match(/@property[^{]*\{[^}]*\}/g) || []).join('\n');
+  document.head.append(style);
+};
+
+class ProctorMonitorElement extends HTMLElement {
+  static observedAttributes = [...CONFIG_ATTRIBUTES, 'controls'];
+
+  #controller = null;
+  #root = null;
+  #stream = null;
+
+  connectedCallback() {
+    if (this.#controller) return;
+    registerProperties();
+    this.#controller = createMonitorController({
+      mode: 'element',
+      emit: message => this.#emit(message)
+    });
+    this.#controller.setStream(this.#stream);
+    this.#configure(this.#attributeConfig());
+
+    const shadow = this.shadowRoot ?? this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = styles;
+    const mount = document.createElement('div');
+    shadow.replaceChildren(style, mount);
+    this.#root = ReactDOM.createRoot(mount);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    // Moving the element around the page disconnects and reconnects it in one task
+    queueMicrotask(() => {
+      if (this.isConnected || !this.#controller) return;
+      this.#root.unmount();
+      this.#controller.destroy();
+      this.#root = this.#controller = null;
+    });
+  }
+
+  attributeChangedCallback(name, previous, value) {
+    if (!this.#controller || previous === value) return;
+    if (name === 'controls') return this.#render();
+    this.#configure(this.#attributeConfig(name));
+  }
+
+  get stream() {
+    return this.#stream;
+  }
+
+  set stream(stream) {
+    this.#stream = stream ?? null;
+    this.#controller?.setStream(this.#stream);
+  }
+
+  configure(args) { return this.#command('configure', args); }
+  start() { return this.#command('start'); }
+  stop() { return this.#command('stop'); }
+  reset() { return this.#command('reset'); }
+  getReport() { return this.#command('getReport'); }
+  getStatus() { return this.#command('getStatus'); }
+
+  async send(message) {
+    try {
+      const { id, command, args } = parseCommand(message) ?? {};
+      if (!command) throw new Error('Not a proctor-monitor message');
+      return responseMessage(id, { ok: true, data: await this.#command(command, args) });
+    } catch (err) {
+      return responseMessage(message?.id ?? null, { ok: false, error: err.message });
+    }
+  }
+
+  #emit(message) {
+    this.dispatchEvent(new CustomEvent(`proctor:${message.event}`, { detail: message, bubbles: true, composed: true }));
+  }
+
+  #command(name, args) {
+    if (!this.#controller) return Promise.reject(new Error('The element is not on the page'));
+    return this.#controller.command(name, args);
+  }
+
+  // Attributes as configure args; `only` limits them to one changed attribute
+  #attributeConfig(only = null) {
+    const read = name => (only && only !== name ? undefined : this.getAttribute(name) ?? undefined);
+    const config = { sessionId: read('session-id'), policy: read('policy') };
+    if (!only || only.startsWith('candidate-')) {
+      config.candidate = { id: this.getAttribute('candidate-id') ?? '', name: this.getAttribute('candidate-name') ?? '' };
+    }
+    return Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+  }
+
+  // Invalid configuration is reported like any other monitor error
+  #configure(args) {
+    this.#command('configure', args).catch(err => this.#emit(eventMessage('error', { message: err.message })));
+  }
+
+  #render() {
+    this.#root?.render(<ProctorMonitor controller={this.#controller} controls={this.hasAttribute('controls')} />);
+  }
+}
+
+if (!customElements.get(TAG)) customElements.define(TAG, ProctorMonitorElement);
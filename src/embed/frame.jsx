@@ -0,0 +1,56 @@
+// Entry of embed.html, the monitor in an iframe (see docs/embedding.md). Talks to
+// the parent page only, with postMessage pinned to the host's origin: `?origin=`
+// when given, otherwise the origin of the embedding page.
+//
+//   ?session=   session id       ?policy=  profile id      ?controls  start/stop buttons
+//   ?candidateId=, ?candidateName=
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import ProctorMonitor from '../components/ProctorMonitor';
+import { createMonitorController } from './monitorController';
+import { eventMessage, parseCommand, responseMessage } from './protocol';
+import '../index.css';
+
+const params = new URLSearchParams(window.location.search);
+const referrerOrigin = document.referrer ? new URL(document.referrer).origin : null;
+const hostOrigin = params.get('origin') || referrerOrigin;
+const embedded = window.parent !== window;
+
+const post = (message) => {
+  if (embedded && hostOrigin) window.parent.postMessage(message, hostOrigin);
+};
+
+if (embedded && !hostOrigin) console.warn('No host origin: pass ?origin= to receive monitor events');
+
+const controller = createMonitorController({ mode: 'iframe', emit: post });
+
+window.addEventListener('message', async (event) => {
+  if (event.source !== window.parent || event.origin !== hostOrigin) return;
+  let command;
+  try {
+    command = parseCommand(event.data);
+  } catch (err) {
+    return post(responseMessage(event.data?.id ?? null, { ok: false, error: err.message }));
+  }
+  if (!command) return;
+  try {
+    post(responseMessage(command.id, { ok: true, data: await controller.command(command.command, command.args) }));
+  } catch (err) {
+    post(responseMessage(command.id, { ok: false, error: err.message }));
+  }
+});
+
+const config = {
+  ...(params.has('session') && { sessionId: params.get('session') }),
+  ...(params.has('policy') && { policy: params.get('policy') }),
+  candidate: { id: params.get('candidateId') ?? '', name: params.get('candidateName') ?? '' }
+};
+controller.command('configure', config).catch(err => post(eventMessage('error', { message: err.message })));
+
+ReactDOM.createRoot(document.getElementById('root')).render(
+  <React.StrictMode>
+    <div className="p-2">
+      <ProctorMonitor controller={controller} controls={params.has('controls')} />
+    </div>
+  </React.StrictMode>,
+);
@@ -0,0 +1,271 @@
+// The monitor behind the embeddable widget, with no React or DOM-embedding code:
+// it owns the engine, the camera and the session, runs the protocol's commands
+// (see ./protocol) and hands every event for the host to `emit`. The iframe page and
+// the <proctor-monitor> element both wrap one of these; ProctorMonitor renders it.
+import { createProctoringEngine, createDefaultDetectors, createFrameScheduler } from '../engine';
+import { loadBrowserInference } from '../engine/workerInference';
+import { loadFaceEmbedder } from '../engine/faceEmbedding';
+import { computeIntegrity } from '../utils/integrity';
+import { buildReport } from '../utils/report';
+import { createAudioMonitor } from '../utils/audioMonitor';
+import { openMediaStream, describeMediaError, stopStream } from '../utils/mediaDevices';
+import { STANDARD_POLICY, detectorOptions, loadPolicies, normalizePolicy } from '../utils/policy';
+import { eventMessage, violationPayload } from './protocol';
+
+const STATUS_INTERVAL_MS = 5000; // status heartbeat while monitoring, as the score drifts with time
+
+const iso = timestamp => (timestamp === null || timestamp === undefined ? null : new Date(timestamp).toISOString());
+
+// Browser checks that can't work embedded: the host page owns fullscreen and page
+// unloads, and inside an iframe the window loses focus whenever the host is clicked
+const embeddedPolicy = (policy, mode) => ({
+  ...policy,
+  detectors: {
+    ...policy.detectors,
+    browser: { ...policy.detectors.browser, fullscreenExit: false, reloadAttempt: false, ...(mode === 'iframe' && { windowBlur: false }) }
+  }
+});
+
+// `policy` is the id of a profile known to this origin (built-in or saved here) or
+// a profile object, validated like an import
+export const resolvePolicy = (policy) => {
+  if (typeof policy !== 'string') return normalizePolicy(policy);
+  const found = loadPolicies().find(p => p.id === policy);
+  if (!found) throw new Error(`Unknown policy profile "${policy}"`);
+  return found;
+};
+
+// `mode` is 'element' or 'iframe'; `emit(message)` receives protocol event messages
+export const createMonitorController = ({ mode = 'element', emit = () => {} } = {}) => {
+  const engine = createProctoringEngine();
+  const listeners = new Set();
+  let state = { status: 'loading', error: null, sessionId: null, policy: STANDARD_POLICY, candidate: { name: '', id: '' }, backend: null, worker: false, session: null };
+  let snapshot = null;
+  let inference = null;
+  let embedder = null;
+  let embedderLoading = false;
+  let video = null;
+  let hostStream = null;
+  let stream = null;
+  let audioMonitor = null;
+  let scheduler = null;
+  let heartbeat = null;
+  let starting = null; // the pending start, while the camera opens
+  let destroyed = false;
+
+  const labels = () => Object.fromEntries(Object.entries(engine.getViolationTypes()).map(([type, meta]) => [type, meta.label]));
+
+  const applyPolicy = () => {
+    const policy = embeddedPolicy(state.policy, mode);
+    engine.setDetectors(createDefaultDetectors(detectorOptions(policy, {
+      getMonitor: () => audioMonitor,
+      identity: { getEmbedder: () => embedder }
+    })));
+    engine.setSmoothing(policy.smoothing);
+    // The face recognition model is only fetched for profiles that check identity
+    if (inference && policy.detectors.identity?.enabled !== false && !embedder && !embedderLoading) {
+      embedderLoading = true;
+      loadFaceEmbedder()
+        .then((loaded) => { if (destroyed) loaded.dispose(); else embedder = loaded; })
+        .catch(err => console.warn('Face recognition unavailable; identity is not checked', err))
+        .finally(() => { embedderLoading = false; });
+    }
+  };
+
+  const getStatus = () => {
+    const { session } = state;
+    const integrity = session
+      ? computeIntegrity(engine.getEvents(), { startedAt: session.startedAt, now: session.endedAt ?? Date.now(), risk: session.policy.risk })
+      : null;
+    return {
+      state: state.status,
+      error: state.error,
+      sessionId: session?.id ?? state.sessionId,
+      policyId: state.policy.id,
+      backend: state.backend,
+      worker: state.worker,
+      startedAt: iso(session?.startedAt),
+      endedAt: iso(session?.endedAt),
+      integrityScore: integrity?.score ?? null,
+      riskLevel: integrity?.level ?? null,
+      totalViolations: Object.values(engine.getStats()).reduce((t, n) => t + n, 0),
+      active: Object.entries(engine.getActive()).filter(([, active]) => active).map(([type]) => type),
+      audio: Boolean(audioMonitor)
+    };
+  };
+
+  const changed = () => {
+    const status = getStatus();
+    snapshot = { ...status, labels: labels() };
+    listeners.forEach(listener => listener());
+    emit(eventMessage('status', status));
+  };
+
+  const setState = (next) => {
+    state = { ...state, ...next };
+    changed();
+  };
+
+  const report = () => {
+    const { session } = state;
+    const now = session.endedAt ?? Date.now();
+    const events = engine.getEvents();
+    const integrity = computeIntegrity(events, { startedAt: session.startedAt, now, risk: session.policy.risk });
+    return buildReport({ session, candidate: state.candidate, stats: engine.getStats(), events, integrity, labels: labels(), now });
+  };
+
+  const releaseStream = () => {
+    audioMonitor?.stop();
+    audioMonitor = null;
+    if (stream !== hostStream) stopStream(stream);
+    stream = null;
+    if (video) video.srcObject = null;
+  };
+
+  ['start', 'update', 'end'].forEach((phase) => {
+    engine.on(`violation:${phase}`, (event) => {
+      emit(eventMessage('violation', violationPayload(phase, event, labels()[event.type] ?? event.type)));
+      changed();
+    });
+  });
+
+  // Opens the camera and starts (or resumes) the session; see commands.start
+  const begin = async () => {
+    if (state.status === 'monitoring') return getStatus();
+    if (state.status === 'loading') throw new Error('Models are still loading');
+    if (!inference) throw new Error(state.error || 'Models are not available');
+    if (!video) throw new Error('The monitor is not on the page');
+    try {
+      stream = hostStream ?? (await openMediaStream()).stream;
+    } catch (err) {
+      setState({ error: describeMediaError(err) });
+      throw new Error(state.error);
+    }
+    video.srcObject = stream;
+    await video.play().catch(() => {});
+    if (destroyed) {
+      releaseStream();
+      throw new Error('The monitor was removed');
+    }
+    if (stream.getAudioTracks().length) audioMonitor = createAudioMonitor(stream, { noiseDb: state.policy.detectors.audio?.noiseDb });
+
+    // Restarting after a stop continues the same session, as in the dashboard
+    const session = state.session
+      ? { ...state.session, endedAt: null }
+      : { id: state.sessionId ?? crypto.randomUUID(), startedAt: Date.now(), endedAt: null, policy: embeddedPolicy(state.policy, mode) };
+    scheduler = createFrameScheduler({
+      processFrame: ({ runObjects }) => (video?.videoWidth
+        ? engine.processFrame(video, Date.now(), { skip: runObjects ? [] : ['objects'] })
+        : Promise.resolve(null)),
+      intervalMs: state.policy.sampleIntervalMs
+    });
+    scheduler.start();
+    engine.startWatching();
+    heartbeat = setInterval(changed, STATUS_INTERVAL_MS);
+    setState({ status: 'monitoring', error: null, session });
+    return getStatus();
+  };
+
+  const commands = {
+    // { sessionId?, policy?, candidate?: { name?, id? } }; not while a session exists
+    configure: ({ sessionId, policy, candidate }) => {
+      if (state.session) throw new Error('Reset the current session before configuring another');
+      if (sessionId !== undefined && (typeof sessionId !== 'string' || !sessionId.trim())) throw new Error('sessionId must be a non-empty string');
+      const next = {};
+      if (policy !== undefined) next.policy = resolvePolicy(policy);
+      if (sessionId !== undefined) next.sessionId = sessionId;
+      if (candidate !== undefined) next.candidate = { name: candidate?.name ?? '', id: candidate?.id ?? '' };
+      state = { ...state, ...next };
+      if (next.policy) applyPolicy();
+      changed();
+      return getStatus();
+    },
+
+    // A start while one is opening the camera (e.g. a double click, or the controls
+    // and postMessage at once) gets the same result rather than a second camera
+    start: () => {
+      if (starting) return starting;
+      starting = begin().finally(() => { starting = null; });
+      return starting;
+    },
+
+    // Resolves to the final report, which is also sent as a `report` event
+    stop: async () => {
+      if (state.status !== 'monitoring') throw new Error('Not monitoring');
+      const stoppedAt = Date.now();
+      clearInterval(heartbeat);
+      engine.stopWatching();
+      const running = scheduler;
+      scheduler = null;
+      await running.stop();
+      releaseStream();
+      engine.closeAll(stoppedAt);
+      setState({ status: 'stopped', session: { ...state.session, endedAt: stoppedAt } });
+      const final = report();
+      emit(eventMessage('report', { final: true, report: final }));
+      return final;
+    },
+
+    // Discards the session and its log; the configuration is kept
+    reset: async () => {
+      if (state.status === 'monitoring') await commands.stop();
+      engine.reset();
+      setState({ status: inference ? 'idle' : state.status, session: null });
+      return getStatus();
+    },
+
+    getReport: () => {
+      if (!state.session) throw new Error('No session has started');
+      return report();
+    },
+
+    getStatus
+  };
+
+  loadBrowserInference().then((loaded) => {
+    if (destroyed) return loaded.inference.terminate?.();
+    inference = loaded.inference;
+    engine.setInference(inference);
+    state = { ...state, status: 'idle', backend: loaded.backend, worker: loaded.worker };
+    applyPolicy();
+    changed();
+    emit(eventMessage('ready', getStatus()));
+  }).catch((err) => {
+    console.error('Failed to load models', err);
+    setState({ status: 'error', error: `Could not load models: ${err.message}` });
+    emit(eventMessage('error', { message: state.error }));
+  });
+
+  applyPolicy();
+  changed();
+
+  return {
+    // Runs a protocol command; resolves to its result or rejects with an Error
+    command: async (name, args = {}) => {
+      if (!Object.hasOwn(commands, name)) throw new Error(`Unknown command "${name}"`);
+      return commands[name](args);
+    },
+    // The camera stream to monitor instead of opening one, e.g. the host's call
+    // stream; null to go back to opening the camera. Its tracks are never stopped.
+    setStream: (next) => {
+      if (starting || state.status === 'monitoring') throw new Error('Stop monitoring before changing the stream');
+      hostStream = next ?? null;
+    },
+    attachVideo: (element) => { video = element; },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+    destroy: () => {
+      destroyed = true;
+      clearInterval(heartbeat);
+      engine.stopWatching();
+      scheduler?.stop();
+      releaseStream();
+      inference?.terminate?.();
+      embedder?.dispose();
+      listeners.clear();
+    }
+  };
+};
@@ -0,0 +1,53 @@
+// Message contract between a host page and the embedded monitor, shared by the
+// iframe (postMessage) and the <proctor-monitor> element (DOM events). Documented
+// in docs/embedding.md. Bump PROTOCOL_VERSION on any change a host could notice;
+// the monitor answers messages of another version with an error instead of guessing.
+//
+//   host -> monitor  { protocol, version, type: 'command', id?, command, args? }
+//   monitor -> host  { protocol, version, type: 'response', replyTo, ok, data? | error? }
+//                    { protocol, version, type: 'event', event, data }
+export const PROTOCOL = 'proctor-monitor';
+export const PROTOCOL_VERSION = 1;
+
+export const COMMANDS = ['configure', 'start', 'stop', 'reset', 'getReport', 'getStatus'];
+export const EVENTS = ['ready', 'status', 'violation', 'report', 'error'];
+
+const envelope = type => ({ protocol: PROTOCOL, version: PROTOCOL_VERSION, type });
+
+export const eventMessage = (event, data = null) => ({ ...envelope('event'), event, data });
+
+export const responseMessage = (replyTo, result) => (result.ok
+  ? { ...envelope('response'), replyTo, ok: true, data: result.data ?? null }
+  : { ...envelope('response'), replyTo, ok: false, error: result.error });
+
+// Reads a message from the host. Returns null for messages of other protocols (the
+// page may carry unrelated postMessage traffic); throws on malformed ones.
+export const parseCommand = (message) => {
+  if (message?.protocol !== PROTOCOL) return null;
+  if (message.version !== PROTOCOL_VERSION) {
+    throw new Error(`Protocol version ${message.version} is not supported (expected ${PROTOCOL_VERSION})`);
+  }
+  if (message.type !== 'command') throw new Error(`Unexpected message type "${message.type}"`);
+  if (!COMMANDS.includes(message.command)) throw new Error(`Unknown command "${message.command}"`);
+  if (message.args !== undefined && (message.args === null || typeof message.args !== 'object')) {
+    throw new Error('args must be an object');
+  }
+  return { id: message.id ?? null, command: message.command, args: message.args ?? {} };
+};
+
+const iso = timestamp => (timestamp === null || timestamp === undefined ? null : new Date(timestamp).toISOString());
+
+// A log event as hosts see it: report-style ISO times and the violation's label
+export const violationPayload = (phase, event, label) => ({
+  phase,
+  violation: {
+    id: event.id,
+    type: event.type,
+    label,
+    startedAt: iso(event.startedAt),
+    endedAt: iso(event.endedAt),
+    durationMs: event.durationMs,
+    peakConfidence: event.peakConfidence,
+    data: event.data
+  }
+});
@@ -0,0 +1,68 @@
+import { separateVoices } from '../../utils/voiceActivity.js';
+
+// Audio violations from a microphone monitor (see utils/audioMonitor). `getMonitor`
+// returns the live monitor or null when no microphone is on; the detector reads the
+// monitor's recent samples at each video frame, so it needs no shared model.
+//   speechDetected   speech for `minSpeechMs` within the last `speechWindowMs`
+//                    (only with `flagSpeech`, for sessions that should be silent)
+//   multipleVoices   two pitch groups `pitchSeparation` semitones apart, each voiced
+//                    for `minVoiceMs`, within the last `voicesWindowMs`
+//   backgroundNoise  non-speech sound above the monitor's noise level for 80% of
+//                    the last `noiseMs`
+export const createAudioDetector = ({
+  getMonitor = () => null,
+  flagSpeech = true,
+  minSpeechMs = 1000,
+  speechWindowMs = 3000,
+  pitchSeparation = 5,
+  minVoiceMs = 1000,
+  voicesWindowMs = 10000,
+  noiseMs = 10000,
+  minConfidence = 0
+} = {}) => {
+  const detect = ({ now }) => {
+    const monitor = getMonitor();
+    if (!monitor) {
+      return { violations: { speechDetected: { active: false }, multipleVoices: { active: false }, backgroundNoise: { active: false } }, metrics: { audio: null } };
+    }
+    const step = monitor.sampleIntervalMs;
+    const recent = monitor.getSamples(now - Math.max(speechWindowMs, voicesWindowMs, noiseMs));
+    const within = ms => recent.filter(s => s.t >= now - ms);
+
+    const speechMs = within(speechWindowMs).filter(s => s.speech).length * step;
+    const speaking = flagSpeech && speechMs >= minSpeechMs;
+
+    const voices = separateVoices(
+      within(voicesWindowMs).filter(s => s.pitch !== null).map(s => s.pitch),
+      { minSamples: Math.ceil(minVoiceMs / step), minSeparation: pitchSeparation }
+    );
+
+    const noiseWindow = within(noiseMs);
+    const noisyShare = noiseWindow.length ? noiseWindow.filter(s => s.noise).length / Math.ceil(noiseMs / step) : 0;
+    const level = monitor.getLevel();
+
+    const result = (active, confidence, data) => (active && confidence >= minConfidence ? { active: true, confidence, data } : { active: false });
+    return {
+      violations: {
+        speechDetected: result(speaking, Math.min(1, speechMs / speechWindowMs), { speechMs, db: level?.db ?? null }),
+        multipleVoices: result(Boolean(voices), voices ? Math.min(1, voices.separation / (pitchSeparation * 2)) : 0, voices && {
+          pitches: [Math.round(voices.low), Math.round(voices.high)]
+        }),
+        backgroundNoise: result(noisyShare >= 0.8, Math.min(1, noisyShare), { noiseMs: Math.round(noisyShare * noiseMs), db: level?.db ?? null })
+      },
+      metrics: { audio: level }
+    };
+  };
+
+  return {
+    id: 'audio',
+    types: {
+      speechDetected: { label: 'Speech While Muted Expected' },
+      multipleVoices: { label: 'Multiple Voices' },
+      backgroundNoise: { label: 'Sustained Background Noise' }
+    },
+    requires: [],
+    detect,
+    reset: () => {}
+  };
+};
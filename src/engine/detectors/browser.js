@@ -0,0 +1,111 @@
+// Browser environment violations. Unlike the camera detectors this one watches DOM
+// events rather than frames: the engine calls watch(report) while monitoring runs
+// and every change is reported with its own timestamp.
+//   tabHidden       the page is hidden (another tab, minimized window)
+//   windowBlur      the page is visible but another window has focus, after `blurGraceMs`
+//   fullscreenExit  the page is not fullscreen (enforced fullscreen mode)
+//   clipboardUsed   copy, cut or paste; instantaneous
+//   contextMenu     the context menu was opened; instantaneous
+//   displayChanged  screen size or multi-monitor setup changed, or the desktop is
+//                   extended across monitors when monitoring starts; instantaneous
+//   reloadAttempt   the page is about to reload, close or navigate away; instantaneous
+// Each option of the same name turns its type off when false.
+const TYPES = {
+  tabHidden: { label: 'Tab Hidden' },
+  windowBlur: { label: 'Window Unfocused' },
+  fullscreenExit: { label: 'Fullscreen Exited' },
+  clipboardUsed: { label: 'Clipboard Used', instant: true },
+  contextMenu: { label: 'Context Menu Opened', instant: true },
+  displayChanged: { label: 'Display Changed', instant: true },
+  reloadAttempt: { label: 'Reload Attempt', instant: true }
+};
+
+const displayOf = screen => ({ width: screen.width, height: screen.height, isExtended: screen.isExtended ?? null });
+const sameDisplay = (a, b) => a.width === b.width && a.height === b.height && a.isExtended === b.isExtended;
+
+export const createBrowserDetector = ({ blurGraceMs = 500, ...options } = {}) => {
+  const types = Object.fromEntries(Object.entries(TYPES).filter(([type]) => options[type] !== false));
+
+  // `report(type, result, now?)` feeds the engine; returns the function that stops watching
+  const watch = (report) => {
+    const win = window, doc = document;
+    const listeners = [];
+    const listen = (target, name, handler) => {
+      target.addEventListener(name, handler);
+      listeners.push(() => target.removeEventListener(name, handler));
+    };
+    const set = (type, active, data = null) => {
+      if (type in types) report(type, active ? { active: true, confidence: 1, data } : { active: false });
+    };
+    const instant = (type, data) => {
+      if (!(type in types)) return;
+      const now = Date.now();
+      report(type, { active: true, confidence: 1, data }, now);
+      report(type, { active: false }, now);
+    };
+
+    // Switching tabs blurs the window just before hiding the page; the grace period
+    // keeps that from counting as a separate windowBlur
+    let blurTimer = null;
+    const checkFocus = () => {
+      blurTimer = null;
+      set('windowBlur', doc.visibilityState === 'visible' && !doc.hasFocus());
+    };
+    const onVisibility = () => {
+      const hidden = doc.visibilityState === 'hidden';
+      if (hidden) set('windowBlur', false);
+      set('tabHidden', hidden);
+      if (!hidden) checkFocus();
+    };
+    listen(doc, 'visibilitychange', onVisibility);
+    listen(win, 'blur', () => {
+      clearTimeout(blurTimer);
+      blurTimer = setTimeout(checkFocus, blurGraceMs);
+    });
+    listen(win, 'focus', () => {
+      clearTimeout(blurTimer);
+      checkFocus();
+    });
+
+    const checkFullscreen = () => set('fullscreenExit', !doc.fullscreenElement);
+    listen(doc, 'fullscreenchange', checkFullscreen);
+
+    ['copy', 'cut', 'paste'].forEach(action => listen(doc, action, () => instant('clipboardUsed', { action })));
+    listen(doc, 'contextmenu', () => instant('contextMenu'));
+
+    let display = displayOf(win.screen);
+    const checkDisplay = () => {
+      const next = displayOf(win.screen);
+      if (sameDisplay(next, display)) return;
+      instant('displayChanged', { ...next, previous: display });
+      display = next;
+    };
+    listen(win, 'resize', checkDisplay);
+    if (typeof win.screen.addEventListener === 'function') listen(win.screen, 'change', checkDisplay);
+
+    // Also asks the browser to confirm leaving, which lets the candidate cancel
+    listen(win, 'beforeunload', (e) => {
+      if (!('reloadAttempt' in types)) return;
+      instant('reloadAttempt');
+      e.preventDefault();
+      e.returnValue = '';
+    });
+
+    onVisibility();
+    checkFullscreen();
+    if (display.isExtended) instant('displayChanged', { ...display, previous: null });
+
+    return () => {
+      clearTimeout(blurTimer);
+      listeners.forEach(remove => remove());
+    };
+  };
+
+  return {
+    id: 'browser',
+    types,
+    requires: [],
+    watch,
+    reset: () => {}
+  };
+};
@@ -0,0 +1,30 @@
+import { computeEyeAspectRatios, createBlinkTracker } from '../../utils/eyeTracking.js';
+
+// Drowsiness: eyes closed (EAR below `earThreshold`) for `drowsyFrames` in a row.
+// Shorter closures are tracked as blinks and never raise drowsiness. Eyes are
+// only measured on a main face at or above `minConfidence`.
+export const createDrowsinessDetector = ({ earThreshold = 0.2, drowsyFrames = 15, minConfidence = 0 } = {}) => {
+  const blinkTracker = createBlinkTracker({ threshold: earThreshold, drowsyFrames });
+
+  const detect = ({ faces, mesh, now }) => {
+    const mainFace = faces[0]?.probability >= minConfidence ? faces[0] : null;
+    const ear = mainFace && mesh ? computeEyeAspectRatios(mesh.keypoints) : null;
+    const eye = blinkTracker.update(ear, now);
+    return {
+      violations: {
+        drowsiness: eye.drowsy
+          ? { active: true, confidence: mainFace.probability, data: { ear: eye.ear, closedMs: eye.closedMs } }
+          : { active: false }
+      },
+      metrics: { eye }
+    };
+  };
+
+  return {
+    id: 'drowsiness',
+    types: { drowsiness: { label: 'Drowsiness' } },
+    requires: ['faces', 'mesh'],
+    detect,
+    reset: blinkTracker.reset
+  };
+};
@@ -0,0 +1,12 @@
+// Faces below `minConfidence` don't count as present
+export const createFaceAbsentDetector = ({ minConfidence = 0 } = {}) => ({
+  id: 'faceAbsent',
+  types: { faceAbsent: { label: 'Face Absent' } },
+  requires: ['faces'],
+  detect: ({ faces }) => ({
+    violations: {
+      faceAbsent: faces.every(face => face.probability < minConfidence) ? { active: true, confidence: 1 } : { active: false }
+    }
+  }),
+  reset: () => {}
+});
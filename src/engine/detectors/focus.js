@@ -0,0 +1,52 @@
+import { estimateAttention, DEFAULT_ATTENTION_LIMITS } from '../../utils/headPose.js';
+
+// Focus loss: head turned or eyes looking past `limits` for `lostFrames` frames.
+// Reports the direction the candidate looked most during the streak. A main face
+// below `minConfidence` is treated like no face. `getBaseline` returns the
+// candidate's calibrated position (see computeAttentionBaseline) or null, in
+// which case angles are measured from straight ahead.
+export const createFocusDetector = ({ lostFrames = 35, limits = DEFAULT_ATTENTION_LIMITS, minConfidence = 0, getBaseline = () => null } = {}) => {
+  let focusLostFrames = 0;
+  let awayDirectionFrames = {};
+
+  const detect = ({ faces, mesh, width, height }) => {
+    const mainFace = faces[0]?.probability >= minConfidence ? faces[0] : null;
+    let attention = null;
+    if (!mainFace) {
+      focusLostFrames++;
+    } else {
+      attention = mesh ? estimateAttention(mesh.keypoints, limits, { baseline: getBaseline(), frame: { width, height } }) : null;
+      if (attention?.away) {
+        focusLostFrames++;
+        awayDirectionFrames[attention.direction] = (awayDirectionFrames[attention.direction] || 0) + 1;
+      } else {
+        focusLostFrames = Math.max(0, focusLostFrames - 1);
+        if (focusLostFrames === 0) awayDirectionFrames = {};
+      }
+    }
+
+    const lost = focusLostFrames >= lostFrames;
+    const direction = Object.entries(awayDirectionFrames)
+      .reduce((best, entry) => (!best || entry[1] > best[1] ? entry : best), null)?.[0] || null;
+
+    return {
+      violations: {
+        focusLost: lost
+          ? {
+            active: true,
+            confidence: mainFace?.probability ?? 1,
+            data: { direction, pose: attention?.pose ?? null, gaze: attention?.gaze ?? null }
+          }
+          : { active: false }
+      },
+      metrics: { attention }
+    };
+  };
+
+  const reset = () => {
+    focusLostFrames = 0;
+    awayDirectionFrames = {};
+  };
+
+  return { id: 'focus', types: { focusLost: { label: 'Focus Lost' } }, requires: ['faces', 'mesh'], detect, reset };
+};
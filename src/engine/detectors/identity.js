@@ -0,0 +1,89 @@
+import { faceBox } from '../inference.js';
+import { bestSimilarity, descriptorSimilarity } from '../../utils/faceIdentity.js';
+
+// Identity: checks that the main face stays the person enrolled at the start.
+// The first `enrollSamples` frames with a single face at or above `minConfidence`
+// (`enrollIntervalMs` apart) become the reference; after that the main face is
+// compared every `intervalMs`, and straight away when a face reappears after none
+// was seen. `identityMismatch` opens after `mismatchChecks` checks in a row below
+// `minSimilarity` to the reference, or below `minIdSimilarity` to the ID photo
+// descriptor from `getIdDescriptor`, and clears at the first matching check. It also
+// clears while no face is seen (that is faceAbsent's to report); the failed checks
+// are kept, so the same stranger coming back reopens it at the first check.
+// `getEmbedder` returns a face embedder (see engine/faceEmbedding) or null while it
+// loads; `onEnroll({ descriptor, crop })` is called for every reference captured.
+export const createIdentityDetector = ({
+  getEmbedder = () => null,
+  getIdDescriptor = () => null,
+  onEnroll = () => {},
+  enrollSamples = 5,
+  enrollIntervalMs = 500,
+  intervalMs = 2000,
+  minSimilarity = 0.4,
+  minIdSimilarity = 0.3,
+  mismatchChecks = 2,
+  minConfidence = 0.9
+} = {}) => {
+  let references = [];
+  let lastRun = null;
+  let hadFace = false;
+  let streak = 0;
+  let last = { similarity: null, idSimilarity: null, checkedAt: null };
+  let mismatch = false;
+
+  const output = () => ({
+    violations: {
+      identityMismatch: mismatch
+        ? { active: true, confidence: 1 - Math.min(last.similarity, last.idSimilarity ?? 1), data: { similarity: last.similarity, idSimilarity: last.idSimilarity } }
+        : { active: false }
+    },
+    metrics: { identity: { enrolled: references.length, needed: enrollSamples, ...last } }
+  });
+
+  const detect = async ({ source, faces, now }) => {
+    const embedder = getEmbedder();
+    const face = faces[0]?.probability >= minConfidence ? faces[0] : null;
+    const reappeared = Boolean(face) && !hadFace;
+    hadFace = Boolean(face);
+    if (!face) mismatch = false;
+    if (!embedder || !face) return output();
+
+    if (references.length < enrollSamples) {
+      if (faces.length > 1 || (lastRun !== null && now - lastRun < enrollIntervalMs)) return output();
+      lastRun = now;
+      const { descriptor, crop } = await embedder.embed(source, faceBox(face).bbox, { crop: true });
+      references = [...references, descriptor];
+      onEnroll({ descriptor, crop });
+      return output();
+    }
+
+    if (!reappeared && now - lastRun < intervalMs) return output();
+    lastRun = now;
+    const { descriptor } = await embedder.embed(source, faceBox(face).bbox);
+    const idDescriptor = getIdDescriptor();
+    last = {
+      similarity: bestSimilarity(descriptor, references),
+      idSimilarity: idDescriptor ? descriptorSimilarity(descriptor, idDescriptor) : null,
+      checkedAt: now
+    };
+    const failed = last.similarity < minSimilarity || (last.idSimilarity !== null && last.idSimilarity < minIdSimilarity);
+    streak = failed ? streak + 1 : 0;
+    mismatch = failed && (mismatch || streak >= mismatchChecks);
+    return output();
+  };
+
+  return {
+    id: 'identity',
+    types: { identityMismatch: { label: 'Identity Mismatch' } },
+    requires: ['faces'],
+    detect,
+    reset: () => {
+      references = [];
+      lastRun = null;
+      hadFace = false;
+      streak = 0;
+      last = { similarity: null, idSimilarity: null, checkedAt: null };
+      mismatch = false;
+    }
+  };
+};
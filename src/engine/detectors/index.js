@@ -0,0 +1,27 @@
+import { createFocusDetector } from './focus.js';
+import { createFaceAbsentDetector } from './faceAbsent.js';
+import { createMultipleFacesDetector } from './multipleFaces.js';
+import { createObjectDetector, DEFAULT_OBJECT_VIOLATIONS } from './objects.js';
+import { createDrowsinessDetector } from './drowsiness.js';
+import { createAudioDetector } from './audio.js';
+import { createBrowserDetector } from './browser.js';
+import { createIdentityDetector } from './identity.js';
+
+export { createFocusDetector, createFaceAbsentDetector, createMultipleFacesDetector, createObjectDetector, createDrowsinessDetector, createAudioDetector, createBrowserDetector, createIdentityDetector, DEFAULT_OBJECT_VIOLATIONS };
+
+const BUILT_IN_DETECTORS = {
+  focus: createFocusDetector,
+  faceAbsent: createFaceAbsentDetector,
+  multipleFaces: createMultipleFacesDetector,
+  identity: createIdentityDetector,
+  objects: createObjectDetector,
+  drowsiness: createDrowsinessDetector,
+  audio: createAudioDetector,
+  browser: createBrowserDetector
+};
+
+// The built-in detector set; the order here is the order of the statistics cards.
+// Options are keyed by detector id; `{ enabled: false }` leaves a detector out.
+export const createDefaultDetectors = (options = {}) => Object.entries(BUILT_IN_DETECTORS)
+  .filter(([id]) => options[id]?.enabled !== false)
+  .map(([id, create]) => create(options[id]));
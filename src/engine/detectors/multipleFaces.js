@@ -0,0 +1,19 @@
+import { faceBox } from '../inference.js';
+
+// Only faces at or above `minConfidence` are counted
+export const createMultipleFacesDetector = ({ minConfidence = 0 } = {}) => ({
+  id: 'multipleFaces',
+  types: { multipleFaces: { label: 'Multiple Faces' } },
+  requires: ['faces'],
+  detect: ({ faces }) => {
+    const confident = faces.filter(face => face.probability >= minConfidence);
+    return {
+      violations: {
+        multipleFaces: confident.length > 1
+          ? { active: true, confidence: confident[1].probability, data: { faces: confident.map(faceBox) } }
+          : { active: false }
+      }
+    };
+  },
+  reset: () => {}
+});
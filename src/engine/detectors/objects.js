@@ -0,0 +1,59 @@
+// Maps COCO-SSD classes to violation types. A detection counts toward a rule when it
+// clears the confidence and size thresholds, the most specific one winning: the
+// class's entry in `classes`, then the rule's, then the detector-wide one.
+//   minConfidence  0-1
+//   minArea        box area as a fraction of the frame, to drop tiny spurious boxes
+// A rule raises its type once `minCount` detections count (default 1; the
+// candidate is usually one of the "person" boxes, so additionalPerson needs two).
+// With `roi` set, only detections whose center lies in `roi.region` ([x, y, width,
+// height] as fractions of the frame) or within `roi.nearFace` face widths of the
+// main face count; rules with `roi: false` look at the whole frame.
+export const DEFAULT_OBJECT_VIOLATIONS = {
+  phoneDetected: { label: 'Phone Detected', classes: ['cell phone'] },
+  notesDetected: { label: 'Notes Detected', classes: ['book'] },
+  secondaryScreen: { label: 'Secondary Screen', classes: ['tv', 'laptop'], minArea: 0.01 },
+  additionalPerson: { label: 'Additional Person', classes: ['person'], minConfidence: 0.6, minCount: 2, roi: false },
+  electronicDevice: { label: 'Electronic Device', classes: ['keyboard', 'remote'] }
+};
+
+const center = ([x, y, width, height]) => [x + width / 2, y + height / 2];
+const inBox = ([px, py], [x, y, width, height]) => px >= x && px <= x + width && py >= y && py <= y + height;
+
+export const createObjectDetector = ({ violations = DEFAULT_OBJECT_VIOLATIONS, minConfidence = 0, minArea = 0, classes = {}, roi = null } = {}) => {
+  const inRoi = (obj, { faces, width, height }) => {
+    const point = center(obj.bbox);
+    if (roi.region && inBox(point, [roi.region[0] * width, roi.region[1] * height, roi.region[2] * width, roi.region[3] * height])) return true;
+    const face = faces[0];
+    if (!roi.nearFace || !face) return false;
+    const margin = roi.nearFace * face.width;
+    return inBox(point, [face.x - margin, face.y - margin, face.width + margin * 2, face.height + margin * 2]);
+  };
+
+  const detect = (frame) => {
+    const frameArea = frame.width * frame.height;
+    return {
+      violations: Object.fromEntries(Object.entries(violations).map(([type, rule]) => {
+        const found = frame.objects.filter((obj) => {
+          if (!rule.classes.includes(obj.class)) return false;
+          const limits = classes[obj.class] || {};
+          const threshold = limits.minConfidence ?? rule.minConfidence ?? minConfidence;
+          const area = limits.minArea ?? rule.minArea ?? minArea;
+          return obj.confidence >= threshold
+            && (!area || !frameArea || (obj.bbox[2] * obj.bbox[3]) / frameArea >= area)
+            && (!roi || rule.roi === false || inRoi(obj, frame));
+        });
+        return [type, found.length >= (rule.minCount ?? 1)
+          ? { active: true, confidence: Math.max(...found.map(obj => obj.confidence)), data: { objects: found } }
+          : { active: false }];
+      }))
+    };
+  };
+
+  return {
+    id: 'objects',
+    types: Object.fromEntries(Object.entries(violations).map(([type, { label }]) => [type, { label: label || type }])),
+    requires: roi?.nearFace ? ['objects', 'faces'] : ['objects'],
+    detect,
+    reset: () => {}
+  };
+};
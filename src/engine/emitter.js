@@ -0,0 +1,26 @@
+// Tiny typed-event emitter: on(type, listener) returns an unsubscribe function.
+export const createEmitter = () => {
+  const listeners = new Map();
+
+  const on = (type, listener) => {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => off(type, listener);
+  };
+
+  const off = (type, listener) => {
+    listeners.get(type)?.delete(listener);
+  };
+
+  const emit = (type, payload) => {
+    listeners.get(type)?.forEach(listener => {
+      try {
+        listener(payload);
+      } catch (err) {
+        console.error(`Listener for "${type}" failed`, err);
+      }
+    });
+  };
+
+  return { on, off, emit };
+};
@@ -0,0 +1,50 @@
+// Face descriptors for identity checks: face-api's 128-d FaceNet-style recognition
+// network, with its weights served from the app bundle so no face data or model
+// request ever leaves the browser. Runs on this thread's tfjs backend.
+import * as tf from '@tensorflow/tfjs';
+import { FaceRecognitionNet } from '@vladmandic/face-api/dist/face-api.esm-nobundle.js';
+import manifest from '@vladmandic/face-api/model/face_recognition_model-weights_manifest.json';
+import weightsUrl from '@vladmandic/face-api/model/face_recognition_model.bin?url';
+import { frameSize } from './inference.js';
+
+const INPUT_SIZE = 150;
+const MARGIN = 0.1; // BlazeFace boxes are tight; the network was trained on slightly wider crops
+
+// Resolves to { embed, dispose }. embed(source, [x, y, width, height], { crop })
+// resolves to { descriptor: Float32Array(128), crop: ImageData | null }; `crop: true`
+// also returns the 150x150 face crop, e.g. to show enrollment references.
+export const loadFaceEmbedder = async () => {
+  await tf.ready();
+  const response = await fetch(weightsUrl);
+  if (!response.ok) throw new Error(`Could not load face recognition weights (${response.status})`);
+  const weightMap = tf.io.decodeWeights(await response.arrayBuffer(), manifest.flatMap(group => group.weights));
+  const net = new FaceRecognitionNet();
+  net.loadFromWeightMap(weightMap);
+
+  const cropFace = (source, [x, y, width, height]) => tf.tidy(() => {
+    const { width: frameWidth, height: frameHeight } = frameSize(source);
+    const side = Math.max(width, height) * (1 + MARGIN * 2);
+    const cx = x + width / 2, cy = y + height / 2;
+    const box = [(cy - side / 2) / frameHeight, (cx - side / 2) / frameWidth, (cy + side / 2) / frameHeight, (cx + side / 2) / frameWidth];
+    const pixels = (source instanceof tf.Tensor ? source : tf.browser.fromPixels(source)).toFloat().expandDims(0);
+    return tf.image.cropAndResize(pixels, [box], [0], [INPUT_SIZE, INPUT_SIZE]).squeeze([0]);
+  });
+
+  const embed = async (source, bbox, { crop = false } = {}) => {
+    const face = cropFace(source, bbox);
+    try {
+      const descriptor = await net.computeFaceDescriptor(face);
+      let image = null;
+      if (crop) {
+        const pixels = face.toInt();
+        image = new ImageData(await tf.browser.toPixels(pixels), INPUT_SIZE, INPUT_SIZE);
+        pixels.dispose();
+      }
+      return { descriptor, crop: image };
+    } finally {
+      face.dispose();
+    }
+  };
+
+  return { embed, dispose: () => net.dispose() };
+};
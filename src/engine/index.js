@@ -0,0 +1,8 @@
+// Public surface of the proctoring engine. Model loading (./models) and the worker
+// adapter (./workerInference) are browser-only and imported directly, so the engine
+// itself can run in Node with models built on the tfjs CPU backend.
+export { createProctoringEngine } from './proctoringEngine.js';
+export { createFrameScheduler } from './scheduler.js';
+export { createHysteresis, smoothingFor, DEFAULT_SMOOTHING } from './smoothing.js';
+export { createLocalInference, estimateFaces, detectObjects, estimateMesh, faceBox } from './inference.js';
+export * from './detectors/index.js';
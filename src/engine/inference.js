@@ -0,0 +1,62 @@
+// Thin wrappers that run the shared models on a frame source (video element,
+// canvas, ImageData or tensor) and normalize their output.
+
+export const estimateFaces = async (model, source) => {
+  if (!model || !source) return [];
+  const predictions = await model.estimateFaces(source, false);
+  return predictions.map(pred => ({
+    x: pred.topLeft[0], y: pred.topLeft[1],
+    width: pred.bottomRight[0] - pred.topLeft[0],
+    height: pred.bottomRight[1] - pred.topLeft[1],
+    centerX: (pred.topLeft[0] + pred.bottomRight[0]) / 2,
+    centerY: (pred.topLeft[1] + pred.bottomRight[1]) / 2,
+    probability: pred.probability[0],
+    landmarks: pred.landmarks // eyes, ears, nose and mouth
+  }));
+};
+
+// COCO-SSD keeps 20 boxes from 50% confidence by default; this lets per-class
+// thresholds go lower
+const MAX_OBJECTS = 20;
+const MIN_OBJECT_SCORE = 0.3;
+
+// Every COCO-SSD class; detectors pick the ones they care about
+export const detectObjects = async (model, source) => {
+  if (!model || !source) return [];
+  const predictions = await model.detect(source, MAX_OBJECTS, MIN_OBJECT_SCORE);
+  return predictions.map(pred => ({ class: pred.class, confidence: pred.score, bbox: pred.bbox }));
+};
+
+// Dense landmarks (468 keypoints + 10 iris points) of the main face
+export const estimateMesh = async (model, source) => {
+  if (!model || !source) return null;
+  const meshes = await model.estimateFaces(source, { staticImageMode: false });
+  return meshes[0] || null;
+};
+
+// Runs the requested models on the calling thread. `needs` is { faces, objects, mesh };
+// resolves to { faces, objects, mesh, timings } with milliseconds spent per model.
+// The same contract is implemented over a Web Worker in ./workerInference.
+export const createLocalInference = (models = {}) => {
+  const infer = async (source, needs) => {
+    const result = { faces: [], objects: [], mesh: null, timings: {} };
+    const timed = async (name, run) => {
+      const start = performance.now();
+      result[name] = await run();
+      result.timings[name] = performance.now() - start;
+    };
+    if (needs.faces) await timed('faces', () => estimateFaces(models.blazeface, source));
+    if (needs.objects) await timed('objects', () => detectObjects(models.cocoSsd, source));
+    if (needs.mesh) await timed('mesh', () => estimateMesh(models.faceMesh, source));
+    return result;
+  };
+
+  return { infer, reset: () => models.faceMesh?.reset?.() };
+};
+
+export const faceBox = face => ({ bbox: [face.x, face.y, face.width, face.height], probability: face.probability });
+
+export const frameSize = source => ({
+  width: source?.videoWidth || source?.width || source?.shape?.[1] || 0,
+  height: source?.videoHeight || source?.height || source?.shape?.[0] || 0
+});
@@ -0,0 +1,36 @@
+// Inference worker: loads the models off the main thread and runs them on frames
+// posted as ImageBitmaps. Messages:
+//   in   { type: 'init', backends }                 -> { type: 'ready', backend } | { type: 'error', message }
+//   in   { type: 'infer', id, bitmap, needs }       -> { type: 'result', id, result } | { type: 'error', id, message }
+//   in   { type: 'reset' }
+import * as tf from '@tensorflow/tfjs';
+import { loadModels } from './models.js';
+import { createLocalInference } from './inference.js';
+
+let inference = null;
+
+self.onmessage = async ({ data }) => {
+  if (data.type === 'init') {
+    try {
+      const { backend, models } = await loadModels({ backends: data.backends });
+      inference = createLocalInference(models);
+      self.postMessage({ type: 'ready', backend });
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message });
+    }
+  } else if (data.type === 'infer') {
+    // One upload shared by every model, instead of each model reading the bitmap
+    const pixels = tf.browser.fromPixels(data.bitmap);
+    try {
+      const result = await inference.infer(pixels, data.needs);
+      self.postMessage({ type: 'result', id: data.id, result });
+    } catch (err) {
+      self.postMessage({ type: 'error', id: data.id, message: err.message });
+    } finally {
+      pixels.dispose();
+      data.bitmap.close();
+    }
+  } else if (data.type === 'reset') {
+    inference?.reset();
+  }
+};
@@ -0,0 +1,45 @@
+// Browser model loading. Registers the tfjs webgl, wasm and cpu backends as a side
+// effect; Node callers build the same { blazeface, cocoSsd, faceMesh } object themselves.
+import * as tf from '@tensorflow/tfjs';
+import { setWasmPaths } from '@tensorflow/tfjs-backend-wasm';
+import * as blazeface from '@tensorflow-models/blazeface';
+import * as cocoSsd from '@tensorflow-models/coco-ssd';
+import * as faceLandmarksDetection from '@tensorflow-models/face-landmarks-detection';
+import wasmPath from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm?url';
+import wasmSimdPath from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm?url';
+import wasmThreadedSimdPath from '@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm?url';
+
+// Serve the wasm binaries from the app bundle rather than a CDN
+setWasmPaths({
+  'tfjs-backend-wasm.wasm': wasmPath,
+  'tfjs-backend-wasm-simd.wasm': wasmSimdPath,
+  'tfjs-backend-wasm-threaded-simd.wasm': wasmThreadedSimdPath
+});
+
+// Fastest first; each is tried in turn until one initializes and loads every model
+export const BACKENDS = ['webgl', 'wasm', 'cpu'];
+
+// Resolves to { backend, models }. A backend can initialize and still fail to load
+// a model (e.g. webgl without float textures), so loading is part of the fallback.
+export const loadModels = async ({ backends = BACKENDS } = {}) => {
+  let lastError = null;
+  for (const backend of backends) {
+    try {
+      if (!(await tf.setBackend(backend))) continue;
+      await tf.ready();
+      const models = {
+        blazeface: await blazeface.load(),
+        cocoSsd: await cocoSsd.load(),
+        faceMesh: await faceLandmarksDetection.createDetector(
+          faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+          { runtime: 'tfjs', maxFaces: 1, refineLandmarks: true }
+        )
+      };
+      return { backend, models };
+    } catch (err) {
+      console.warn(`tfjs backend "${backend}" failed, trying the next one`, err);
+      lastError = err;
+    }
+  }
+  throw lastError || new Error(`No tfjs backend available (tried ${backends.join(', ')})`);
+};
@@ -0,0 +1,257 @@
+import { createEmitter } from './emitter.js';
+import { createLocalInference, frameSize } from './inference.js';
+import { createHysteresis, smoothingFor, DEFAULT_SMOOTHING } from './smoothing.js';
+import { openEvent, raisePeak, closeEvent } from '../utils/eventLog.js';
+
+// Framework-agnostic proctoring pipeline. Feed it frames with processFrame(); it
+// runs the shared models once per frame, hands the results to every registered
+// detector and keeps counts and the violation log. Models run through an inference
+// adapter (see createLocalInference), on this thread by default or in a worker.
+// Every violation type's reports pass through a hysteresis filter (see ./smoothing)
+// configured by `smoothing`, a policy profile's `{ default, types }`, before they
+// reach the log.
+//
+// A detector is a plain object:
+//   id        unique id
+//   types     { [violationType]: { label, instant? } } the violations it can raise;
+//             `instant` ones are reported on and off at the same moment, so they
+//             bypass smoothing, which would hold them back and then drop them
+//   requires  shared inferences it reads: 'faces', 'objects' and/or 'mesh'
+//   detect(frame) -> { violations: { [type]: { active, confidence?, data? } }, metrics? }
+//   watch(report) -> stop   optional, for detectors that observe events rather than
+//             frames; called by startWatching() with report(type, result, now?)
+//   reset()   clears per-session state
+// `frame` is { source, now, width, height, faces, objects, mesh }; detect may be async
+// and may be left out by detectors that only watch.
+//
+// Events:
+//   violation:start  event   a violation type became active
+//   violation:update event   the open event saw stronger evidence, or a closed one
+//                            reopened within its type's cooldown
+//   violation:end    event   the violation cleared (or closeAll was called)
+//   frame            { now, width, height, faces, objects, allObjects, objectsFresh, mesh, results, metrics, timings }
+//                    results: [{ type, active, detected, data }], `active` after smoothing,
+//                    `detected` as the detector reported it
+//   reset            counts, log and detector state were cleared
+export const createProctoringEngine = ({ models = {}, inference = createLocalInference(models), detectors = [], smoothing = null } = {}) => {
+  const emitter = createEmitter();
+  let currentInference = inference;
+  let lastObjects = []; // reused on frames that skip the object model
+  let registered = [];
+  let stats = {};
+  let events = [];
+  let openEvents = {}; // violation type -> event in progress
+  let lastClosed = {}; // violation type -> its latest closed event, for cooldown merges
+  let currentSmoothing = smoothing;
+  let filters = {};    // violation type -> hysteresis filter, created on first report
+  let watching = null; // detector id -> stop function, while watching
+
+  const registerDetector = (detector) => {
+    if (registered.some(d => d.id === detector.id)) throw new Error(`Detector "${detector.id}" is already registered`);
+    registered = [...registered, detector];
+    Object.keys(detector.types).forEach(type => {
+      if (!(type in stats)) stats = { ...stats, [type]: 0 };
+    });
+    if (watching) watchDetector(detector);
+    return () => unregisterDetector(detector.id);
+  };
+
+  const unregisterDetector = (id) => {
+    watching?.[id]?.();
+    if (watching) delete watching[id];
+    registered = registered.filter(d => d.id !== id);
+  };
+
+  // Results pushed by watching detectors; only their own types are accepted
+  const watchDetector = (detector) => {
+    if (!detector.watch) return;
+    watching[detector.id] = detector.watch((type, result, now = Date.now()) => {
+      if (watching && type in detector.types) applyResult(type, result, now);
+    });
+  };
+
+  // Starts and stops every detector's watch(), e.g. for the length of a live session
+  const startWatching = () => {
+    if (watching) return;
+    watching = {};
+    registered.forEach(watchDetector);
+  };
+  const stopWatching = () => {
+    const stops = Object.values(watching || {});
+    watching = null;
+    stops.forEach(stop => stop?.());
+  };
+
+  // Swaps the whole detector set, e.g. for a new policy profile. Counts are kept for
+  // types that are still registered or already have events; the rest are dropped.
+  const setDetectors = (next) => {
+    registered.forEach(d => unregisterDetector(d.id));
+    next.forEach(registerDetector);
+    filters = {};
+    const kept = new Set([...Object.keys(getViolationTypes()), ...events.map(e => e.type)]);
+    stats = Object.fromEntries([...kept].map(type => [type, stats[type] || 0]));
+  };
+
+  const getViolationTypes = () => Object.fromEntries(
+    registered.flatMap(d => Object.entries(d.types).map(([type, meta]) => [type, { ...meta, detector: d.id }]))
+  );
+
+  const replaceEvent = (event) => {
+    events = events.map(e => (e.id === event.id ? event : e));
+  };
+
+  const smoothingOf = type => (registered.some(d => d.types[type]?.instant) ? DEFAULT_SMOOTHING : smoothingFor(currentSmoothing, type));
+
+  // Filters a detector's report and logs the outcome; returns the filtered result
+  const applyResult = (type, result, now) => {
+    filters[type] ??= createHysteresis(smoothingOf(type));
+    const filtered = filters[type].update(result, now);
+    logResult(type, filtered);
+    return filtered;
+  };
+
+  // `result.at` is when the (filtered) change took effect
+  const logResult = (type, result) => {
+    const open = openEvents[type];
+    const previous = lastClosed[type];
+    if (result.active && !open && previous && result.at - previous.endedAt <= smoothingOf(type).cooldownMs) {
+      const reopened = raisePeak({ ...previous, endedAt: null, durationMs: null }, result);
+      delete lastClosed[type];
+      openEvents = { ...openEvents, [type]: reopened };
+      replaceEvent(reopened);
+      emitter.emit('violation:update', reopened);
+    } else if (result.active && !open) {
+      const event = openEvent(type, result, result.at);
+      openEvents = { ...openEvents, [type]: event };
+      events = [...events, event];
+      stats = { ...stats, [type]: (stats[type] || 0) + 1 };
+      emitter.emit('violation:start', event);
+    } else if (result.active) {
+      const updated = raisePeak(open, result);
+      if (updated === open) return;
+      openEvents = { ...openEvents, [type]: updated };
+      replaceEvent(updated);
+      emitter.emit('violation:update', updated);
+    } else if (open) {
+      endViolation(type, result.at);
+    }
+  };
+
+  const endViolation = (type, now) => {
+    const closed = closeEvent(openEvents[type], now);
+    const { [type]: _closed, ...rest } = openEvents;
+    openEvents = rest;
+    lastClosed = { ...lastClosed, [type]: closed };
+    replaceEvent(closed);
+    emitter.emit('violation:end', closed);
+  };
+
+  // `now` is the frame's timestamp: wall-clock for live sources, video time for files.
+  // `skip: ['objects']` reuses the previous frame's object detections instead of
+  // running the (slow) object model, so object violations hold between samples.
+  const processFrame = async (source, now = Date.now(), { skip = [] } = {}) => {
+    const requires = new Set(registered.flatMap(d => d.requires || []));
+    const needs = {
+      faces: requires.has('faces'),
+      objects: requires.has('objects') && !skip.includes('objects'),
+      mesh: requires.has('mesh')
+    };
+    const frameStart = performance.now();
+    const inferred = await currentInference.infer(source, needs);
+    if (needs.objects) lastObjects = inferred.objects;
+    const frame = {
+      source, now, ...frameSize(source),
+      faces: inferred.faces,
+      objects: requires.has('objects') ? lastObjects : [],
+      mesh: inferred.mesh
+    };
+    // Milliseconds spent in each model and in the detectors, for latency readouts
+    const timings = { ...inferred.timings };
+
+    const results = [];
+    const metrics = {};
+    const detectorsStart = performance.now();
+    for (const detector of registered) {
+      if (!detector.detect) continue;
+      const output = (await detector.detect(frame)) || {};
+      Object.assign(metrics, output.metrics);
+      Object.entries(output.violations || {}).forEach(([type, result]) => {
+        const filtered = applyResult(type, result, now);
+        results.push({ type, active: filtered.active, detected: result.active, data: (filtered.active ? filtered.data : result.data) ?? null });
+      });
+    }
+    // Types that only report changes still need their minOnMs/minOffMs to run out
+    const reported = new Set(results.map(r => r.type));
+    Object.entries(filters).forEach(([type, filter]) => {
+      if (!reported.has(type) && filter.isPending()) logResult(type, filter.settle(now));
+    });
+    timings.detectors = performance.now() - detectorsStart;
+    timings.total = performance.now() - frameStart;
+
+    const payload = {
+      now,
+      width: frame.width,
+      height: frame.height,
+      faces: frame.faces,
+      // Objects that back an active violation, e.g. the phone behind phoneDetected
+      objects: results.filter(r => r.active && r.data?.objects).flatMap(r => r.data.objects),
+      allObjects: frame.objects,
+      objectsFresh: needs.objects,
+      mesh: frame.mesh,
+      results,
+      metrics,
+      timings
+    };
+    emitter.emit('frame', payload);
+    return payload;
+  };
+
+  // Ends every open violation, e.g. when monitoring stops; nothing pending carries
+  // over to the next start
+  const closeAll = (now = Date.now()) => {
+    Object.keys(openEvents).forEach(type => endViolation(type, now));
+    filters = {};
+    lastClosed = {};
+  };
+
+  const reset = () => {
+    registered.forEach(d => d.reset?.());
+    currentInference.reset?.();
+    lastObjects = [];
+    stats = Object.fromEntries(Object.keys(stats).map(type => [type, 0]));
+    events = [];
+    openEvents = {};
+    lastClosed = {};
+    filters = {};
+    emitter.emit('reset');
+  };
+
+  detectors.forEach(registerDetector);
+
+  return {
+    on: emitter.on,
+    off: emitter.off,
+    registerDetector,
+    unregisterDetector,
+    setDetectors,
+    setModels: (next) => { currentInference = createLocalInference(next); },
+    setInference: (next) => { currentInference = next; },
+    // Swaps the smoothing settings; filters restart from the next report
+    setSmoothing: (next) => {
+      currentSmoothing = next;
+      filters = {};
+    },
+    processFrame,
+    // Runs the shared models on a single image without detectors or logging, e.g. to
+    // find the face on an ID photo
+    infer: (source, needs = { faces: true }) => currentInference.infer(source, needs),
+    startWatching,
+    stopWatching,
+    closeAll,
+    reset,
+    getViolationTypes,
+    getStats: () => stats,
+    getEvents: () => events,
+    getActive: () => Object.fromEntries(Object.keys(stats).map(type => [type, type in openEvents]))
+  };
+};
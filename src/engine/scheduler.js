@@ -0,0 +1,78 @@
+// Drives processFrame for a live source. Frames run strictly one after another
+// (the next is scheduled only once the previous one resolves), and the spacing
+// adapts to measured latency:
+//   - frames start every `intervalMs`, stretched to LOAD_FACTOR × the average
+//     frame latency (up to `maxIntervalMs`) when inference can't keep up;
+//   - the object model runs at most every `objectIntervalMs`, stretched to
+//     OBJECT_LOAD_FACTOR × its own average latency (up to `maxObjectIntervalMs`).
+// `processFrame({ runObjects })` should resolve to the engine's frame payload.
+const LOAD_FACTOR = 1.5;
+const OBJECT_LOAD_FACTOR = 8;
+const SMOOTHING = 0.2; // weight of the newest sample in the latency averages
+const FPS_WINDOW_MS = 2000;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const average = (previous, sample) => (previous === null ? sample : previous + SMOOTHING * (sample - previous));
+
+export const createFrameScheduler = ({
+  processFrame,
+  intervalMs = 300,
+  maxIntervalMs = 2000,
+  objectIntervalMs = 1000,
+  maxObjectIntervalMs = 5000,
+  onStats = () => {}
+}) => {
+  let running = false;
+  let timer = null;
+  let inFlight = null;
+  let latency = null;
+  let objectLatency = null;
+  let lastObjectsAt = -Infinity;
+  let completed = []; // finish times inside the FPS window
+
+  const currentInterval = () => clamp((latency ?? 0) * LOAD_FACTOR, intervalMs, maxIntervalMs);
+  const currentObjectInterval = () => clamp((objectLatency ?? 0) * OBJECT_LOAD_FACTOR, objectIntervalMs, maxObjectIntervalMs);
+
+  const tick = async () => {
+    if (!running) return;
+    const started = performance.now();
+    const runObjects = started - lastObjectsAt >= currentObjectInterval();
+    if (runObjects) lastObjectsAt = started;
+    try {
+      inFlight = processFrame({ runObjects });
+      const frame = await inFlight;
+      if (frame?.objectsFresh && frame.timings?.objects !== undefined) objectLatency = average(objectLatency, frame.timings.objects);
+    } catch (err) {
+      console.error('Frame processing failed', err);
+    } finally {
+      inFlight = null;
+    }
+
+    const finished = performance.now();
+    latency = average(latency, finished - started);
+    completed = [...completed.filter(t => finished - t < FPS_WINDOW_MS), finished];
+    onStats({
+      fps: completed.length > 1 ? ((completed.length - 1) * 1000) / (finished - completed[0]) : 0,
+      latencyMs: latency,
+      intervalMs: currentInterval(),
+      objectIntervalMs: currentObjectInterval()
+    });
+    if (running) timer = setTimeout(tick, Math.max(0, currentInterval() - (finished - started)));
+  };
+
+  const start = () => {
+    if (running) return;
+    running = true;
+    tick();
+  };
+
+  // Resolves once the frame in flight (if any) has finished, so callers can close
+  // the log without a late frame reopening violations
+  const stop = async () => {
+    running = false;
+    clearTimeout(timer);
+    await inFlight?.catch(() => {});
+  };
+
+  return { start, stop, isRunning: () => running };
+};
@@ -0,0 +1,76 @@
+// Debouncing between what detectors report and what the engine logs, one filter
+// per violation type:
+//   minOnMs     the type must be reported active this long, without a break, before
+//               it counts; the logged event then starts when the streak began
+//   minOffMs    it must be reported inactive this long before it clears; the event
+//               ends when the gap began, and shorter gaps don't break it
+//   averageMs   confidence is averaged over this window, inactive reports counting
+//               as 0, so a one-frame spike can't set the peak; 0 passes it through
+//   cooldownMs  an event that starts again within this long of ending reopens the
+//               same log event instead of counting again (applied by the engine)
+// All zero, the default, logs every report exactly as it arrives.
+export const DEFAULT_SMOOTHING = { minOnMs: 0, minOffMs: 0, averageMs: 0, cooldownMs: 0 };
+
+// `smoothing` is a policy profile's `{ default, types }`: settings for every type,
+// overridden key by key per violation type
+export const smoothingFor = (smoothing, type) => ({
+  ...DEFAULT_SMOOTHING,
+  ...smoothing?.default,
+  ...smoothing?.types?.[type]
+});
+
+export const createHysteresis = ({ minOnMs = 0, minOffMs = 0, averageMs = 0 } = DEFAULT_SMOOTHING) => {
+  let raw = { active: false };
+  let onSince = null;  // start of the current run of active reports
+  let offSince = null; // start of the current run of inactive reports
+  let confirmed = false;
+  let lastData = null;
+  let samples = [];    // { now, value } within averageMs
+
+  const averageConfidence = (now) => {
+    if (!averageMs) return raw.active ? raw.confidence ?? null : null;
+    samples = samples.filter(sample => now - sample.now < averageMs);
+    return samples.length ? samples.reduce((sum, sample) => sum + sample.value, 0) / samples.length : 0;
+  };
+
+  // Smoothed state at `now` given the reports so far. `at` is when a change took
+  // effect, which may be earlier than `now`.
+  const evaluate = (now) => {
+    if (!confirmed && raw.active && now - onSince >= minOnMs) {
+      confirmed = true;
+      return { active: true, confidence: averageConfidence(now), data: lastData, at: onSince };
+    }
+    if (confirmed && !raw.active && now - offSince >= minOffMs) {
+      confirmed = false;
+      return { active: false, at: offSince };
+    }
+    return confirmed ? { active: true, confidence: averageConfidence(now), data: lastData, at: now } : { active: false, at: now };
+  };
+
+  // Feeds one report `{ active, confidence?, data? }`
+  const update = (result, now) => {
+    if (result.active && !raw.active) onSince = now;
+    if (!result.active && raw.active) offSince = now;
+    raw = result;
+    if (result.active) lastData = result.data ?? null;
+    if (averageMs) samples.push({ now, value: result.active ? result.confidence ?? 1 : 0 });
+    return evaluate(now);
+  };
+
+  const reset = () => {
+    raw = { active: false };
+    onSince = offSince = null;
+    confirmed = false;
+    lastData = null;
+    samples = [];
+  };
+
+  return {
+    update,
+    // Re-evaluates without a new report, for types whose detector only reports changes
+    settle: evaluate,
+    // A confirmed state waiting out minOffMs, or an active streak waiting out minOnMs
+    isPending: () => confirmed !== raw.active,
+    reset
+  };
+};
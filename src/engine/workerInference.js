@@ -0,0 +1,70 @@
+import { BACKENDS, loadModels } from './models.js';
+import { createLocalInference } from './inference.js';
+
+// True when frames can be handed to a worker without touching the DOM there
+export const workerInferenceSupported = () =>
+  typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function';
+
+// Inference adapter (see createLocalInference) that runs the models in
+// ./inference.worker.js. Each frame is copied into an ImageBitmap and transferred,
+// so the caller's video keeps playing while the models run. `ready` resolves to the
+// tfjs backend the worker picked and rejects if it could load none.
+export const createWorkerInference = ({ backends = BACKENDS } = {}) => {
+  const worker = new Worker(new URL('./inference.worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map(); // request id -> { resolve, reject }
+  let nextId = 0;
+  let settleReady;
+
+  const ready = new Promise((resolve, reject) => { settleReady = { resolve, reject }; });
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'ready') return settleReady.resolve(data.backend);
+    if (data.type === 'error' && data.id === undefined) return settleReady.reject(new Error(data.message));
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+    if (data.type === 'result') request.resolve(data.result);
+    else request.reject(new Error(data.message));
+  };
+  worker.onerror = (e) => {
+    const error = new Error(e.message || 'Inference worker failed');
+    settleReady.reject(error);
+    pending.forEach(request => request.reject(error));
+    pending.clear();
+  };
+  worker.postMessage({ type: 'init', backends });
+
+  const infer = async (source, needs) => {
+    const bitmap = await createImageBitmap(source);
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ type: 'infer', id, bitmap, needs }, [bitmap]);
+    });
+  };
+
+  return {
+    ready,
+    infer,
+    reset: () => worker.postMessage({ type: 'reset' }),
+    terminate: () => worker.terminate()
+  };
+};
+
+// Picks the inference adapter for this page: the worker when the browser can hand it
+// frames and it starts (it can't, e.g., when this script was loaded from another
+// origin), else the models on this thread. Resolves to { inference, backend, worker }.
+export const loadBrowserInference = async () => {
+  if (workerInferenceSupported()) {
+    let inference = null;
+    try {
+      inference = createWorkerInference();
+      return { inference, backend: await inference.ready, worker: true };
+    } catch (err) {
+      console.warn('Worker inference unavailable, running models on the main thread', err);
+      inference?.terminate();
+    }
+  }
+  const { backend, models } = await loadModels();
+  return { inference: createLocalInference(models), backend, worker: false };
+};
@@ -0,0 +1,52 @@
+// A short two-tone alert, synthesized so there is no audio file to ship. Browsers only
+// start an AudioContext after a user gesture: call `unlock` from a click handler
+// before the first `play` that happens on its own. Until then `play` is silent, and
+// `isUnlocked` tells the page to ask for that click.
+export const createAlertSound = ({ volume = 0.2 } = {}) => {
+  const listeners = new Set();
+  let context = null;
+
+  const getContext = () => {
+    if (!context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      const ctx = new AudioContextClass();
+      ctx.addEventListener('statechange', () => listeners.forEach(listener => listener(ctx.state === 'running')));
+      context = ctx;
+    }
+    return context;
+  };
+
+  const tone = (frequency, start, length) => {
+    const ctx = getContext();
+    const oscillator = ctx.createOscillator();
+    const gain = ctx.createGain();
+    oscillator.type = 'square';
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + length);
+    oscillator.connect(gain).connect(ctx.destination);
+    oscillator.start(start);
+    oscillator.stop(start + length);
+  };
+
+  return {
+    unlock: () => getContext().resume(),
+    isUnlocked: () => getContext().state === 'running',
+    // `listener(unlocked)` runs whenever the browser starts or stops allowing sound
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    play: () => {
+      const ctx = getContext();
+      if (ctx.state !== 'running') return;
+      tone(880, ctx.currentTime, 0.18);
+      tone(660, ctx.currentTime + 0.22, 0.3);
+    },
+    close: () => {
+      listeners.clear();
+      context?.close();
+      context = null;
+    }
+  };
+};
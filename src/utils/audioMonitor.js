@@ -0,0 +1,46 @@
+import { createVoiceActivityDetector } from './voiceActivity.js';
+
+const SAMPLE_INTERVAL_MS = 50;
+const HISTORY_MS = 30 * 1000;
+
+// Taps the microphone track of `stream` with an AnalyserNode and classifies a frame
+// every 50 ms. Keeps the last 30 s of { t, db, speech, noise, pitch } samples for
+// the audio detector and exposes the current level for meters.
+export const createAudioMonitor = (stream, { noiseDb } = {}) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  analyser.smoothingTimeConstant = 0;
+  source.connect(analyser);
+
+  const timeData = new Float32Array(analyser.fftSize);
+  const spectrumDb = new Float32Array(analyser.frequencyBinCount);
+  const vad = createVoiceActivityDetector({ noiseDb });
+  let samples = [];
+  let latest = null;
+
+  const sample = () => {
+    analyser.getFloatTimeDomainData(timeData);
+    analyser.getFloatFrequencyData(spectrumDb);
+    const t = Date.now();
+    latest = { t, ...vad.classify({ timeData, spectrumDb, sampleRate: context.sampleRate }) };
+    samples.push(latest);
+    if (samples[0].t < t - HISTORY_MS) samples = samples.filter(s => s.t >= t - HISTORY_MS);
+  };
+  const timer = setInterval(sample, SAMPLE_INTERVAL_MS);
+  // Autoplay rules can start the context suspended; monitoring always follows a click
+  context.resume?.();
+
+  return {
+    sampleIntervalMs: SAMPLE_INTERVAL_MS,
+    getLevel: () => latest, // { db, noiseFloor, speech, noise, pitch } of the newest frame
+    getSamples: (since = 0) => samples.filter(s => s.t >= since),
+    stop: () => {
+      clearInterval(timer);
+      source.disconnect();
+      context.close();
+    }
+  };
+};
@@ -0,0 +1,37 @@
+// Session violation log. An event is opened when a detection triggers, keeps the
+// highest-confidence evidence seen while active, and is closed when it clears.
+
+let fallbackSeq = 0;
+const newEventId = () =>
+  globalThis.crypto?.randomUUID ? globalThis.crypto.randomUUID() : `evt-${Date.now()}-${++fallbackSeq}`;
+
+export const openEvent = (type, { confidence = null, data = null } = {}, now = Date.now()) => ({
+  id: newEventId(),
+  type,
+  startedAt: now,
+  endedAt: null,
+  durationMs: null,
+  peakConfidence: confidence,
+  data
+});
+
+// Returns the same object when the new evidence is not stronger, so callers can skip re-renders
+export const raisePeak = (event, { confidence = null, data = null } = {}) => {
+  if (confidence === null || (event.peakConfidence !== null && confidence <= event.peakConfidence)) return event;
+  return { ...event, peakConfidence: confidence, data: data ?? event.data };
+};
+
+export const closeEvent = (event, now = Date.now()) => ({
+  ...event,
+  endedAt: now,
+  durationMs: now - event.startedAt
+});
+
+export const eventDuration = (event, now = Date.now()) =>
+  event.endedAt === null ? now - event.startedAt : event.durationMs;
+
+export const totalDurationByType = (events, now = Date.now()) =>
+  events.reduce((totals, event) => {
+    totals[event.type] = (totals[event.type] || 0) + eventDuration(event, now);
+    return totals;
+  }, {});
@@ -0,0 +1,90 @@
+// MediaPipe FaceMesh keypoint indices for each eye, ordered p1..p6:
+// p1/p4 are the corners, p2/p3 the upper lid and p6/p5 the lower lid.
+export const LEFT_EYE = [362, 385, 387, 263, 373, 380];
+export const RIGHT_EYE = [33, 160, 158, 133, 153, 144];
+
+const BLINK_RATE_WINDOW_MS = 60000;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// EAR = (|p2-p6| + |p3-p5|) / (2 * |p1-p4|), drops towards 0 as the lid closes
+export const eyeAspectRatio = (keypoints, indices) => {
+  const [p1, p2, p3, p4, p5, p6] = indices.map(i => keypoints[i]);
+  if (!p1 || !p2 || !p3 || !p4 || !p5 || !p6) return null;
+  const horizontal = distance(p1, p4);
+  if (!horizontal) return null;
+  return (distance(p2, p6) + distance(p3, p5)) / (2 * horizontal);
+};
+
+export const computeEyeAspectRatios = (keypoints) => {
+  const left = eyeAspectRatio(keypoints, LEFT_EYE);
+  const right = eyeAspectRatio(keypoints, RIGHT_EYE);
+  if (left === null || right === null) return null;
+  return { left, right, average: (left + right) / 2 };
+};
+
+// Follows eye closures frame by frame. A closure that ends before `drowsyFrames`
+// is a blink; one that lasts `drowsyFrames` or longer is drowsiness and is
+// never counted as a blink.
+export const createBlinkTracker = ({ threshold, drowsyFrames }) => {
+  let closedFrames = 0;
+  let closedSince = null;
+  let blinkTimes = [];
+  let blinkCount = 0;
+  let longestClosureMs = 0;
+  let startedAt = null;
+
+  const blinkRate = (now) => {
+    blinkTimes = blinkTimes.filter(t => now - t <= BLINK_RATE_WINDOW_MS);
+    const elapsed = Math.min(Math.max(now - startedAt, 1), BLINK_RATE_WINDOW_MS);
+    return blinkTimes.length * (60000 / elapsed);
+  };
+
+  const snapshot = (now, ear, blink) => ({
+    ear,
+    closed: closedFrames > 0,
+    drowsy: closedFrames >= drowsyFrames,
+    blink,
+    closedMs: closedSince === null ? 0 : now - closedSince,
+    longestClosureMs,
+    blinkCount,
+    blinkRate: blinkRate(now)
+  });
+
+  const update = (ear, now = Date.now()) => {
+    if (startedAt === null) startedAt = now;
+    if (!ear) {
+      // Lost the face: drop the closure without scoring it as a blink
+      closedFrames = 0;
+      closedSince = null;
+      return snapshot(now, null, false);
+    }
+
+    if (ear.average < threshold) {
+      if (closedFrames === 0) closedSince = now;
+      closedFrames++;
+      longestClosureMs = Math.max(longestClosureMs, now - closedSince);
+      return snapshot(now, ear, false);
+    }
+
+    const blink = closedFrames > 0 && closedFrames < drowsyFrames;
+    if (blink) {
+      blinkCount++;
+      blinkTimes.push(now);
+    }
+    closedFrames = 0;
+    closedSince = null;
+    return snapshot(now, ear, blink);
+  };
+
+  const reset = () => {
+    closedFrames = 0;
+    closedSince = null;
+    blinkTimes = [];
+    blinkCount = 0;
+    longestClosureMs = 0;
+    startedAt = null;
+  };
+
+  return { update, reset };
+};
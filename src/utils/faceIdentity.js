@@ -0,0 +1,15 @@
+// Comparisons between 128-d face descriptors (see engine/faceEmbedding). The
+// recognition network puts photos of the same person within a euclidean distance
+// of about 0.6 of each other; similarity is 1 - distance, floored at 0.
+
+export const descriptorDistance = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  return Math.sqrt(sum);
+};
+
+export const descriptorSimilarity = (a, b) => Math.max(0, 1 - descriptorDistance(a, b));
+
+// Similarity to the closest of several references, or null without references
+export const bestSimilarity = (descriptor, references) =>
+  (references.length ? Math.max(...references.map(reference => descriptorSimilarity(descriptor, reference))) : null);
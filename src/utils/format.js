@@ -0,0 +1,21 @@
+export const formatDuration = (ms) => {
+  if (!ms) return '0s';
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60);
+  if (minutes < 60) return `${minutes}m ${String(rest).padStart(2, '0')}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
+
+export const formatClock = timestamp => new Date(timestamp).toLocaleTimeString();
+
+export const formatConfidence = confidence =>
+  confidence === null || confidence === undefined ? '--' : `${Math.round(confidence * 100)}%`;
+
+// Position inside a recording, e.g. 01:05.3
+export const formatOffset = (ms) => {
+  const seconds = Math.max(ms, 0) / 1000;
+  const minutes = Math.floor(seconds / 60);
+  return `${String(minutes).padStart(2, '0')}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+};
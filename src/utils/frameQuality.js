@@ -0,0 +1,52 @@
+// Lighting and focus checks on a camera frame, for the pre-interview system check.
+// Measured on a small grayscale copy so a check costs well under a millisecond.
+
+const SAMPLE_WIDTH = 160;
+
+export const QUALITY_LIMITS = {
+  minBrightness: 60,  // mean luma, 0-255
+  maxBrightness: 200,
+  minSharpness: 40    // variance of the Laplacian at SAMPLE_WIDTH
+};
+
+// Downscaled RGBA pixels of a video (or any drawable) frame
+export const grabFrame = (source, width = SAMPLE_WIDTH) => {
+  const sourceWidth = source.videoWidth || source.width;
+  const sourceHeight = source.videoHeight || source.height;
+  if (!sourceWidth || !sourceHeight) return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = Math.round((sourceHeight / sourceWidth) * width);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+// { brightness, sharpness } of ImageData-like { data, width, height }
+export const measureFrameQuality = ({ data, width, height }) => {
+  const luma = new Float32Array(width * height);
+  let sum = 0;
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    sum += luma[i];
+  }
+  let lapSum = 0, lapSqSum = 0, n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = luma[i - 1] + luma[i + 1] + luma[i - width] + luma[i + width] - 4 * luma[i];
+      lapSum += lap;
+      lapSqSum += lap * lap;
+      n++;
+    }
+  }
+  const lapMean = n ? lapSum / n : 0;
+  return { brightness: sum / luma.length, sharpness: n ? lapSqSum / n - lapMean * lapMean : 0 };
+};
+
+// Human-readable problems with a measured frame, empty when it looks fine
+export const frameQualityIssues = ({ brightness, sharpness }, limits = QUALITY_LIMITS) => [
+  brightness < limits.minBrightness && 'Too dark: add light in front of you',
+  brightness > limits.maxBrightness && 'Too bright: avoid a window or lamp behind or beside the camera',
+  sharpness < limits.minSharpness && 'Blurry: clean the lens or check the camera focus'
+].filter(Boolean);
@@ -0,0 +1,168 @@
+// Head pose and iris gaze from MediaPipe FaceMesh keypoints (refineLandmarks: true).
+// Directions are from the candidate's point of view on an unmirrored camera frame,
+// so "left" is the candidate's left, which is the right side of the image.
+
+const FOREHEAD = 10;
+const CHIN = 152;
+const RIGHT_EYE_OUTER = 33;
+const RIGHT_EYE_INNER = 133;
+const LEFT_EYE_INNER = 362;
+const LEFT_EYE_OUTER = 263;
+const RIGHT_EYE_TOP = 159;
+const RIGHT_EYE_BOTTOM = 145;
+const LEFT_EYE_TOP = 386;
+const LEFT_EYE_BOTTOM = 374;
+const RIGHT_IRIS = 468;
+const LEFT_IRIS = 473;
+const RIGHT_CHEEK = 234;
+const LEFT_CHEEK = 454;
+
+export const DEFAULT_ATTENTION_LIMITS = {
+  maxYaw: 25,       // degrees either side
+  maxPitchUp: 15,   // degrees
+  maxPitchDown: 20, // degrees
+  maxGazeX: 0.18,   // iris offset from eye center, fraction of eye width
+  maxGazeY: 0.22,   // iris offset from eye center, fraction of eye height
+  maxShift: 0.75    // face widths the head may move from its calibrated position
+};
+
+const toDegrees = rad => rad * 180 / Math.PI;
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) });
+const normalize = v => {
+  const len = Math.hypot(v.x, v.y, v.z) || 1;
+  return { x: v.x / len, y: v.y / len, z: v.z / len };
+};
+const cross = (a, b) => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x
+});
+
+// Position of p along the a->b segment, 0 at a and 1 at b
+const project = (p, a, b) => {
+  const ab = sub(b, a);
+  const lenSq = ab.x * ab.x + ab.y * ab.y;
+  if (!lenSq) return 0.5;
+  return ((p.x - a.x) * ab.x + (p.y - a.y) * ab.y) / lenSq;
+};
+
+// yaw > 0: turned to the candidate's left, pitch > 0: tilted down,
+// roll > 0: head tilted towards the candidate's left shoulder
+export const estimateHeadPose = (keypoints) => {
+  const forehead = keypoints[FOREHEAD], chin = keypoints[CHIN];
+  const rightOuter = keypoints[RIGHT_EYE_OUTER], leftOuter = keypoints[LEFT_EYE_OUTER];
+  if (!forehead || !chin || !rightOuter || !leftOuter) return null;
+
+  const xAxis = normalize(sub(leftOuter, rightOuter));
+  const yAxis = normalize(sub(chin, forehead));
+  // The way the face points. MediaPipe's z shrinks towards the camera, so a face
+  // looking straight at it points along -z.
+  const forward = normalize(cross(yAxis, xAxis));
+
+  return {
+    yaw: toDegrees(Math.atan2(forward.x, -forward.z)),
+    pitch: toDegrees(Math.atan2(forward.y, -forward.z)),
+    roll: toDegrees(Math.atan2(xAxis.y, xAxis.x))
+  };
+};
+
+// Iris position inside each eye, averaged; 0 means centered. x > 0: looking to the
+// candidate's left, y > 0: looking down.
+export const estimateGaze = (keypoints) => {
+  const rightIris = keypoints[RIGHT_IRIS], leftIris = keypoints[LEFT_IRIS];
+  if (!rightIris || !leftIris) return null;
+
+  const rightX = project(rightIris, keypoints[RIGHT_EYE_OUTER], keypoints[RIGHT_EYE_INNER]);
+  const leftX = project(leftIris, keypoints[LEFT_EYE_INNER], keypoints[LEFT_EYE_OUTER]);
+  const rightY = project(rightIris, keypoints[RIGHT_EYE_TOP], keypoints[RIGHT_EYE_BOTTOM]);
+  const leftY = project(leftIris, keypoints[LEFT_EYE_TOP], keypoints[LEFT_EYE_BOTTOM]);
+
+  return {
+    x: (rightX + leftX) / 2 - 0.5,
+    y: (rightY + leftY) / 2 - 0.5
+  };
+};
+
+// Face center and width (cheek to cheek) as fractions of the frame width and height
+export const facePosition = (keypoints, { width, height }) => {
+  const forehead = keypoints[FOREHEAD], chin = keypoints[CHIN];
+  const rightCheek = keypoints[RIGHT_CHEEK], leftCheek = keypoints[LEFT_CHEEK];
+  if (!forehead || !chin || !rightCheek || !leftCheek || !width || !height) return null;
+  return {
+    x: (forehead.x + chin.x) / 2 / width,
+    y: (forehead.y + chin.y) / 2 / height,
+    size: Math.hypot(leftCheek.x - rightCheek.x, leftCheek.y - rightCheek.y) / width
+  };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : null;
+};
+
+// The candidate's natural pose, gaze and face position from calibration frames
+// (FaceMesh keypoints of the same `frame` size). Medians, so a glance away during
+// calibration doesn't skew it. Null without a usable frame.
+export const computeAttentionBaseline = (keypointsList, frame) => {
+  const poses = keypointsList.map(estimateHeadPose).filter(Boolean);
+  if (!poses.length) return null;
+  const gazes = keypointsList.map(estimateGaze).filter(Boolean);
+  const positions = keypointsList.map(keypoints => facePosition(keypoints, frame)).filter(Boolean);
+  return {
+    pose: { yaw: median(poses.map(p => p.yaw)), pitch: median(poses.map(p => p.pitch)) },
+    gaze: gazes.length ? { x: median(gazes.map(g => g.x)), y: median(gazes.map(g => g.y)) } : null,
+    face: positions.length ? { x: median(positions.map(p => p.x)), y: median(positions.map(p => p.y)), size: median(positions.map(p => p.size)) } : null,
+    frame: { width: frame.width, height: frame.height }
+  };
+};
+
+// Combines head pose and gaze into a single verdict. When several limits are
+// exceeded, the direction that overshoots its limit the most wins. With a
+// `baseline` from computeAttentionBaseline, pose and gaze are measured from the
+// candidate's calibrated position rather than from straight ahead, and moving the
+// whole head away from the calibrated spot (in the `frame` given) counts too.
+export const estimateAttention = (keypoints, limits = DEFAULT_ATTENTION_LIMITS, { baseline = null, frame = null } = {}) => {
+  const pose = estimateHeadPose(keypoints);
+  const gaze = estimateGaze(keypoints);
+  if (!pose) return { pose: null, gaze, shift: null, away: false, direction: null, source: null };
+
+  const yaw = pose.yaw - (baseline?.pose.yaw ?? 0);
+  const pitch = pose.pitch - (baseline?.pose.pitch ?? 0);
+  const candidates = [
+    { direction: yaw > 0 ? 'left' : 'right', source: 'head', overshoot: Math.abs(yaw) / limits.maxYaw },
+    pitch > 0
+      ? { direction: 'down', source: 'head', overshoot: pitch / limits.maxPitchDown }
+      : { direction: 'up', source: 'head', overshoot: -pitch / limits.maxPitchUp }
+  ];
+  if (gaze) {
+    const x = gaze.x - (baseline?.gaze?.x ?? 0);
+    const y = gaze.y - (baseline?.gaze?.y ?? 0);
+    candidates.push(
+      { direction: x > 0 ? 'left' : 'right', source: 'gaze', overshoot: Math.abs(x) / limits.maxGazeX },
+      { direction: y > 0 ? 'down' : 'up', source: 'gaze', overshoot: Math.abs(y) / limits.maxGazeY }
+    );
+  }
+  // Head movement in face widths; x > 0 is towards the candidate's left
+  const position = baseline?.face && frame ? facePosition(keypoints, frame) : null;
+  const shift = position && {
+    x: (position.x - baseline.face.x) / baseline.face.size,
+    y: ((position.y - baseline.face.y) * frame.height) / (baseline.face.size * frame.width)
+  };
+  if (shift && limits.maxShift) {
+    candidates.push(
+      { direction: shift.x > 0 ? 'left' : 'right', source: 'position', overshoot: Math.abs(shift.x) / limits.maxShift },
+      { direction: shift.y > 0 ? 'down' : 'up', source: 'position', overshoot: Math.abs(shift.y) / limits.maxShift }
+    );
+  }
+
+  const worst = candidates.reduce((a, b) => (b.overshoot > a.overshoot ? b : a));
+  const away = worst.overshoot > 1;
+  return {
+    pose,
+    gaze,
+    shift,
+    away,
+    direction: away ? worst.direction : null,
+    source: away ? worst.source : null
+  };
+};
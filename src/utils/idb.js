@@ -0,0 +1,78 @@
+// Minimal promise wrapper around the app's IndexedDB database.
+// Every object store is created here so version upgrades stay in one place.
+
+const DB_NAME = 'video-proctoring';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('snapshots')) {
+        const snapshots = db.createObjectStore('snapshots', { keyPath: 'eventId' });
+        snapshots.createIndex('sessionId', 'sessionId');
+      }
+      if (!db.objectStoreNames.contains('recordings')) {
+        const recordings = db.createObjectStore('recordings', { keyPath: 'id' });
+        recordings.createIndex('sessionId', 'sessionId');
+      }
+      // Media chunks and detection frame batches, keyed [recordingId, index]
+      if (!db.objectStoreNames.contains('recordingChunks')) db.createObjectStore('recordingChunks', { keyPath: ['recordingId', 'index'] });
+      if (!db.objectStoreNames.contains('detectionFrames')) db.createObjectStore('detectionFrames', { keyPath: ['recordingId', 'index'] });
+      // Session API requests waiting to be sent, in the order they were made
+      if (!db.objectStoreNames.contains('outbox')) db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+};
+
+const promisify = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const withStore = async (storeName, mode, fn) => {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const [result] = await Promise.all([promisify(fn(tx.objectStore(storeName))), done]);
+  return result;
+};
+
+// All records whose compound key starts with `prefix`, in key order
+export const prefixRange = prefix => IDBKeyRange.bound([prefix], [prefix, []]);
+
+export const getAll = (storeName, query) =>
+  withStore(storeName, 'readonly', store => store.getAll(query));
+
+export const deleteRange = (storeName, query) =>
+  withStore(storeName, 'readwrite', store => store.delete(query));
+
+export const getAllByIndex = (storeName, indexName, key) =>
+  withStore(storeName, 'readonly', store => store.index(indexName).getAll(key));
+
+export const deleteByIndex = (storeName, indexName, key) =>
+  withStore(storeName, 'readwrite', store => {
+    const request = store.index(indexName).openCursor(key);
+    request.addEventListener('success', () => {
+      const cursor = request.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    });
+    return request;
+  });
@@ -0,0 +1,70 @@
+// Integrity score: starts at 100 and every violation costs points.
+//
+//   points = BASE_POINTS × weight(type) × peakConfidence × durationFactor × lengthFactor
+//
+// durationFactor grows with the logarithm of the violation's length (1× when brief,
+// 2× at 15 s, 3× at 45 s), so a long phone call costs more than a glimpse without one
+// event swamping the score. lengthFactor scales every cost by sqrt(30 min / session
+// length), clamped for sessions under 5 minutes, so the same incidents weigh more in
+// a short interview than spread over a long exam.
+const BASE_POINTS = 4;
+const DURATION_HALF_LIFE_MS = 15 * 1000;
+const REFERENCE_LENGTH_MS = 30 * 60 * 1000;
+const MIN_LENGTH_MS = 5 * 60 * 1000;
+
+const round1 = value => Math.round(value * 10) / 10;
+
+// Length of `event` as seen at time `at`; events starting after `at` have none
+const durationAt = (event, at) => Math.max(0, Math.min(event.endedAt ?? at, at) - event.startedAt);
+
+export const durationFactor = durationMs => 1 + Math.log2(1 + durationMs / DURATION_HALF_LIFE_MS);
+
+export const lengthFactor = sessionMs => Math.sqrt(REFERENCE_LENGTH_MS / Math.max(sessionMs, MIN_LENGTH_MS));
+
+// Score of the session from `startedAt` up to `now`, with the cost of every event.
+// `risk` is a policy's risk section: `weights` per type and score `levels`.
+export const computeIntegrity = (events, { startedAt, now = Date.now(), risk }) => {
+  const scale = lengthFactor(now - startedAt);
+  const items = events
+    .filter(event => event.startedAt <= now)
+    .map((event) => {
+      const durationMs = durationAt(event, now);
+      const weight = risk.weights[event.type] ?? 1;
+      const confidence = Math.min(1, Math.max(0, event.peakConfidence ?? 1));
+      return {
+        id: event.id,
+        type: event.type,
+        startedAt: event.startedAt,
+        durationMs,
+        weight,
+        confidence,
+        points: BASE_POINTS * weight * confidence * durationFactor(durationMs) * scale
+      };
+    });
+  const penalty = items.reduce((total, item) => total + item.points, 0);
+  const byType = items.reduce((totals, item) => ({ ...totals, [item.type]: (totals[item.type] || 0) + item.points }), {});
+  const score = round1(Math.max(0, 100 - penalty));
+  return {
+    score,
+    level: integrityLevel(score, risk.levels),
+    penalty: round1(penalty),
+    lengthFactor: scale,
+    byType: Object.fromEntries(Object.entries(byType).map(([type, points]) => [type, round1(points)])),
+    items: items.map(item => ({ ...item, points: round1(item.points) }))
+  };
+};
+
+// `levels` maps each risk level to the score it applies below, e.g. { Critical: 40 }
+export const integrityLevel = (score, levels) =>
+  Object.entries(levels)
+    .sort((a, b) => a[1] - b[1])
+    .find(([, below]) => score < below)?.[0] || 'Normal';
+
+// Score as it stood at `samples` evenly spaced moments of the session, for a trend line
+export const integrityTrend = (events, { startedAt, now = Date.now(), risk, samples = 40 }) => {
+  const span = Math.max(0, now - startedAt);
+  return Array.from({ length: samples }, (_, i) => {
+    const t = startedAt + (span * (i + 1)) / samples;
+    return { t, score: computeIntegrity(events, { startedAt, now: t, risk }).score };
+  });
+};
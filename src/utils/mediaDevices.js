@@ -0,0 +1,55 @@
+// Camera and microphone access. Device labels are empty until the page has been
+// granted access once, so list devices again after opening a stream.
+
+export const listMediaDevices = async () => {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const named = kind => devices
+    .filter(device => device.kind === kind && device.deviceId)
+    .map((device, i) => ({ id: device.deviceId, label: device.label || `${kind === 'videoinput' ? 'Camera' : 'Microphone'} ${i + 1}` }));
+  return { cameras: named('videoinput'), microphones: named('audioinput') };
+};
+
+// Opens the chosen camera (the front camera by default) and, with `audio`, the
+// chosen microphone in the same permission prompt. A refused or missing microphone
+// doesn't stop the camera: the stream is reopened video-only and `audioError` says why.
+export const openMediaStream = async ({ cameraId = null, microphoneId = null, audio = false } = {}) => {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw Object.assign(new Error('Camera access is not available'), { name: 'NotSupportedError' });
+  }
+  const video = cameraId ? { deviceId: { exact: cameraId } } : { facingMode: 'user' };
+  let audioError = null;
+  if (audio) {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video, audio: microphoneId ? { deviceId: { exact: microphoneId } } : true });
+      return { stream, audioError };
+    } catch (err) {
+      audioError = err;
+    }
+  }
+  return { stream: await navigator.mediaDevices.getUserMedia({ video }), audioError };
+};
+
+// What went wrong, in words a candidate can act on
+export const describeMediaError = (err, device = 'camera') => {
+  switch (err?.name) {
+    case 'NotAllowedError':
+    case 'PermissionDeniedError':
+      return `Access to the ${device} was blocked. Allow it in the browser's site settings (the icon left of the address bar), then try again.`;
+    case 'NotFoundError':
+    case 'DevicesNotFoundError':
+    case 'OverconstrainedError':
+      return `No ${device} was found. Connect one, or pick another device.`;
+    case 'NotReadableError':
+    case 'TrackStartError':
+      return `The ${device} is in use by another application or tab. Close it there and try again.`;
+    case 'SecurityError':
+    case 'NotSupportedError':
+      return `This page can't use the ${device}: it must be opened over HTTPS in a browser that supports camera access.`;
+    case 'AbortError':
+      return `The ${device} stopped unexpectedly. Try again, or pick another device.`;
+    default:
+      return `Could not start the ${device}${err?.message ? `: ${err.message}` : ''}.`;
+  }
+};
+
+export const stopStream = stream => stream?.getTracks().forEach(track => track.stop());
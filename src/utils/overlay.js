@@ -0,0 +1,125 @@
+// Canvas drawing for detection results. `transform` maps source-frame pixels to
+// canvas pixels: canvasX = x * scaleX + offsetX. A negative scaleX mirrors.
+
+const COLORS = { ok: '#16a34a', violation: '#dc2626', watched: '#d97706', other: '#6b7280', landmark: '#22d3ee' };
+
+export const IDENTITY_TRANSFORM = { scaleX: 1, scaleY: 1, offsetX: 0, offsetY: 0 };
+
+// Where a video of `sourceWidth`x`sourceHeight` lands inside a `width`x`height` box
+export const containTransform = (sourceWidth, sourceHeight, width, height) => {
+  const scale = Math.min(width / sourceWidth, height / sourceHeight);
+  return {
+    scaleX: scale,
+    scaleY: scale,
+    offsetX: (width - sourceWidth * scale) / 2,
+    offsetY: (height - sourceHeight * scale) / 2
+  };
+};
+
+// Where a video lands in an `object-fit: cover` box: scaled to fill, overflow cropped
+// evenly. `mirror` flips it horizontally, as for a selfie view of the front camera.
+export const coverTransform = (sourceWidth, sourceHeight, width, height, { mirror = false } = {}) => {
+  const scale = Math.max(width / sourceWidth, height / sourceHeight);
+  const offsetX = (width - sourceWidth * scale) / 2;
+  return {
+    scaleX: mirror ? -scale : scale,
+    scaleY: scale,
+    offsetX: mirror ? width - offsetX : offsetX,
+    offsetY: (height - sourceHeight * scale) / 2
+  };
+};
+
+const mapPoint = ([x, y], transform) => [x * transform.scaleX + transform.offsetX, y * transform.scaleY + transform.offsetY];
+
+// Canvas rectangle of a source bbox, with a positive size even when mirrored
+const mapRect = ([x, y, width, height], transform) => {
+  const [x1, y1] = mapPoint([x, y], transform);
+  const [x2, y2] = mapPoint([x + width, y + height], transform);
+  return { left: Math.min(x1, x2), top: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+};
+
+export const drawBox = (ctx, bbox, color, label, transform = IDENTITY_TRANSFORM) => {
+  const { left, top, width, height } = mapRect(bbox, transform);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  ctx.strokeRect(left, top, width, height);
+  if (!label) return;
+  ctx.font = '14px sans-serif';
+  const textWidth = ctx.measureText(label).width + 8;
+  const labelY = Math.max(top - 20, 0);
+  ctx.fillStyle = color;
+  ctx.fillRect(left, labelY, textWidth, 20);
+  ctx.fillStyle = '#fff';
+  ctx.fillText(label, left + 4, labelY + 15);
+};
+
+export const drawPoints = (ctx, points, color, transform = IDENTITY_TRANSFORM, radius = 3) => {
+  ctx.fillStyle = color;
+  points.forEach((point) => {
+    const [x, y] = mapPoint(point, transform);
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+  });
+};
+
+const faceLabel = face => `face ${Math.round(face.probability * 100)}%`;
+const objectLabel = obj => `${obj.class} ${Math.round(obj.confidence * 100)}%`;
+
+// Faces are green (extra faces red), objects red. Faces use { bbox, probability }.
+export const drawDetections = (ctx, { faces = [], objects = [] }, transform = IDENTITY_TRANSFORM) => {
+  faces.forEach((face, i) => drawBox(ctx, face.bbox, i === 0 ? COLORS.ok : COLORS.violation, faceLabel(face), transform));
+  objects.forEach(obj => drawBox(ctx, obj.bbox, COLORS.violation, objectLabel(obj), transform));
+};
+
+const FACE_VIOLATIONS = ['focusLost', 'drowsiness', 'multipleFaces'];
+
+// Draws an engine `frame` event over the live feed. `layers` toggles faces,
+// landmarks (BlazeFace's six points), objects and debug info. Boxes behind an
+// active violation are red; objects of `watchedClasses` that don't raise one are
+// amber, and debug mode adds every other COCO-SSD detection in gray. `region` is the
+// object detector's region of interest ([x, y, width, height] as frame fractions),
+// outlined dashed with the objects.
+export const drawLiveOverlay = (ctx, frame, transform, { layers, watchedClasses = new Set(), region = null }) => {
+  const active = new Set(frame.results.filter(r => r.active).map(r => r.type));
+  if (layers.faces) {
+    frame.faces.forEach((face, i) => {
+      const flagged = i === 0 ? FACE_VIOLATIONS.some(type => active.has(type)) : active.has('multipleFaces');
+      drawBox(ctx, [face.x, face.y, face.width, face.height], flagged ? COLORS.violation : COLORS.ok, faceLabel(face), transform);
+    });
+  }
+  if (layers.landmarks) {
+    frame.faces.forEach(face => face.landmarks && drawPoints(ctx, face.landmarks, COLORS.landmark, transform));
+  }
+  if (layers.objects && region) {
+    const { left, top, width, height } = mapRect([region[0] * frame.width, region[1] * frame.height, region[2] * frame.width, region[3] * frame.height], transform);
+    ctx.save();
+    ctx.setLineDash([8, 6]);
+    ctx.strokeStyle = COLORS.watched;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(left, top, width, height);
+    ctx.restore();
+  }
+  if (layers.objects) {
+    const flagged = new Set(frame.objects);
+    frame.allObjects.forEach((obj) => {
+      const watched = watchedClasses.has(obj.class);
+      if (!flagged.has(obj) && !watched && !layers.debug) return;
+      const color = flagged.has(obj) ? COLORS.violation : watched ? COLORS.watched : COLORS.other;
+      drawBox(ctx, obj.bbox, color, objectLabel(obj), transform);
+    });
+  }
+  if (layers.debug && frame.timings) {
+    const lines = [
+      `${frame.width}x${frame.height} · ${Math.round(frame.timings.total)} ms/frame`,
+      ...['faces', 'objects', 'mesh', 'detectors']
+        .filter(name => name in frame.timings)
+        .map(name => `${name} ${frame.timings[name].toFixed(1)} ms`)
+    ];
+    ctx.font = '12px monospace';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(8, 8, Math.max(...lines.map(line => ctx.measureText(line).width)) + 12, lines.length * 16 + 8);
+    ctx.fillStyle = '#fff';
+    lines.forEach((line, i) => ctx.fillText(line, 14, 24 + i * 16));
+  }
+};
@@ -0,0 +1,359 @@
+import { DEFAULT_ATTENTION_LIMITS } from './headPose.js';
+
+// Policy profiles: named, JSON-serializable settings for how strict a session is.
+// `detectors` is keyed by built-in detector id and passed straight to
+// createDefaultDetectors; `risk` weighs violations into the integrity score
+// (see ./integrity) and maps the score to a risk level. `smoothing` debounces each
+// violation type before it's logged (see src/engine/smoothing.js).
+export const POLICY_SCHEMA = 'proctoring-policy';
+export const POLICY_SCHEMA_VERSION = 2;
+
+export const RISK_LEVELS = ['Low Risk', 'Medium Risk', 'High Risk', 'Critical'];
+
+const DEFAULT_RISK_LEVELS = { 'Low Risk': 90, 'Medium Risk': 75, 'High Risk': 55, Critical: 35 };
+
+// Violation types of the browser detector, each switched on or off by the profile
+export const BROWSER_CHECKS = ['tabHidden', 'windowBlur', 'fullscreenExit', 'clipboardUsed', 'contextMenu', 'displayChanged', 'reloadAttempt'];
+
+// Debouncing settings, in milliseconds, for every type (`smoothing.default`) or one type
+export const SMOOTHING_FIELDS = ['minOnMs', 'minOffMs', 'averageMs', 'cooldownMs'];
+
+const STORAGE_KEY = 'proctoring.policies';
+const ACTIVE_KEY = 'proctoring.activePolicy';
+
+export const STANDARD_POLICY = {
+  schema: POLICY_SCHEMA,
+  version: POLICY_SCHEMA_VERSION,
+  id: 'standard',
+  name: 'Standard exam',
+  description: 'Closed-book exam: every detector on.',
+  sampleIntervalMs: 300,
+  detectors: {
+    focus: { enabled: true, lostFrames: 35, minConfidence: 0, limits: { ...DEFAULT_ATTENTION_LIMITS } },
+    faceAbsent: { enabled: true, minConfidence: 0 },
+    multipleFaces: { enabled: true, minConfidence: 0 },
+    identity: { enabled: true, enrollSamples: 5, intervalMs: 2000, minSimilarity: 0.4, minIdSimilarity: 0.3, mismatchChecks: 2, minConfidence: 0.9 },
+    // `classes` holds per-class thresholds; `roi`, when set, limits objects to the desk area or around the face
+    objects: {
+      enabled: true,
+      minConfidence: 0.5,
+      minArea: 0.001,
+      classes: {},
+      roi: null,
+      violations: {
+        phoneDetected: { label: 'Phone Detected', classes: ['cell phone'] },
+        notesDetected: { label: 'Notes Detected', classes: ['book'] },
+        secondaryScreen: { label: 'Secondary Screen', classes: ['tv', 'laptop'], minArea: 0.01 },
+        additionalPerson: { label: 'Additional Person', classes: ['person'], minConfidence: 0.6, minCount: 2, roi: false },
+        electronicDevice: { label: 'Electronic Device', classes: ['keyboard', 'remote'] }
+      }
+    },
+    drowsiness: { enabled: true, earThreshold: 0.2, drowsyFrames: 15, minConfidence: 0 },
+    // Runs only when the microphone is on; `noiseDb` is read by the audio monitor
+    audio: { enabled: true, flagSpeech: true, minSpeechMs: 1000, pitchSeparation: 5, noiseMs: 10000, noiseDb: -45, minConfidence: 0 },
+    // One switch per violation type; `fullscreenExit` also makes the session fullscreen
+    browser: {
+      enabled: true,
+      tabHidden: true,
+      windowBlur: true,
+      fullscreenExit: true,
+      clipboardUsed: true,
+      contextMenu: true,
+      displayChanged: true,
+      reloadAttempt: true,
+      blurGraceMs: 500
+    }
+  },
+  risk: {
+    // Integrity score below which each level applies
+    levels: DEFAULT_RISK_LEVELS,
+    // Relative cost of each violation type; types not listed weigh 1
+    weights: {
+      identityMismatch: 4, phoneDetected: 3, multipleFaces: 3, additionalPerson: 3, multipleVoices: 3, notesDetected: 2, secondaryScreen: 2, tabHidden: 2, clipboardUsed: 2,
+      faceAbsent: 1.5, fullscreenExit: 1.5, electronicDevice: 1.5, focusLost: 1, speechDetected: 1, windowBlur: 1, displayChanged: 1, reloadAttempt: 1, drowsiness: 0.5, backgroundNoise: 0.5, contextMenu: 0.5
+    }
+  },
+  // Camera detections must hold for about three frames and merge when they flicker;
+  // focusLost and drowsiness already count frames before they trigger. Types not
+  // listed, like the event-driven browser checks, are logged as reported.
+  smoothing: {
+    default: { minOnMs: 0, minOffMs: 0, averageMs: 0, cooldownMs: 0 },
+    types: {
+      focusLost: { minOffMs: 1000, cooldownMs: 3000 },
+      faceAbsent: { minOnMs: 1000, minOffMs: 600, cooldownMs: 3000 },
+      multipleFaces: { minOnMs: 1000, minOffMs: 1000, averageMs: 1500, cooldownMs: 5000 },
+      phoneDetected: { minOnMs: 1000, minOffMs: 2000, averageMs: 2000, cooldownMs: 10000 },
+      notesDetected: { minOnMs: 1000, minOffMs: 2000, averageMs: 2000, cooldownMs: 10000 },
+      secondaryScreen: { minOnMs: 1000, minOffMs: 2000, averageMs: 2000, cooldownMs: 10000 },
+      additionalPerson: { minOnMs: 1000, minOffMs: 2000, averageMs: 2000, cooldownMs: 10000 },
+      electronicDevice: { minOnMs: 1000, minOffMs: 2000, averageMs: 2000, cooldownMs: 10000 },
+      drowsiness: { minOffMs: 1000, cooldownMs: 3000 }
+    }
+  }
+};
+
+export const BUILT_IN_POLICIES = [
+  STANDARD_POLICY,
+  {
+    ...STANDARD_POLICY,
+    id: 'strict',
+    name: 'Strict exam',
+    description: 'High-stakes exam: faster focus and drowsiness triggers, stricter risk levels.',
+    detectors: {
+      ...STANDARD_POLICY.detectors,
+      focus: { ...STANDARD_POLICY.detectors.focus, lostFrames: 20 },
+      objects: { ...STANDARD_POLICY.detectors.objects, minConfidence: 0.4 },
+      drowsiness: { ...STANDARD_POLICY.detectors.drowsiness, drowsyFrames: 10 }
+    },
+    risk: {
+      levels: { 'Low Risk': 95, 'Medium Risk': 85, 'High Risk': 70, Critical: 50 },
+      weights: { ...STANDARD_POLICY.risk.weights, phoneDetected: 4, multipleFaces: 4, additionalPerson: 4 }
+    }
+  },
+  {
+    ...STANDARD_POLICY,
+    id: 'open-book',
+    name: 'Open-book coding',
+    description: 'Notes and books are allowed; looking away is tolerated for longer.',
+    detectors: {
+      ...STANDARD_POLICY.detectors,
+      focus: { ...STANDARD_POLICY.detectors.focus, lostFrames: 70 },
+      objects: {
+        ...STANDARD_POLICY.detectors.objects,
+        violations: {
+          phoneDetected: STANDARD_POLICY.detectors.objects.violations.phoneDetected,
+          additionalPerson: STANDARD_POLICY.detectors.objects.violations.additionalPerson
+        }
+      },
+      drowsiness: { ...STANDARD_POLICY.detectors.drowsiness, enabled: false },
+      audio: { ...STANDARD_POLICY.detectors.audio, flagSpeech: false },
+      browser: { ...STANDARD_POLICY.detectors.browser, clipboardUsed: false, contextMenu: false }
+    }
+  }
+];
+
+// Valid [min, max] of each focus limit: angles in degrees, iris offsets as fractions
+// of the eye, head shift in face widths (see DEFAULT_ATTENTION_LIMITS)
+const ATTENTION_LIMIT_RANGES = {
+  maxYaw: [0, 90],
+  maxPitchUp: [0, 90],
+  maxPitchDown: [0, 90],
+  maxGazeX: [0, 1],
+  maxGazeY: [0, 1],
+  maxShift: [0, 5]
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Returns a list of problems, empty when `policy` is a valid profile
+export const validatePolicy = (policy) => {
+  const errors = [];
+  const check = (ok, message) => { if (!ok) errors.push(message); };
+  const checkRange = (value, path, min, max) =>
+    check(value === undefined || (isNumber(value) && value >= min && value <= max), `${path} must be a number from ${min} to ${max}`);
+
+  if (!isObject(policy)) return ['Profile must be a JSON object'];
+  check(policy.schema === POLICY_SCHEMA, `schema must be "${POLICY_SCHEMA}"`);
+  check(policy.version === POLICY_SCHEMA_VERSION, `version ${policy.version} is not supported (expected ${POLICY_SCHEMA_VERSION})`);
+  check(typeof policy.id === 'string' && /^[a-z0-9-]+$/.test(policy.id), 'id must be lowercase letters, digits and dashes');
+  check(typeof policy.name === 'string' && policy.name.trim() !== '', 'name is required');
+  check(policy.description === undefined || typeof policy.description === 'string', 'description must be a string');
+  checkRange(policy.sampleIntervalMs, 'sampleIntervalMs', 50, 5000);
+
+  const detectors = policy.detectors;
+  if (!isObject(detectors)) {
+    errors.push('detectors must be an object');
+  } else {
+    Object.entries(detectors).forEach(([id, options]) => {
+      if (!(id in STANDARD_POLICY.detectors)) return errors.push(`detectors.${id} is not a built-in detector`);
+      if (!isObject(options)) return errors.push(`detectors.${id} must be an object`);
+      check(options.enabled === undefined || typeof options.enabled === 'boolean', `detectors.${id}.enabled must be true or false`);
+      checkRange(options.minConfidence, `detectors.${id}.minConfidence`, 0, 1);
+    });
+    checkRange(detectors.focus?.lostFrames, 'detectors.focus.lostFrames', 1, 1000);
+    if (detectors.focus?.limits !== undefined) {
+      if (!isObject(detectors.focus.limits)) errors.push('detectors.focus.limits must be an object');
+      else Object.entries(ATTENTION_LIMIT_RANGES).forEach(([key, [min, max]]) => checkRange(detectors.focus.limits[key], `detectors.focus.limits.${key}`, min, max));
+    }
+    checkRange(detectors.identity?.enrollSamples, 'detectors.identity.enrollSamples', 1, 20);
+    checkRange(detectors.identity?.intervalMs, 'detectors.identity.intervalMs', 250, 60000);
+    checkRange(detectors.identity?.minSimilarity, 'detectors.identity.minSimilarity', 0, 1);
+    checkRange(detectors.identity?.minIdSimilarity, 'detectors.identity.minIdSimilarity', 0, 1);
+    checkRange(detectors.identity?.mismatchChecks, 'detectors.identity.mismatchChecks', 1, 20);
+    checkRange(detectors.drowsiness?.earThreshold, 'detectors.drowsiness.earThreshold', 0, 1);
+    checkRange(detectors.drowsiness?.drowsyFrames, 'detectors.drowsiness.drowsyFrames', 1, 1000);
+    check(detectors.audio?.flagSpeech === undefined || typeof detectors.audio.flagSpeech === 'boolean', 'detectors.audio.flagSpeech must be true or false');
+    checkRange(detectors.audio?.minSpeechMs, 'detectors.audio.minSpeechMs', 100, 3000);
+    checkRange(detectors.audio?.pitchSeparation, 'detectors.audio.pitchSeparation', 1, 24);
+    checkRange(detectors.audio?.noiseMs, 'detectors.audio.noiseMs', 1000, 60000);
+    checkRange(detectors.audio?.noiseDb, 'detectors.audio.noiseDb', -90, 0);
+    BROWSER_CHECKS.forEach(type => check(detectors.browser?.[type] === undefined || typeof detectors.browser[type] === 'boolean', `detectors.browser.${type} must be true or false`));
+    checkRange(detectors.browser?.blurGraceMs, 'detectors.browser.blurGraceMs', 0, 10000);
+    const violations = detectors.objects?.violations;
+    if (violations !== undefined) {
+      if (!isObject(violations)) errors.push('detectors.objects.violations must be an object');
+      else Object.entries(violations).forEach(([type, rule]) => {
+        const path = `detectors.objects.violations.${type}`;
+        if (!isObject(rule)) return errors.push(`${path} must be an object`);
+        check(Array.isArray(rule.classes) && rule.classes.length > 0 && rule.classes.every(c => typeof c === 'string'), `${path}.classes must list COCO class names`);
+        check(rule.label === undefined || typeof rule.label === 'string', `${path}.label must be a string`);
+        checkRange(rule.minConfidence, `${path}.minConfidence`, 0, 1);
+        checkRange(rule.minArea, `${path}.minArea`, 0, 1);
+        checkRange(rule.minCount, `${path}.minCount`, 1, 20);
+        check(rule.roi === undefined || typeof rule.roi === 'boolean', `${path}.roi must be true or false`);
+      });
+    }
+    checkRange(detectors.objects?.minArea, 'detectors.objects.minArea', 0, 1);
+    const classes = detectors.objects?.classes;
+    if (classes !== undefined) {
+      if (!isObject(classes)) errors.push('detectors.objects.classes must be an object');
+      else Object.entries(classes).forEach(([name, limits]) => {
+        const path = `detectors.objects.classes["${name}"]`;
+        if (!isObject(limits)) return errors.push(`${path} must be an object`);
+        checkRange(limits.minConfidence, `${path}.minConfidence`, 0, 1);
+        checkRange(limits.minArea, `${path}.minArea`, 0, 1);
+      });
+    }
+    const roi = detectors.objects?.roi;
+    if (roi !== undefined && roi !== null) {
+      if (!isObject(roi)) {
+        errors.push('detectors.objects.roi must be an object or null');
+      } else {
+        const { region } = roi;
+        check(region === undefined || region === null || (Array.isArray(region) && region.length === 4 && region.every(v => isNumber(v) && v >= 0 && v <= 1)
+          && region[0] + region[2] <= 1 && region[1] + region[3] <= 1), 'detectors.objects.roi.region must be [x, y, width, height] within 0 to 1');
+        checkRange(roi.nearFace, 'detectors.objects.roi.nearFace', 0, 20);
+        check(Boolean(region) || roi.nearFace > 0, 'detectors.objects.roi needs a region or nearFace');
+      }
+    }
+  }
+
+  const risk = policy.risk;
+  if (!isObject(risk)) {
+    errors.push('risk must be an object');
+  } else {
+    if (!isObject(risk.levels)) {
+      errors.push('risk.levels must be an object');
+    } else {
+      RISK_LEVELS.forEach(level => checkRange(risk.levels[level], `risk.levels["${level}"]`, 0, 100));
+      const values = RISK_LEVELS.map(level => risk.levels[level]);
+      check(values.every(isNumber), `risk.levels needs ${RISK_LEVELS.map(l => `"${l}"`).join(', ')}`);
+      check(values.every((value, i) => i === 0 || value <= values[i - 1]), 'risk.levels must not increase from Low Risk to Critical');
+    }
+    if (risk.weights !== undefined) {
+      if (!isObject(risk.weights)) errors.push('risk.weights must be an object');
+      else Object.entries(risk.weights).forEach(([type, weight]) => checkRange(weight, `risk.weights.${type}`, 0, 100));
+    }
+  }
+
+  const smoothing = policy.smoothing;
+  const checkSmoothing = (settings, path) => {
+    if (!isObject(settings)) return errors.push(`${path} must be an object`);
+    Object.entries(settings).forEach(([key, value]) => {
+      if (!SMOOTHING_FIELDS.includes(key)) errors.push(`${path}.${key} is not a smoothing setting`);
+      else checkRange(value, `${path}.${key}`, 0, 60000);
+    });
+  };
+  if (smoothing !== undefined) {
+    if (!isObject(smoothing)) {
+      errors.push('smoothing must be an object');
+    } else {
+      if (smoothing.default !== undefined) checkSmoothing(smoothing.default, 'smoothing.default');
+      if (smoothing.types !== undefined) {
+        if (!isObject(smoothing.types)) errors.push('smoothing.types must be an object');
+        else Object.entries(smoothing.types).forEach(([type, settings]) => checkSmoothing(settings, `smoothing.types.${type}`));
+      }
+    }
+  }
+  return errors;
+};
+
+// Version 1 profiles set count thresholds instead of score levels; their weights carry over
+const migratePolicy = policy => (isObject(policy) && policy.schema === POLICY_SCHEMA && policy.version === 1
+  ? { ...policy, version: 2, risk: { levels: DEFAULT_RISK_LEVELS, weights: policy.risk?.weights ?? {} } }
+  : policy);
+
+// Validates and fills in defaults for anything the profile leaves out; throws on invalid input
+export const normalizePolicy = (input) => {
+  const policy = migratePolicy(input);
+  const errors = validatePolicy(policy);
+  if (errors.length) throw new Error(`Invalid policy profile: ${errors.join('; ')}`);
+  const defaults = STANDARD_POLICY.detectors;
+  const detectors = Object.fromEntries(Object.keys(defaults).map(id => [id, policy.detectors[id]
+    ? { ...defaults[id], ...policy.detectors[id] }
+    : { ...defaults[id], enabled: false }]));
+  detectors.focus.limits = { ...defaults.focus.limits, ...policy.detectors.focus?.limits };
+  return {
+    ...policy,
+    description: policy.description ?? '',
+    sampleIntervalMs: policy.sampleIntervalMs ?? STANDARD_POLICY.sampleIntervalMs,
+    detectors,
+    risk: { levels: { ...policy.risk.levels }, weights: { ...policy.risk.weights } },
+    // Listing `types` replaces the per-type defaults; leaving it out keeps them
+    smoothing: {
+      default: { ...STANDARD_POLICY.smoothing.default, ...policy.smoothing?.default },
+      types: { ...(policy.smoothing?.types ?? STANDARD_POLICY.smoothing.types) }
+    }
+  };
+};
+
+// createDefaultDetectors options for a policy plus the runtime hooks some detectors
+// read. The audio detector only runs with `getMonitor`, which returns whichever
+// microphone monitor is live when a frame is processed; `identity` holds the identity
+// detector's embedder, ID photo and enrollment hooks; `getBaseline` returns the focus
+// calibration from the system check.
+export const detectorOptions = (policy, { getMonitor, identity, getBaseline } = {}) => ({
+  ...policy.detectors,
+  focus: { ...policy.detectors.focus, getBaseline },
+  audio: getMonitor ? { ...policy.detectors.audio, getMonitor } : { enabled: false },
+  identity: { ...policy.detectors.identity, ...identity }
+});
+
+export const parsePolicy = (text) => {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Profile is not valid JSON: ${err.message}`);
+  }
+  return normalizePolicy(value);
+};
+
+export const serializePolicy = policy => JSON.stringify(policy, null, 2);
+
+// Custom profiles live in localStorage; built-ins always come first and can't be overwritten
+export const loadPolicies = () => {
+  let custom = [];
+  try {
+    custom = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]').flatMap((stored) => {
+      try {
+        return [normalizePolicy(stored)];
+      } catch (err) {
+        console.warn('Ignoring stored policy profile', err);
+        return [];
+      }
+    });
+  } catch (err) {
+    console.warn('Could not read stored policy profiles', err);
+  }
+  return [...BUILT_IN_POLICIES, ...custom.filter(p => !isBuiltInPolicy(p.id))];
+};
+
+export const saveCustomPolicies = (policies) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(policies.filter(p => !isBuiltInPolicy(p.id))));
+};
+
+export const isBuiltInPolicy = id => BUILT_IN_POLICIES.some(p => p.id === id);
+
+export const loadActivePolicyId = () => localStorage.getItem(ACTIVE_KEY) || STANDARD_POLICY.id;
+
+export const saveActivePolicyId = id => localStorage.setItem(ACTIVE_KEY, id);
+
+// A free id based on `name`, for copies and imports that clash with an existing profile
+export const uniquePolicyId = (name, policies) => {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+  let id = base;
+  for (let n = 2; policies.some(p => p.id === id); n++) id = `${base}-${n}`;
+  return id;
+};
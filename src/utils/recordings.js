@@ -0,0 +1,106 @@
+import { withStore, getAll, getAllByIndex, deleteRange, prefixRange } from './idb.js';
+
+const CHUNK_INTERVAL_MS = 5000; // MediaRecorder timeslice; each slice is written to IndexedDB right away
+const FRAME_BATCH_SIZE = 100;   // Detection frames per stored batch
+
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+
+const pickMimeType = () =>
+  (typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported
+    ? MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type))
+    : undefined) || '';
+
+const putRecord = (storeName, record) => withStore(storeName, 'readwrite', store => store.put(record));
+
+// Records `stream` for a session alongside a track of per-frame detection results.
+// Media and frames are flushed to IndexedDB as they arrive so nothing grows in memory.
+export const createSessionRecorder = ({ sessionId, stream }) => {
+  const id = crypto.randomUUID();
+  const mimeType = pickMimeType();
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const startedAt = Date.now();
+  const writes = [];
+  let chunkCount = 0;
+  let frameBatch = [];
+  let batchCount = 0;
+  let frameCount = 0;
+
+  const track = promise => {
+    writes.push(promise.catch(err => console.error('Failed to store recording data', err)));
+  };
+
+  const flushFrames = () => {
+    if (!frameBatch.length) return;
+    track(putRecord('detectionFrames', { recordingId: id, index: batchCount++, frames: frameBatch }));
+    frameBatch = [];
+  };
+
+  recorder.ondataavailable = (e) => {
+    if (e.data && e.data.size) track(putRecord('recordingChunks', { recordingId: id, index: chunkCount++, blob: e.data }));
+  };
+
+  track(putRecord('recordings', { id, sessionId, mimeType: recorder.mimeType || mimeType, startedAt, endedAt: null }));
+  recorder.start(CHUNK_INTERVAL_MS);
+
+  // `frame.t` is a wall-clock timestamp; it is stored as an offset into the recording
+  const recordFrame = (frame) => {
+    if (recorder.state !== 'recording') return;
+    frameBatch.push({ ...frame, t: frame.t - startedAt });
+    frameCount++;
+    if (frameBatch.length >= FRAME_BATCH_SIZE) flushFrames();
+  };
+
+  const stop = () => new Promise((resolve) => {
+    const finish = async () => {
+      flushFrames();
+      await Promise.all(writes);
+      const endedAt = Date.now();
+      await putRecord('recordings', {
+        id, sessionId, mimeType: recorder.mimeType || mimeType, startedAt, endedAt,
+        durationMs: endedAt - startedAt, chunkCount, frameCount
+      }).catch(err => console.error('Failed to store recording data', err));
+      resolve(id);
+    };
+    if (recorder.state === 'inactive') return finish();
+    recorder.addEventListener('stop', finish, { once: true });
+    recorder.stop();
+  });
+
+  return { id, startedAt, recordFrame, stop };
+};
+
+export const getSessionRecordings = async (sessionId) => {
+  const recordings = await getAllByIndex('recordings', 'sessionId', sessionId);
+  return recordings.sort((a, b) => a.startedAt - b.startedAt);
+};
+
+// Chunks are IndexedDB-backed blobs, so the combined Blob is not copied into memory
+export const loadRecordingBlob = async (recording) => {
+  const chunks = await getAll('recordingChunks', prefixRange(recording.id));
+  return new Blob(chunks.map(c => c.blob), { type: recording.mimeType || 'video/webm' });
+};
+
+export const loadDetectionFrames = async (recordingId) => {
+  const batches = await getAll('detectionFrames', prefixRange(recordingId));
+  return batches.flatMap(b => b.frames);
+};
+
+export const deleteSessionRecordings = async (sessionId) => {
+  const recordings = await getAllByIndex('recordings', 'sessionId', sessionId);
+  await Promise.all(recordings.flatMap(r => [
+    deleteRange('recordingChunks', prefixRange(r.id)),
+    deleteRange('detectionFrames', prefixRange(r.id)),
+    deleteRange('recordings', r.id)
+  ]));
+};
+
+// Latest frame at or before `t` (ms into the recording); frames are in time order
+export const frameAt = (frames, t) => {
+  let lo = 0, hi = frames.length - 1, found = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (frames[mid].t <= t) { found = frames[mid]; lo = mid + 1; }
+    else hi = mid - 1;
+  }
+  return found;
+};
@@ -0,0 +1,64 @@
+import { formatOffset } from './format.js';
+
+// Regression checks for offline analysis. A reference folder holds video clips, each
+// next to the JSON report of a run that was checked by hand: `interview.webm` with
+// `interview.webm.json` or `interview.json`. Only what depends on the file, the
+// profile and the sample rate is compared (see docs/report-schema.md); confidences
+// and scores may differ by `tolerance`, times and counts must match exactly.
+
+const VIDEO_EXTENSIONS = ['webm', 'mp4', 'm4v', 'mov', 'mkv', 'ogv'];
+
+const pathOf = file => file.webkitRelativePath || file.name;
+const withoutExtension = path => path.replace(/\.[^./]+$/, '');
+
+export const isVideoFile = file =>
+  Boolean(file.type?.startsWith('video/')) || VIDEO_EXTENSIONS.includes(file.name.split('.').pop().toLowerCase());
+
+// Every video in `files` (e.g. from a folder picker) with its reference report, or
+// `expected: null` when it has none yet; sorted by path
+export const pairReferenceFiles = (files) => {
+  const byPath = new Map(files.map(file => [pathOf(file), file]));
+  return files
+    .filter(isVideoFile)
+    .map((video) => {
+      const path = pathOf(video);
+      return { path, video, expected: byPath.get(`${path}.json`) ?? byPath.get(`${withoutExtension(path)}.json`) ?? null };
+    })
+    .sort((a, b) => a.path.localeCompare(b.path));
+};
+
+// File name that pairs a fresh report with its clip, to save as the new reference
+export const referenceFileName = video => `${video.name}.json`;
+
+const violationKey = violation => `${violation.type} at ${formatOffset(violation.offsetMs)}`;
+
+// How `actual` differs from the `expected` report, one sentence each; empty when they match
+export const compareReports = (expected, actual, { tolerance = 0.001 } = {}) => {
+  const differences = [];
+  const same = (a, b) => (typeof a === 'number' && typeof b === 'number' ? Math.abs(a - b) <= tolerance : a === b);
+  const check = (label, a, b) => {
+    if (!same(a, b)) differences.push(`${label}: expected ${a}, got ${b}`);
+  };
+
+  if (JSON.stringify(expected.policy) !== JSON.stringify(actual.policy)) {
+    differences.push(`profile: the reference ran under "${expected.policy?.name ?? 'unknown'}", not the same settings as "${actual.policy?.name ?? 'unknown'}"`);
+  }
+  check('sample rate', expected.session.source?.sampleRate ?? null, actual.session.source?.sampleRate ?? null);
+  check('duration', expected.session.durationMs, actual.session.durationMs);
+  check('violations', expected.summary.totalViolations, actual.summary.totalViolations);
+  check('integrity score', expected.summary.integrityScore, actual.summary.integrityScore);
+  check('risk level', expected.summary.riskLevel, actual.summary.riskLevel);
+
+  // Violations are matched by type and start, so one extra doesn't shift all the others
+  const unmatched = new Map();
+  expected.violations.forEach(violation => unmatched.set(violationKey(violation), [...(unmatched.get(violationKey(violation)) ?? []), violation]));
+  actual.violations.forEach((violation) => {
+    const key = violationKey(violation);
+    const match = unmatched.get(key)?.shift();
+    if (!match) return differences.push(`new ${key}`);
+    check(`${key}, duration`, match.durationMs, violation.durationMs);
+    check(`${key}, peak confidence`, match.peakConfidence, violation.peakConfidence);
+  });
+  unmatched.forEach(left => left.forEach(violation => differences.push(`missing ${violationKey(violation)}`)));
+  return differences;
+};
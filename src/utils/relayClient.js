@@ -0,0 +1,87 @@
+// WebSocket client for the live relay in server/ (see docs/reviewer-relay.md). The
+// URL comes from VITE_RELAY_URL at build time, e.g. `/relay` through the dev server's
+// proxy. Without it candidates don't connect, and the reviewer page tries /relay on
+// the host it was loaded from.
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+
+const RELAY_URL = import.meta.env.VITE_RELAY_URL || null;
+
+export const RELAY_ENABLED = RELAY_URL !== null;
+
+// A path is resolved against the page, with http(s) turned into ws(s)
+const defaultUrl = () => {
+  const url = new URL(RELAY_URL ?? '/relay', window.location.href);
+  url.protocol = url.protocol.replace(/^http/, 'ws');
+  return url.href;
+};
+
+// `role` is 'candidate' or 'reviewer'. Reconnects with backoff until closed; `onOpen`
+// runs on every (re)connection, so it is the place to introduce the client again.
+export const createRelayClient = ({ role, token = '', onOpen, onMessage, url = defaultUrl() }) => {
+  const listeners = new Set();
+  let state = { connected: false, error: null };
+  let socket = null;
+  let retryTimer = null;
+  let retryMs = RETRY_MIN_MS;
+  let closed = false;
+
+  const setState = (next) => {
+    state = { ...state, ...next };
+    listeners.forEach(listener => listener(state));
+  };
+
+  const connect = () => {
+    const params = new URLSearchParams({ role });
+    if (token) params.set('token', token);
+    let opened = false;
+    socket = new WebSocket(`${url}?${params}`);
+    socket.addEventListener('open', () => {
+      opened = true;
+      retryMs = RETRY_MIN_MS;
+      setState({ connected: true, error: null });
+      onOpen?.();
+    });
+    socket.addEventListener('message', (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      onMessage?.(message);
+    });
+    socket.addEventListener('close', (event) => {
+      socket = null;
+      if (closed) return;
+      // 4xxx codes are the relay's own refusals, e.g. another tab took the session over
+      if (event.code >= 4000) return setState({ connected: false, error: event.reason || `Closed by the relay (${event.code})` });
+      setState({ connected: false, error: event.reason || (opened ? 'Relay connection lost' : 'Relay unreachable') });
+      clearTimeout(retryTimer);
+      retryTimer = setTimeout(connect, retryMs);
+      retryMs = Math.min(RETRY_MAX_MS, retryMs * 2);
+    });
+  };
+
+  connect();
+
+  return {
+    // False when the message couldn't go out now; nothing is queued
+    send: (message) => {
+      if (socket?.readyState !== WebSocket.OPEN) return false;
+      socket.send(JSON.stringify(message));
+      return true;
+    },
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket?.close(1000);
+      setState({ connected: false });
+    }
+  };
+};
@@ -0,0 +1,180 @@
+import { eventDuration, totalDurationByType } from './eventLog.js';
+import { formatDuration, formatConfidence, formatOffset } from './format.js';
+
+// Bump the major version on breaking changes to the JSON layout; ATS importers key off it.
+export const REPORT_SCHEMA = 'proctoring-report';
+export const REPORT_SCHEMA_VERSION = '1.4.0';
+
+const iso = timestamp => (timestamp === null || timestamp === undefined ? null : new Date(timestamp).toISOString());
+
+// `integrity` is computeIntegrity's result for the session; `snapshots` maps event
+// ids to { capturedAt, mimeType, dataUrl } evidence frames
+export const buildReport = ({ session, candidate, stats, events, integrity, labels, snapshots = {}, now = Date.now() }) => {
+  const endedAt = session.endedAt ?? now;
+  const durations = totalDurationByType(events, endedAt);
+  const points = Object.fromEntries(integrity.items.map(item => [item.id, item.points]));
+  const weights = session.policy?.risk.weights;
+
+  return {
+    schema: REPORT_SCHEMA,
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: iso(now),
+    session: {
+      id: session.id,
+      startedAt: iso(session.startedAt),
+      endedAt: iso(endedAt),
+      durationMs: endedAt - session.startedAt,
+      source: session.source ?? null
+    },
+    policy: session.policy ?? null,
+    candidate: {
+      name: candidate.name || null,
+      id: candidate.id || null
+    },
+    summary: {
+      totalViolations: Object.values(stats).reduce((t, n) => t + n, 0),
+      riskLevel: integrity.level,
+      // Deprecated since 1.4.0 in favour of integrityScore; kept until the next major version
+      riskScore: weights ? Object.entries(stats).reduce((t, [type, n]) => t + n * (weights[type] ?? 1), 0) : null,
+      integrityScore: integrity.score,
+      integrityPenalty: integrity.penalty,
+      sessionLengthFactor: integrity.lengthFactor
+    },
+    detections: Object.fromEntries(Object.entries(stats).map(([type, count]) => [type, {
+      label: labels[type],
+      count,
+      totalDurationMs: durations[type] || 0,
+      points: integrity.byType[type] || 0
+    }])),
+    violations: events.map(event => ({
+      id: event.id,
+      type: event.type,
+      label: labels[event.type],
+      startedAt: iso(event.startedAt),
+      endedAt: iso(event.endedAt ?? endedAt),
+      offsetMs: event.startedAt - session.startedAt,
+      durationMs: eventDuration(event, endedAt),
+      peakConfidence: event.peakConfidence,
+      data: event.data,
+      points: points[event.id] ?? 0,
+      snapshot: snapshots[event.id]
+        ? { capturedAt: iso(snapshots[event.id].capturedAt), mimeType: snapshots[event.id].mimeType, dataUrl: snapshots[event.id].dataUrl }
+        : null
+    }))
+  };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  'session_id', 'candidate_id', 'candidate_name', 'event_id', 'type', 'label',
+  'started_at', 'ended_at', 'duration_ms', 'peak_confidence', 'data', 'points'
+];
+
+// One row per violation; session-level fields are repeated so each row stands alone
+export const reportToCsv = (report) => {
+  const rows = report.violations.map(v => [
+    report.session.id, report.candidate.id, report.candidate.name, v.id, v.type, v.label,
+    v.startedAt, v.endedAt, v.durationMs, v.peakConfidence, v.data, v.points
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+};
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const localTime = value => (value ? new Date(value).toLocaleString() : '--');
+
+export const reportToHtml = (report) => {
+  const detectionRows = Object.values(report.detections).map(d => `
+        <tr><td>${escapeHtml(d.label)}</td><td class="num">${d.count}</td><td class="num">${formatDuration(d.totalDurationMs)}</td><td class="num">-${d.points.toFixed(1)}</td></tr>`).join('');
+  const violationRows = report.violations.map((v, i) => `
+        <tr>
+          <td class="num">${i + 1}</td><td>${escapeHtml(v.label)}</td><td>${report.session.source ? formatOffset(v.offsetMs) : localTime(v.startedAt)}</td>
+          <td class="num">${formatDuration(v.durationMs)}</td><td class="num">${formatConfidence(v.peakConfidence)}</td><td class="num">-${v.points.toFixed(1)}</td>
+          <td>${v.snapshot ? `<a href="${v.snapshot.dataUrl}" target="_blank"><img class="snapshot" src="${v.snapshot.dataUrl}" alt="${escapeHtml(v.label)} evidence" /></a>` : ''}</td>
+        </tr>`).join('');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>Proctoring Report ${escapeHtml(report.session.id)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; color: #1f2937; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.1rem; margin-top: 1.5rem; border-bottom: 1px solid #d1d5db; padding-bottom: 0.25rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; }
+    .meta td:first-child { color: #6b7280; width: 12rem; }
+    .risk { font-size: 1.25rem; font-weight: bold; }
+    .muted { color: #6b7280; font-size: 0.8rem; }
+    .snapshot { width: 160px; border-radius: 4px; border: 1px solid #d1d5db; }
+    @media print { body { margin: 0; } tr { break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>Proctoring Report</h1>
+  <p class="muted">Generated ${localTime(report.generatedAt)} &middot; ${escapeHtml(report.schema)} v${escapeHtml(report.schemaVersion)}</p>
+  <h2>Session</h2>
+  <table class="meta">
+    <tr><td>Candidate</td><td>${escapeHtml(report.candidate.name || '--')}</td></tr>
+    <tr><td>Candidate ID</td><td>${escapeHtml(report.candidate.id || '--')}</td></tr>
+    <tr><td>Session ID</td><td>${escapeHtml(report.session.id)}</td></tr>
+    <tr><td>Started</td><td>${localTime(report.session.startedAt)}</td></tr>
+    <tr><td>Ended</td><td>${localTime(report.session.endedAt)}</td></tr>
+    <tr><td>Duration</td><td>${formatDuration(report.session.durationMs)}</td></tr>${report.session.source ? `
+    <tr><td>Analyzed file</td><td>${escapeHtml(report.session.source.name)} (${Number(report.session.source.sampleRate.toFixed(2))} fps)</td></tr>` : ''}${report.policy ? `
+    <tr><td>Policy profile</td><td>${escapeHtml(report.policy.name)} (${escapeHtml(report.policy.id)})</td></tr>` : ''}
+  </table>
+  <h2>Risk Assessment</h2>
+  <p class="risk">${escapeHtml(report.summary.riskLevel)} &middot; integrity score ${Math.round(report.summary.integrityScore)}/100</p>
+  <p>${report.summary.totalViolations} violations across all detection types cost ${report.summary.integrityPenalty.toFixed(1)} points
+  (each scaled by weight, peak confidence and duration, then by ${report.summary.sessionLengthFactor.toFixed(2)} for the session length)</p>
+  <h2>Detections</h2>
+  <table>
+    <thead><tr><th>Type</th><th class="num">Count</th><th class="num">Total duration</th><th class="num">Points</th></tr></thead>
+    <tbody>${detectionRows}
+    </tbody>
+  </table>
+  <h2>Violations</h2>
+  ${report.violations.length === 0 ? '<p>No violations recorded.</p>' : `<table>
+    <thead><tr><th class="num">#</th><th>Type</th><th>Started</th><th class="num">Duration</th><th class="num">Peak confidence</th><th class="num">Points</th><th>Evidence</th></tr></thead>
+    <tbody>${violationRows}
+    </tbody>
+  </table>`}
+</body>
+</html>`;
+};
+
+export const reportFileName = (report, extension) =>
+  `proctoring-report-${report.candidate.id || report.session.id}.${extension}`;
+
+export const downloadFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Opens the HTML report in a new window and brings up the print dialog ("Save as PDF")
+export const printReport = (report) => {
+  const win = window.open('', '_blank');
+  if (!win) return false;
+  win.document.write(reportToHtml(report));
+  win.document.close();
+  win.focus();
+  // Give the new document a moment to lay out before printing
+  setTimeout(() => win.print(), 250);
+  return true;
+};
@@ -0,0 +1,52 @@
+// Client for the session backend in server/ (see docs/session-api.md). The base URL
+// comes from VITE_SESSION_API at build time; in development `/api` goes through the
+// dev server's proxy. Without it there is no session server and nothing is sent.
+const BASE_URL = import.meta.env.VITE_SESSION_API || null;
+
+export const SESSION_API_ENABLED = BASE_URL !== null;
+
+// Rejects with an Error carrying the HTTP `status`; network failures have none
+const request = async (path, { method = 'GET', json, body, type } = {}) => {
+  const contentType = json !== undefined ? 'application/json' : type;
+  const response = await fetch(`${BASE_URL}${path}`, {
+    method,
+    headers: contentType ? { 'Content-Type': contentType } : undefined,
+    body: json !== undefined ? JSON.stringify(json) : body
+  });
+  if (!response.ok) {
+    const message = (await response.json().catch(() => null))?.error || `HTTP ${response.status}`;
+    throw Object.assign(new Error(message), { status: response.status });
+  }
+  return response.status === 204 ? null : response.json();
+};
+
+const sessionPath = id => `/sessions/${encodeURIComponent(id)}`;
+
+// Creates the session, or reopens it when it exists
+export const saveSession = ({ id, startedAt, candidate, policy, source = null }) =>
+  request('/sessions', { method: 'POST', json: { id, startedAt, candidate, policy, source } });
+
+// `events` are engine log events with a `revision`; see sessionSync
+export const appendEvents = (sessionId, events) =>
+  request(`${sessionPath(sessionId)}/events`, { method: 'POST', json: { events } });
+
+export const uploadSnapshot = (sessionId, { eventId, capturedAt, blob }) =>
+  request(`${sessionPath(sessionId)}/snapshots/${encodeURIComponent(eventId)}?capturedAt=${capturedAt}`, { method: 'PUT', body: blob, type: blob.type });
+
+export const finalizeSession = (sessionId, { endedAt, report }) =>
+  request(`${sessionPath(sessionId)}/finalize`, { method: 'POST', json: { endedAt, report } });
+
+// Resolves to { sessions, total }, newest first
+export const listSessions = ({ query = '', status = null, limit = 50, offset = 0 } = {}) => {
+  const params = new URLSearchParams({ limit, offset });
+  if (query) params.set('q', query);
+  if (status) params.set('status', status);
+  return request(`/sessions?${params}`);
+};
+
+// Resolves to { session, events, snapshots }
+export const fetchSession = id => request(sessionPath(id));
+
+export const fetchReport = id => request(`${sessionPath(id)}/report`);
+
+export const snapshotUrl = (sessionId, eventId) => `${BASE_URL}${sessionPath(sessionId)}/snapshots/${encodeURIComponent(eventId)}`;
@@ -0,0 +1,173 @@
+import { withStore, getAll } from './idb.js';
+import { saveSession, appendEvents, uploadSnapshot, finalizeSession } from './sessionApi.js';
+
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 60 * 1000;
+const EVENTS_PER_REQUEST = 500;
+// A server that stays away mustn't fill the browser's storage
+const MAX_QUEUED = 2000;
+const MAX_QUEUED_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Client errors won't go away by sending the same request again
+const isPermanent = err => err.status >= 400 && err.status < 500 && err.status !== 408 && err.status !== 429;
+
+const send = (item) => {
+  if (item.kind === 'session') return saveSession(item.session);
+  if (item.kind === 'events') return appendEvents(item.sessionId, item.events);
+  if (item.kind === 'snapshot') return uploadSnapshot(item.sessionId, item.snapshot);
+  if (item.kind === 'finalize') return finalizeSession(item.sessionId, item.result);
+  return Promise.reject(Object.assign(new Error(`Unknown outbox item "${item.kind}"`), { status: 400 }));
+};
+
+// Consecutive event items of one session go out as one request
+const nextBatch = (items) => {
+  const [first] = items;
+  if (first.kind !== 'events') return { seqs: [first.seq], item: first };
+  const batch = [];
+  for (const item of items) {
+    if (item.kind !== 'events' || item.sessionId !== first.sessionId || batch.length + item.events.length > EVENTS_PER_REQUEST) break;
+    batch.push(item);
+  }
+  return { seqs: batch.map(item => item.seq), item: { ...first, events: batch.flatMap(item => item.events) } };
+};
+
+// Streams sessions to the session API through an IndexedDB outbox, so the server
+// copy catches up after the network or the server comes back, even across reloads.
+// Requests go out one at a time in the order they were made; failures are retried
+// with backoff. Events carry their id and a `revision` that grows with every change,
+// so a request sent twice, or an older state arriving late, never overwrites newer data.
+// At most MAX_QUEUED requests wait, for at most a week. Only create one when
+// SESSION_API_ENABLED.
+export const createSessionSync = () => {
+  const revisions = new Map(); // event id -> { event, revision } of the last queued state
+  const listeners = new Set();
+  let state = { pending: 0, online: navigator.onLine, error: null, syncedAt: null };
+  let flushing = null;
+  let again = false;
+  let retryTimer = null;
+  let retryMs = RETRY_MIN_MS;
+  let stopped = false;
+
+  const setState = (next) => {
+    state = { ...state, ...next };
+    listeners.forEach(listener => listener(state));
+  };
+
+  const countPending = async () => setState({ pending: await withStore('outbox', 'readonly', store => store.count()) });
+
+  // Drops requests queued more than a week ago, then the oldest beyond the cap
+  const prune = async () => {
+    const items = await getAll('outbox');
+    const cutoff = Date.now() - MAX_QUEUED_AGE_MS;
+    const dropped = items.filter((item, index) => item.queuedAt < cutoff || index < items.length - MAX_QUEUED);
+    if (!dropped.length) return;
+    await withStore('outbox', 'readwrite', store => dropped.map(item => store.delete(item.seq)).at(-1));
+    console.warn(`Dropped ${dropped.length} session API requests that waited too long`);
+    setState({ error: `${dropped.length} unsent ${dropped.length === 1 ? 'change was' : 'changes were'} dropped` });
+    await countPending();
+  };
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(flush, retryMs);
+    retryMs = Math.min(RETRY_MAX_MS, retryMs * 2);
+  };
+
+  const drain = async () => {
+    let items = await getAll('outbox');
+    while (items.length && !stopped) {
+      const { seqs, item } = nextBatch(items);
+      try {
+        await send(item);
+        setState({ error: null, syncedAt: Date.now() });
+      } catch (err) {
+        if (!isPermanent(err)) {
+          setState({ error: err.status ? `Server error: ${err.message}` : 'Server unreachable' });
+          return scheduleRetry();
+        }
+        console.error(`Session API rejected a ${item.kind} request; dropping it`, err);
+        setState({ error: `Rejected by the server: ${err.message}` });
+      }
+      await Promise.all(seqs.map(seq => withStore('outbox', 'readwrite', store => store.delete(seq))));
+      items = items.slice(seqs.length);
+      retryMs = RETRY_MIN_MS;
+      await countPending();
+    }
+  };
+
+  // Sends everything queued; calls made while a flush runs start another one after it
+  const flush = () => {
+    if (flushing) {
+      again = true;
+      return flushing;
+    }
+    clearTimeout(retryTimer);
+    flushing = drain()
+      .catch(err => console.error('Session sync failed', err))
+      .finally(() => {
+        flushing = null;
+        if (again && !stopped) {
+          again = false;
+          flush();
+        }
+      });
+    return flushing;
+  };
+
+  const enqueue = async (item) => {
+    try {
+      await withStore('outbox', 'readwrite', store => store.add({ ...item, queuedAt: Date.now() }));
+      await countPending();
+      if (state.pending > MAX_QUEUED) await prune();
+      if (state.online) flush();
+    } catch (err) {
+      console.error('Failed to queue session data', err);
+    }
+  };
+
+  const goOnline = () => {
+    setState({ online: true });
+    retryMs = RETRY_MIN_MS;
+    flush();
+  };
+  const goOffline = () => setState({ online: false });
+  window.addEventListener('online', goOnline);
+  window.addEventListener('offline', goOffline);
+  // Whatever an earlier page left behind
+  prune().then(countPending).then(flush).catch(err => console.error('Session sync failed', err));
+
+  return {
+    // `session` is the dashboard's { id, startedAt, policy, source? }; sent again when
+    // a stopped session resumes, which reopens it on the server
+    startSession: (session, candidate) => enqueue({
+      kind: 'session',
+      sessionId: session.id,
+      session: { id: session.id, startedAt: session.startedAt, candidate, policy: session.policy, source: session.source ?? null }
+    }),
+    // Queues the event's current state; the same object queued again is skipped
+    saveEvent: (sessionId, event) => {
+      const previous = revisions.get(event.id);
+      if (previous?.event === event) return Promise.resolve();
+      const revision = (previous?.revision ?? 0) + 1;
+      revisions.set(event.id, { event, revision });
+      return enqueue({ kind: 'events', sessionId, events: [{ ...event, revision }] });
+    },
+    // `snapshot` is { eventId, capturedAt, blob }
+    saveSnapshot: (sessionId, snapshot) => enqueue({ kind: 'snapshot', sessionId, snapshot }),
+    // `report` is the final buildReport output, without snapshots (they're uploaded on their own)
+    finalizeSession: (sessionId, { endedAt, report }) => enqueue({ kind: 'finalize', sessionId, result: { endedAt, report } }),
+    flush,
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    stop: () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+      listeners.clear();
+    }
+  };
+};
@@ -0,0 +1,38 @@
+import { withStore, getAllByIndex, deleteByIndex } from './idb.js';
+import { drawDetections } from './overlay.js';
+
+const SNAPSHOT_MAX_WIDTH = 960;
+const SNAPSHOT_QUALITY = 0.8;
+
+// Grabs the current video frame with face boxes (green, extra faces red) and
+// object boxes (red) drawn on top. Resolves to a JPEG blob, or null if the
+// video has no frame yet.
+export const captureAnnotatedFrame = (video, { faces = [], objects = [] } = {}) => {
+  if (!video || !video.videoWidth) return Promise.resolve(null);
+  const scale = Math.min(1, SNAPSHOT_MAX_WIDTH / video.videoWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  drawDetections(ctx, {
+    faces: faces.map(face => ({ bbox: [face.x, face.y, face.width, face.height], probability: face.probability })),
+    objects
+  }, { scaleX: scale, scaleY: scale, offsetX: 0, offsetY: 0 });
+
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', SNAPSHOT_QUALITY));
+};
+
+export const saveSnapshot = snapshot => withStore('snapshots', 'readwrite', store => store.put(snapshot));
+
+export const getSessionSnapshots = sessionId => getAllByIndex('snapshots', 'sessionId', sessionId);
+
+export const deleteSessionSnapshots = sessionId => deleteByIndex('snapshots', 'sessionId', sessionId);
+
+export const blobToDataUrl = blob => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
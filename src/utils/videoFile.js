@@ -0,0 +1,48 @@
+// Helpers for stepping through a local video file frame by frame.
+
+const once = (target, eventName) => new Promise((resolve, reject) => {
+  const onEvent = () => { cleanup(); resolve(); };
+  const onError = () => { cleanup(); reject(target.error || new Error(`Video failed while waiting for ${eventName}`)); };
+  const cleanup = () => {
+    target.removeEventListener(eventName, onEvent);
+    target.removeEventListener('error', onError);
+  };
+  target.addEventListener(eventName, onEvent);
+  target.addEventListener('error', onError);
+});
+
+// Resolves once the frame at the new position is decoded ('seeked' implies HAVE_CURRENT_DATA)
+export const seekTo = async (video, seconds) => {
+  if (Math.abs(video.currentTime - seconds) < 1e-6 && video.readyState >= 2) return;
+  const seeked = once(video, 'seeked');
+  video.currentTime = seconds;
+  await seeked;
+};
+
+// Loads `file` into `video` (paused, muted) and resolves to its duration in seconds.
+// MediaRecorder WebM files report an infinite duration until the end has been seeked to.
+export const loadVideoFile = async (video, file) => {
+  video.pause();
+  video.srcObject = null;
+  video.muted = true;
+  video.autoplay = false;
+  const loaded = once(video, 'loadeddata');
+  video.src = URL.createObjectURL(file);
+  await loaded;
+
+  if (!Number.isFinite(video.duration)) {
+    const durationKnown = once(video, 'durationchange');
+    video.currentTime = Number.MAX_SAFE_INTEGER;
+    await durationKnown;
+    await seekTo(video, 0);
+  }
+  return video.duration;
+};
+
+export const unloadVideoFile = (video) => {
+  if (!video.src) return;
+  URL.revokeObjectURL(video.src);
+  video.removeAttribute('src');
+  video.load();
+  video.autoplay = true;
+};
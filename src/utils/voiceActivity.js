@@ -0,0 +1,98 @@
+// Voice activity and speaker heuristics on raw audio frames. Pure functions over
+// Float32Array samples so they run the same on live Web Audio data and in tests.
+
+const SILENCE_DB = -100;
+const SPEECH_BAND_HZ = [300, 3400];
+const PITCH_RANGE_HZ = [75, 400]; // adult speech fundamentals
+const MIN_PITCH_CLARITY = 0.6;
+const MIN_VOICE_GAP = 1.5; // semitones of empty pitch range between two speakers
+
+export const rmsDb = (samples) => {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  const rms = Math.sqrt(sum / samples.length);
+  return rms > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(rms)) : SILENCE_DB;
+};
+
+// Fraction of spectral energy in the speech band. `spectrumDb` is an AnalyserNode's
+// getFloatFrequencyData output (dB per bin from 0 Hz to sampleRate / 2).
+export const speechBandRatio = (spectrumDb, sampleRate) => {
+  const binHz = sampleRate / 2 / spectrumDb.length;
+  let band = 0, total = 0;
+  for (let i = 1; i < spectrumDb.length; i++) {
+    const power = 10 ** (spectrumDb[i] / 10);
+    total += power;
+    if (i * binHz >= SPEECH_BAND_HZ[0] && i * binHz <= SPEECH_BAND_HZ[1]) band += power;
+  }
+  return total > 0 ? band / total : 0;
+};
+
+// Fundamental frequency by normalized autocorrelation, or null when the frame isn't
+// clearly periodic. Every other sample is used; that still resolves 400 Hz at 16 kHz+.
+export const estimatePitch = (samples, sampleRate, [minHz, maxHz] = PITCH_RANGE_HZ) => {
+  const step = 2;
+  const rate = sampleRate / step;
+  const n = Math.floor(samples.length / step);
+  const minLag = Math.floor(rate / maxHz);
+  const maxLag = Math.min(Math.ceil(rate / minHz), n - 1);
+  let energy = 0;
+  for (let i = 0; i < n; i++) energy += samples[i * step] ** 2;
+  if (energy === 0) return null;
+
+  let bestLag = -1, bestCorrelation = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let correlation = 0;
+    for (let i = 0; i + lag < n; i++) correlation += samples[i * step] * samples[(i + lag) * step];
+    correlation /= energy;
+    if (correlation > bestCorrelation) {
+      bestCorrelation = correlation;
+      bestLag = lag;
+    }
+  }
+  return bestLag > 0 && bestCorrelation >= MIN_PITCH_CLARITY ? rate / bestLag : null;
+};
+
+// Classifies successive audio frames as speech, noise or quiet against an adaptive
+// noise floor: it drops to quieter frames at once and creeps up on louder ones, so
+// speech bursts stand out while a steady hum raises the floor over a few seconds.
+export const createVoiceActivityDetector = ({ speechMarginDb = 10, minSpeechDb = -55, noiseDb = -45 } = {}) => {
+  let noiseFloor = null;
+
+  const classify = ({ timeData, spectrumDb, sampleRate }) => {
+    const db = rmsDb(timeData);
+    noiseFloor = noiseFloor === null || db < noiseFloor ? db : noiseFloor + (db - noiseFloor) * 0.01;
+    const pitch = db > minSpeechDb ? estimatePitch(timeData, sampleRate) : null;
+    const speech = pitch !== null && db > noiseFloor + speechMarginDb && speechBandRatio(spectrumDb, sampleRate) > 0.5;
+    return { db, noiseFloor, pitch: speech ? pitch : null, speech, noise: !speech && db > noiseDb };
+  };
+
+  return { classify, reset: () => { noiseFloor = null; } };
+};
+
+const semitones = (a, b) => 12 * Math.log2(b / a);
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Splits voiced pitches at their widest gap (in semitones) into a low and a high
+// group. Returns both group medians when each group has at least `minSamples`
+// samples, the gap is clear and the medians sit `minSeparation` semitones apart,
+// else null. One speaker's intonation spreads pitch evenly, so their widest gap
+// stays small.
+export const separateVoices = (pitches, { minSamples, minSeparation }) => {
+  if (pitches.length < minSamples * 2) return null;
+  const sorted = [...pitches].sort((a, b) => a - b);
+  let split = -1, widest = 0;
+  for (let i = minSamples; i <= sorted.length - minSamples; i++) {
+    const gap = semitones(sorted[i - 1], sorted[i]);
+    if (gap > widest) {
+      widest = gap;
+      split = i;
+    }
+  }
+  if (split < 0 || widest < MIN_VOICE_GAP) return null;
+  const low = median(sorted.slice(0, split));
+  const high = median(sorted.slice(split));
+  return semitones(low, high) >= minSeparation ? { low, high, separation: semitones(low, high) } : null;
+};
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProctoringEngine, createFaceAbsentDetector, createMultipleFacesDetector, createBrowserDetector, createIdentityDetector } from '../src/engine/index.js';
+
+// Frames are plain objects carrying the faces the fake inference "finds" in them
+const face = (probability = 0.99) => ({ x: 200, y: 100, width: 200, height: 240, centerX: 300, centerY: 220, probability, landmarks: [] });
+const frame = (...faces) => ({ width: 640, height: 480, faces });
+const fakeInference = { infer: async source => ({ faces: source.faces, objects: [], mesh: null, timings: {} }) };
+
+const engineWith = (options = {}) => createProctoringEngine({
+  inference: fakeInference,
+  detectors: [createFaceAbsentDetector(), createMultipleFacesDetector()],
+  ...options
+});
+
+// Feeds `frames` one every `stepMs` from t=0
+const run = async (engine, frames, stepMs = 100) => {
+  for (const [i, source] of frames.entries()) await engine.processFrame(source, i * stepMs);
+};
+
+test('logs a violation from its first to its last frame', async () => {
+  const engine = engineWith();
+  const seen = [];
+  engine.on('violation:start', event => seen.push(['start', event.type, event.startedAt]));
+  engine.on('violation:end', event => seen.push(['end', event.type, event.endedAt]));
+  await run(engine, [frame(face()), frame(), frame(), frame(face())]);
+
+  assert.deepEqual(seen, [['start', 'faceAbsent', 100], ['end', 'faceAbsent', 300]]);
+  assert.equal(engine.getStats().faceAbsent, 1);
+  assert.equal(engine.getStats().multipleFaces, 0);
+  const [event] = engine.getEvents();
+  assert.equal(event.durationMs, 200);
+  assert.equal(event.peakConfidence, 1);
+});
+
+test('keeps the strongest evidence of an open event', async () => {
+  const engine = engineWith();
+  await run(engine, [frame(face(), face(0.6)), frame(face(), face(0.8)), frame(face(), face(0.7)), frame(face())]);
+
+  const [event] = engine.getEvents();
+  assert.equal(event.type, 'multipleFaces');
+  assert.equal(event.peakConfidence, 0.8);
+  assert.equal(event.data.faces.length, 2);
+});
+
+test('smoothing drops blips shorter than minOnMs and merges within cooldownMs', async () => {
+  const engine = engineWith({ smoothing: { default: {}, types: { faceAbsent: { minOnMs: 250, cooldownMs: 1000 } } } });
+  // A 200 ms absence, then two 400 ms ones 200 ms apart
+  const absent = count => Array.from({ length: count }, () => frame());
+  await run(engine, [frame(face()), ...absent(2), frame(face()), ...absent(4), frame(face()), frame(face()), ...absent(4), frame(face())]);
+
+  assert.equal(engine.getStats().faceAbsent, 1);
+  const [event] = engine.getEvents();
+  assert.equal(event.startedAt, 400);
+  assert.equal(event.endedAt, 1400);
+});
+
+test('active types are reported until the violation clears', async () => {
+  const engine = engineWith();
+  await run(engine, [frame()]);
+  assert.equal(engine.getActive().faceAbsent, true);
+  engine.closeAll(500);
+  assert.equal(engine.getActive().faceAbsent, false);
+  assert.equal(engine.getEvents()[0].endedAt, 500);
+});
+
+test('third-party detectors register their own violation types', async () => {
+  const engine = engineWith();
+  const unregister = engine.registerDetector({
+    id: 'lighting',
+    types: { tooDark: { label: 'Too Dark' } },
+    detect: ({ source }) => ({ violations: { tooDark: { active: Boolean(source.dark), confidence: 0.9 } } })
+  });
+  assert.throws(() => engine.registerDetector({ id: 'lighting', types: {} }), /already registered/);
+  assert.equal(engine.getViolationTypes().tooDark.detector, 'lighting');
+
+  await run(engine, [{ ...frame(face()), dark: true }, frame(face())]);
+  assert.equal(engine.getStats().tooDark, 1);
+  unregister();
+  assert.equal(engine.getViolationTypes().tooDark, undefined);
+});
+
+test('instant types bypass smoothing', () => {
+  let report;
+  const engine = createProctoringEngine({
+    inference: fakeInference,
+    detectors: [{
+      id: 'page',
+      types: { pasted: { label: 'Pasted', instant: true }, hidden: { label: 'Hidden' } },
+      watch: (next) => { report = next; return () => {}; }
+    }],
+    smoothing: { default: { minOnMs: 1000, cooldownMs: 5000 } }
+  });
+  engine.startWatching();
+  for (const now of [100, 200]) {
+    report('pasted', { active: true, confidence: 1 }, now);
+    report('pasted', { active: false }, now);
+    report('hidden', { active: true, confidence: 1 }, now);
+    report('hidden', { active: false }, now);
+  }
+
+  assert.equal(engine.getStats().pasted, 2);
+  assert.equal(engine.getStats().hidden, 0);
+  assert.deepEqual(engine.getEvents().map(event => event.durationMs), [0, 0]);
+  const { types } = createBrowserDetector();
+  assert.deepEqual(Object.keys(types).filter(type => types[type].instant), ['clipboardUsed', 'contextMenu', 'displayChanged', 'reloadAttempt']);
+});
+
+test('an identity mismatch ends while no face is seen and reopens when the stranger returns', async () => {
+  // The fake embedder's descriptor is whoever the frame says is on camera
+  const embedder = { embed: async source => ({ descriptor: source.who, crop: null }) };
+  const engine = engineWith();
+  engine.registerDetector(createIdentityDetector({ getEmbedder: () => embedder, enrollSamples: 1, intervalMs: 0 }));
+  const person = who => ({ ...frame(face()), who });
+  const [ada, mallory] = [[0, 0], [1, 1]];
+  await run(engine, [person(ada), person(mallory), person(mallory), frame(), frame(), frame(), person(mallory), person(ada)]);
+
+  const spans = type => engine.getEvents().filter(event => event.type === type).map(event => [event.startedAt, event.endedAt]);
+  assert.deepEqual(spans('identityMismatch'), [[200, 300], [600, 700]]);
+  assert.deepEqual(spans('faceAbsent'), [[300, 600]]);
+});
+
+test('reset clears counts, the log and detector state', async () => {
+  const engine = engineWith();
+  let resets = 0;
+  engine.on('reset', () => resets++);
+  await run(engine, [frame(), frame(face())]);
+  engine.reset();
+  assert.deepEqual(engine.getEvents(), []);
+  assert.equal(engine.getStats().faceAbsent, 0);
+  assert.equal(resets, 1);
+});
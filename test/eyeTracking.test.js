@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LEFT_EYE, RIGHT_EYE, eyeAspectRatio, computeEyeAspectRatios, createBlinkTracker } from '../src/utils/eyeTracking.js';
+
+// Both eyes 30 px wide, with the lids `gap` px apart; returns FaceMesh-indexed keypoints
+const eyes = (gap, rightGap = gap) => {
+  const keypoints = [];
+  const eye = ([p1, p2, p3, p4, p5, p6], left, lidGap) => {
+    keypoints[p1] = { x: left, y: 200 };
+    keypoints[p4] = { x: left + 30, y: 200 };
+    keypoints[p2] = { x: left + 10, y: 200 - lidGap / 2 };
+    keypoints[p3] = { x: left + 20, y: 200 - lidGap / 2 };
+    keypoints[p6] = { x: left + 10, y: 200 + lidGap / 2 };
+    keypoints[p5] = { x: left + 20, y: 200 + lidGap / 2 };
+  };
+  eye(RIGHT_EYE, 270, rightGap);
+  eye(LEFT_EYE, 340, gap);
+  return keypoints;
+};
+const OPEN = computeEyeAspectRatios(eyes(10));
+const CLOSED = computeEyeAspectRatios(eyes(1));
+
+test('EAR is the lid gap over the eye width', () => {
+  assert.ok(Math.abs(eyeAspectRatio(eyes(10), LEFT_EYE) - 1 / 3) < 1e-9);
+  assert.ok(Math.abs(eyeAspectRatio(eyes(1), RIGHT_EYE) - 1 / 30) < 1e-9);
+
+  const winking = computeEyeAspectRatios(eyes(10, 1));
+  assert.ok(Math.abs(winking.average - (1 / 3 + 1 / 30) / 2) < 1e-9);
+  assert.ok(winking.left > winking.right);
+});
+
+test('EAR is null without every keypoint of both eyes', () => {
+  const keypoints = eyes(10);
+  delete keypoints[LEFT_EYE[2]];
+  assert.equal(eyeAspectRatio(keypoints, LEFT_EYE), null);
+  assert.equal(computeEyeAspectRatios(keypoints), null);
+  // Every point in one place: the eye has no width
+  assert.equal(eyeAspectRatio(eyes(10).map(() => ({ x: 0, y: 0 })), RIGHT_EYE), null);
+});
+
+// Feeds `ears` one every 100 ms from `from`
+const feed = (tracker, ears, from = 0) => ears.forEach((ear, i) => tracker.update(ear, from + i * 100));
+
+test('a short closure is a blink', () => {
+  const tracker = createBlinkTracker({ threshold: 0.2, drowsyFrames: 5 });
+  feed(tracker, [OPEN, CLOSED, CLOSED]);
+  const closed = tracker.update(CLOSED, 300);
+  assert.equal(closed.closed, true);
+  assert.equal(closed.drowsy, false);
+  assert.equal(closed.closedMs, 200);
+
+  const reopened = tracker.update(OPEN, 400);
+  assert.equal(reopened.blink, true);
+  assert.equal(reopened.closed, false);
+  assert.equal(reopened.blinkCount, 1);
+  assert.equal(reopened.longestClosureMs, 200);
+});
+
+test('a long closure is drowsiness, not a blink', () => {
+  const tracker = createBlinkTracker({ threshold: 0.2, drowsyFrames: 5 });
+  const states = [OPEN, ...Array(6).fill(CLOSED)].map((ear, i) => tracker.update(ear, i * 100));
+  assert.deepEqual(states.map(state => state.drowsy), [false, false, false, false, false, true, true]);
+  assert.equal(states.at(-1).closedMs, 500);
+
+  const reopened = tracker.update(OPEN, 700);
+  assert.equal(reopened.blink, false);
+  assert.equal(reopened.drowsy, false);
+  assert.equal(reopened.blinkCount, 0);
+  assert.equal(reopened.longestClosureMs, 500);
+});
+
+test('losing the face drops a closure without counting it', () => {
+  const tracker = createBlinkTracker({ threshold: 0.2, drowsyFrames: 5 });
+  feed(tracker, [OPEN, CLOSED, CLOSED, null, OPEN]);
+  assert.equal(tracker.update(OPEN, 500).blinkCount, 0);
+});
+
+test('the blink rate is per minute over the last minute', () => {
+  const tracker = createBlinkTracker({ threshold: 0.2, drowsyFrames: 5 });
+  // A blink every 3 s for 30 s: 10 blinks in half a minute
+  for (let t = 0; t < 30000; t += 3000) feed(tracker, [OPEN, CLOSED, OPEN], t);
+  assert.equal(tracker.update(OPEN, 30000).blinkRate, 20);
+  // A minute later they have all aged out
+  assert.equal(tracker.update(OPEN, 90000).blinkRate, 0);
+
+  tracker.reset();
+  assert.equal(tracker.update(OPEN, 100000).blinkCount, 0);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateHeadPose, estimateGaze, estimateAttention, computeAttentionBaseline } from '../src/utils/headPose.js';
+
+// A rigid face in its own frame: x towards the candidate's left, y down, z away from
+// the camera, as in MediaPipe's keypoints. Indices are the FaceMesh landmarks read.
+const FACE = {
+  10: [0, -0.6, 0], 152: [0, 0.6, 0],
+  33: [-0.45, -0.2, 0.1], 133: [-0.15, -0.2, 0.05], 362: [0.15, -0.2, 0.05], 263: [0.45, -0.2, 0.1],
+  159: [-0.3, -0.26, 0.05], 145: [-0.3, -0.14, 0.05], 386: [0.3, -0.26, 0.05], 374: [0.3, -0.14, 0.05],
+  468: [-0.3, -0.2, 0.05], 473: [0.3, -0.2, 0.05],
+  234: [-0.6, 0, 0.2], 454: [0.6, 0, 0.2]
+};
+const rad = deg => deg * Math.PI / 180;
+
+// Keypoints of the face turned `yaw` degrees to the candidate's left and tilted
+// `pitch` degrees down, in pixels of a 640×480 frame; `iris` moves both irises
+const keypoints = ({ yaw = 0, pitch = 0, iris = [0, 0] } = {}) => {
+  const points = [];
+  Object.entries(FACE).forEach(([index, [x0, y0, z0]]) => {
+    const isIris = index === '468' || index === '473';
+    const [x1, y1] = isIris ? [x0 + iris[0], y0 + iris[1]] : [x0, y0];
+    // Pitch about x, then yaw about y; both carry the forward vector (0, 0, -1)
+    // towards +y and +x
+    const y2 = y1 * Math.cos(rad(pitch)) - z0 * Math.sin(rad(pitch));
+    const z2 = y1 * Math.sin(rad(pitch)) + z0 * Math.cos(rad(pitch));
+    const x3 = x1 * Math.cos(rad(yaw)) - z2 * Math.sin(rad(yaw));
+    const z3 = x1 * Math.sin(rad(yaw)) + z2 * Math.cos(rad(yaw));
+    points[index] = { x: 320 + x3 * 200, y: 240 + y2 * 200, z: z3 * 200 };
+  });
+  return points;
+};
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 0.5, `${message}: ${actual} is not ${expected}`);
+
+test('a face looking at the camera has no yaw, pitch or roll', () => {
+  const pose = estimateHeadPose(keypoints());
+  close(pose.yaw, 0, 'yaw');
+  close(pose.pitch, 0, 'pitch');
+  close(pose.roll, 0, 'roll');
+});
+
+test('yaw is positive to the candidate\'s left, pitch positive looking down', () => {
+  close(estimateHeadPose(keypoints({ yaw: 20 })).yaw, 20, 'left');
+  close(estimateHeadPose(keypoints({ yaw: -20 })).yaw, -20, 'right');
+  close(estimateHeadPose(keypoints({ pitch: 20 })).pitch, 20, 'down');
+  close(estimateHeadPose(keypoints({ pitch: -20 })).pitch, -20, 'up');
+});
+
+test('turning or nodding past the limits reports the direction looked', () => {
+  const direction = pose => estimateAttention(keypoints(pose)).direction;
+  assert.equal(direction({}), null);
+  assert.equal(direction({ yaw: 40 }), 'left');
+  assert.equal(direction({ yaw: -40 }), 'right');
+  assert.equal(direction({ pitch: 30 }), 'down');
+  assert.equal(direction({ pitch: -25 }), 'up');
+});
+
+test('looking down and up use their own limits', () => {
+  // maxPitchDown is 20 and maxPitchUp 15 by default
+  assert.equal(estimateAttention(keypoints({ pitch: 17 })).away, false);
+  assert.equal(estimateAttention(keypoints({ pitch: -17 })).direction, 'up');
+});
+
+test('iris offsets give the gaze direction', () => {
+  assert.ok(Math.abs(estimateGaze(keypoints()).x) < 0.01);
+  assert.ok(estimateGaze(keypoints({ iris: [0.1, 0] })).x > 0);
+  const attention = estimateAttention(keypoints({ iris: [0.1, 0] }));
+  assert.equal(attention.direction, 'left');
+  assert.equal(attention.source, 'gaze');
+  assert.equal(estimateAttention(keypoints({ iris: [-0.1, 0] })).direction, 'right');
+});
+
+test('with a baseline, angles are measured from the calibrated pose', () => {
+  const frame = { width: 640, height: 480 };
+  const baseline = computeAttentionBaseline([keypoints({ pitch: 15 }), keypoints({ pitch: 16 }), keypoints({ pitch: 14 })], frame);
+  close(baseline.pose.pitch, 15, 'baseline pitch');
+  assert.equal(estimateAttention(keypoints({ pitch: 30 }), undefined, { baseline, frame }).away, false);
+  assert.equal(estimateAttention(keypoints({ pitch: -5 }), undefined, { baseline, frame }).direction, 'up');
+});
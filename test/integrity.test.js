@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeIntegrity, integrityLevel, integrityTrend, durationFactor, lengthFactor } from '../src/utils/integrity.js';
+import { STANDARD_POLICY } from '../src/utils/policy.js';
+
+const MINUTE = 60 * 1000;
+const risk = STANDARD_POLICY.risk;
+const event = (type, startedAt, durationMs, peakConfidence = 1) =>
+  ({ id: `${type}-${startedAt}`, type, startedAt, endedAt: startedAt + durationMs, durationMs, peakConfidence });
+
+test('a clean session scores 100', () => {
+  const integrity = computeIntegrity([], { startedAt: 0, now: 30 * MINUTE, risk });
+  assert.equal(integrity.score, 100);
+  assert.equal(integrity.level, 'Normal');
+  assert.deepEqual(integrity.items, []);
+});
+
+test('points follow weight × confidence × duration × session length', () => {
+  const integrity = computeIntegrity([event('phoneDetected', MINUTE, 15000, 0.5)], { startedAt: 0, now: 30 * MINUTE, risk });
+  // 4 base points × weight 3 × 0.5 confidence × 2 (15 s) × 1 (30 min session)
+  assert.equal(integrity.penalty, 12);
+  assert.equal(integrity.score, 88);
+  assert.equal(integrity.byType.phoneDetected, 12);
+  assert.equal(integrity.level, 'Low Risk');
+});
+
+test('the same incident costs more in a shorter session, down to 5 minutes', () => {
+  const incident = [event('tabHidden', 0, 1000)];
+  const long = computeIntegrity(incident, { startedAt: 0, now: 120 * MINUTE, risk });
+  const short = computeIntegrity(incident, { startedAt: 0, now: 5 * MINUTE, risk });
+  const shorter = computeIntegrity(incident, { startedAt: 0, now: MINUTE, risk });
+  assert.ok(short.penalty > long.penalty);
+  assert.equal(shorter.penalty, short.penalty);
+  assert.equal(lengthFactor(30 * MINUTE), 1);
+});
+
+test('open events count up to now; later ones not at all', () => {
+  const open = { id: 'a', type: 'faceAbsent', startedAt: 0, endedAt: null, durationMs: null, peakConfidence: 1 };
+  const integrity = computeIntegrity([open, event('faceAbsent', 20000, 1000)], { startedAt: 0, now: 15000, risk });
+  assert.equal(integrity.items.length, 1);
+  assert.equal(integrity.items[0].durationMs, 15000);
+  assert.equal(durationFactor(0), 1);
+  assert.equal(durationFactor(15000), 2);
+  assert.equal(durationFactor(45000), 3);
+});
+
+test('levels apply below their thresholds and the score never goes negative', () => {
+  assert.equal(integrityLevel(95, risk.levels), 'Normal');
+  assert.equal(integrityLevel(89.9, risk.levels), 'Low Risk');
+  assert.equal(integrityLevel(50, risk.levels), 'High Risk');
+  assert.equal(integrityLevel(10, risk.levels), 'Critical');
+  const events = Array.from({ length: 40 }, (_, i) => event('identityMismatch', i * 1000, 60000));
+  assert.equal(computeIntegrity(events, { startedAt: 0, now: 10 * MINUTE, risk }).score, 0);
+});
+
+test('the trend falls as events happen', () => {
+  const trend = integrityTrend([event('phoneDetected', 20 * MINUTE, 5000)], { startedAt: 0, now: 30 * MINUTE, risk, samples: 3 });
+  assert.deepEqual(trend.map(sample => sample.t), [10 * MINUTE, 20 * MINUTE, 30 * MINUTE]);
+  assert.equal(trend[0].score, 100);
+  assert.ok(trend[2].score < 100);
+});
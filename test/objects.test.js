@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createObjectDetector } from '../src/engine/index.js';
+
+// A 640×480 frame with the candidate's face in the middle; boxes are [x, y, width, height]
+const FACE = { x: 270, y: 140, width: 100, height: 120 };
+const frame = (...objects) => ({ width: 640, height: 480, faces: [FACE], objects });
+const object = (cls, confidence, bbox = [300, 300, 60, 100]) => ({ class: cls, confidence, bbox });
+
+test('a mapped class opens its violation with the strongest detection', () => {
+  const detector = createObjectDetector();
+  const { violations } = detector.detect(frame(object('cell phone', 0.55), object('cell phone', 0.8), object('cup', 0.99)));
+
+  assert.equal(violations.phoneDetected.active, true);
+  assert.equal(violations.phoneDetected.confidence, 0.8);
+  assert.equal(violations.phoneDetected.data.objects.length, 2);
+  assert.equal(violations.notesDetected.active, false);
+  assert.deepEqual(Object.keys(detector.types), ['phoneDetected', 'notesDetected', 'secondaryScreen', 'additionalPerson', 'electronicDevice']);
+});
+
+test('a custom mapping raises its own types', () => {
+  const detector = createObjectDetector({ violations: { drinkDetected: { label: 'Drink', classes: ['cup', 'bottle'] } } });
+  assert.deepEqual(detector.types, { drinkDetected: { label: 'Drink' } });
+  assert.equal(detector.detect(frame(object('bottle', 0.7))).violations.drinkDetected.active, true);
+  assert.equal(detector.detect(frame(object('cell phone', 0.9))).violations.phoneDetected, undefined);
+});
+
+test('detections below the threshold are ignored, the most specific threshold winning', () => {
+  const detector = createObjectDetector({ minConfidence: 0.5, classes: { book: { minConfidence: 0.8 } } });
+  const active = (...objects) => detector.detect(frame(...objects)).violations;
+
+  assert.equal(active(object('cell phone', 0.45)).phoneDetected.active, false);
+  assert.equal(active(object('cell phone', 0.5)).phoneDetected.active, true);
+  assert.equal(active(object('book', 0.7)).notesDetected.active, false);
+  assert.equal(active(object('book', 0.85)).notesDetected.active, true);
+  // The rule's own 0.6 beats the detector-wide 0.5
+  assert.equal(active(object('person', 0.55), object('person', 0.9)).additionalPerson.active, false);
+});
+
+test('boxes smaller than minArea are ignored', () => {
+  const detector = createObjectDetector({ minArea: 0.005 });
+  const active = bbox => detector.detect(frame(object('cell phone', 0.9, bbox))).violations.phoneDetected.active;
+
+  assert.equal(active([300, 300, 30, 40]), false);  // 0.4% of the frame
+  assert.equal(active([300, 300, 40, 40]), true);   // 0.52%
+  // secondaryScreen's own minArea of 1% applies to laptops
+  const laptop = bbox => detector.detect(frame(object('laptop', 0.9, bbox))).violations.secondaryScreen.active;
+  assert.equal(laptop([0, 0, 50, 50]), false);
+  assert.equal(laptop([0, 0, 60, 60]), true);
+});
+
+test('with an ROI, detections outside the region and away from the face are ignored', () => {
+  const detector = createObjectDetector({ roi: { region: [0, 0.5, 1, 0.5], nearFace: 1 } });
+  const active = bbox => detector.detect(frame(object('cell phone', 0.9, bbox))).violations.phoneDetected.active;
+
+  assert.deepEqual(detector.requires, ['objects', 'faces']);
+  assert.equal(active([560, 20, 40, 60]), false);   // top right corner
+  assert.equal(active([560, 300, 40, 60]), true);   // lower half
+  assert.equal(active([180, 150, 40, 60]), true);   // within a face width of the face
+  assert.equal(active([120, 150, 40, 60]), false);  // further out
+  // Without a face only the region counts
+  assert.equal(detector.detect({ ...frame(object('cell phone', 0.9, [180, 150, 40, 60])), faces: [] }).violations.phoneDetected.active, false);
+  // additionalPerson looks at the whole frame
+  const people = detector.detect(frame(object('person', 0.9, [270, 100, 100, 300]), object('person', 0.9, [560, 0, 60, 100])));
+  assert.equal(people.violations.additionalPerson.active, true);
+});
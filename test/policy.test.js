@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STANDARD_POLICY, BUILT_IN_POLICIES, validatePolicy, normalizePolicy, parsePolicy, serializePolicy, uniquePolicyId } from '../src/utils/policy.js';
+
+const minimal = { schema: 'proctoring-policy', version: 2, id: 'custom', name: 'Custom', detectors: { faceAbsent: {} }, risk: { levels: STANDARD_POLICY.risk.levels } };
+
+test('the built-in profiles are valid', () => {
+  BUILT_IN_POLICIES.forEach(policy => assert.deepEqual(validatePolicy(policy), [], policy.id));
+});
+
+test('validation reports every problem with its path', () => {
+  const errors = validatePolicy({
+    ...minimal,
+    sampleIntervalMs: 10,
+    detectors: { faceAbsent: { enabled: 'yes' }, teleport: {}, focus: { limits: { maxYaw: 120 } } },
+    risk: { levels: { ...STANDARD_POLICY.risk.levels, Critical: 95 } },
+    smoothing: { default: { minOnMs: -1, speed: 2 } }
+  });
+  assert.ok(errors.includes('detectors.teleport is not a built-in detector'));
+  assert.ok(errors.includes('detectors.faceAbsent.enabled must be true or false'));
+  assert.ok(errors.some(error => error.startsWith('sampleIntervalMs')));
+  assert.ok(errors.some(error => error.startsWith('detectors.focus.limits.maxYaw')));
+  assert.ok(errors.includes('risk.levels must not increase from Low Risk to Critical'));
+  assert.ok(errors.some(error => error.startsWith('smoothing.default.minOnMs')));
+  assert.ok(errors.includes('smoothing.default.speed is not a smoothing setting'));
+});
+
+test('focus limits are checked against their own units', () => {
+  const errorsFor = limits => validatePolicy({ ...minimal, detectors: { focus: { limits } } });
+  assert.deepEqual(errorsFor({ maxYaw: 45, maxGazeX: 0.3, maxShift: 1.5 }), []);
+  assert.deepEqual(errorsFor({ maxGazeX: 45 }), ['detectors.focus.limits.maxGazeX must be a number from 0 to 1']);
+  assert.deepEqual(errorsFor({ maxGazeY: -0.1 }), ['detectors.focus.limits.maxGazeY must be a number from 0 to 1']);
+  assert.deepEqual(errorsFor({ maxShift: 20 }), ['detectors.focus.limits.maxShift must be a number from 0 to 5']);
+});
+
+test('normalizing fills in defaults and switches off unlisted detectors', () => {
+  const policy = normalizePolicy(minimal);
+  assert.equal(policy.detectors.faceAbsent.enabled, true);
+  assert.equal(policy.detectors.objects.enabled, false);
+  assert.deepEqual(policy.detectors.focus.limits, STANDARD_POLICY.detectors.focus.limits);
+  assert.equal(policy.sampleIntervalMs, STANDARD_POLICY.sampleIntervalMs);
+  assert.deepEqual(policy.smoothing.types, STANDARD_POLICY.smoothing.types);
+  assert.throws(() => normalizePolicy({ ...minimal, risk: null }), /risk must be an object/);
+});
+
+test('version 1 profiles migrate to score levels and keep their weights', () => {
+  const policy = normalizePolicy({ ...minimal, version: 1, risk: { thresholds: { high: 5 }, weights: { tabHidden: 4 } } });
+  assert.equal(policy.version, 2);
+  assert.equal(policy.risk.weights.tabHidden, 4);
+  assert.equal(typeof policy.risk.levels.Critical, 'number');
+});
+
+test('profiles round-trip through JSON', () => {
+  assert.deepEqual(parsePolicy(serializePolicy(STANDARD_POLICY)), normalizePolicy(STANDARD_POLICY));
+  assert.throws(() => parsePolicy('{'), /not valid JSON/);
+});
+
+test('ids for copies never collide', () => {
+  assert.notEqual(uniquePolicyId('Standard exam', BUILT_IN_POLICIES), 'standard');
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pairReferenceFiles, compareReports, referenceFileName } from '../src/utils/regression.js';
+import { buildReport } from '../src/utils/report.js';
+import { computeIntegrity } from '../src/utils/integrity.js';
+import { STANDARD_POLICY, BUILT_IN_POLICIES } from '../src/utils/policy.js';
+
+const labels = { phoneDetected: 'Phone Detected', focusLost: 'Focus Lost' };
+
+// A report of an analysis started at `base`: ids and wall-clock times differ per run
+const analysis = (base, violations, { policy = STANDARD_POLICY, sampleRate = 2 } = {}) => {
+  const session = { id: `run-${base}`, startedAt: base, endedAt: base + 60000, policy, source: { kind: 'file', name: 'clip.webm', size: 1000, sampleRate } };
+  const events = violations.map(([type, offsetMs, durationMs, peakConfidence = 0.9], index) => ({
+    id: `${base}-${index}`, type, startedAt: base + offsetMs, endedAt: base + offsetMs + durationMs, durationMs, peakConfidence, data: null
+  }));
+  const stats = { phoneDetected: 0, focusLost: 0 };
+  events.forEach(event => { stats[event.type] += 1; });
+  const integrity = computeIntegrity(events, { startedAt: base, now: session.endedAt, risk: policy.risk });
+  return buildReport({ session, candidate: {}, stats, events, integrity, labels, now: session.endedAt });
+};
+
+const reference = [['focusLost', 5000, 3000], ['phoneDetected', 20000, 4000, 0.82]];
+
+test('clips are paired with their reference reports', () => {
+  const file = (name, type = '') => ({ name, type, webkitRelativePath: `refs/${name}` });
+  const pairs = pairReferenceFiles([
+    file('b.mp4', 'video/mp4'), file('b.json'),
+    file('a.webm'), file('a.webm.json'),
+    file('new.mov'), file('notes.txt')
+  ]);
+  assert.deepEqual(pairs.map(pair => [pair.path, pair.expected?.name ?? null]), [
+    ['refs/a.webm', 'a.webm.json'],
+    ['refs/b.mp4', 'b.json'],
+    ['refs/new.mov', null]
+  ]);
+  assert.equal(referenceFileName(pairs[2].video), 'new.mov.json');
+});
+
+test('runs at different times with the same results match', () => {
+  assert.deepEqual(compareReports(analysis(1000, reference), analysis(987654321, reference)), []);
+  const jitter = [['focusLost', 5000, 3000], ['phoneDetected', 20000, 4000, 0.8204]];
+  assert.deepEqual(compareReports(analysis(1000, reference), analysis(2000, jitter)), []);
+});
+
+test('changed, new and missing violations are reported', () => {
+  const changed = [['focusLost', 5000, 3500], ['phoneDetected', 20000, 4000, 0.6], ['phoneDetected', 40000, 1000]];
+  const differences = compareReports(analysis(1000, reference), analysis(2000, changed));
+  assert.ok(differences.includes('focusLost at 00:05.0, duration: expected 3000, got 3500'));
+  assert.ok(differences.includes('phoneDetected at 00:20.0, peak confidence: expected 0.82, got 0.6'));
+  assert.ok(differences.includes('new phoneDetected at 00:40.0'));
+  assert.ok(differences.includes('violations: expected 2, got 3'));
+
+  const missing = compareReports(analysis(1000, reference), analysis(2000, reference.slice(0, 1)));
+  assert.ok(missing.includes('missing phoneDetected at 00:20.0'));
+});
+
+test('a different profile or sample rate makes runs incomparable', () => {
+  const differences = compareReports(analysis(1000, reference), analysis(1000, reference, { policy: BUILT_IN_POLICIES.find(p => p.id === 'strict'), sampleRate: 5 }));
+  assert.ok(differences.some(difference => difference.startsWith('profile:')));
+  assert.ok(differences.includes('sample rate: expected 2, got 5'));
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport, reportToCsv, REPORT_SCHEMA, REPORT_SCHEMA_VERSION } from '../src/utils/report.js';
+import { computeIntegrity } from '../src/utils/integrity.js';
+import { STANDARD_POLICY } from '../src/utils/policy.js';
+
+const startedAt = Date.UTC(2026, 0, 5, 9, 0, 0);
+const session = { id: 'session-1', startedAt, endedAt: startedAt + 10 * 60 * 1000, policy: STANDARD_POLICY };
+const events = [
+  { id: 'e1', type: 'phoneDetected', startedAt: startedAt + 60000, endedAt: startedAt + 65000, durationMs: 5000, peakConfidence: 0.9, data: { objects: [] } },
+  { id: 'e2', type: 'focusLost', startedAt: startedAt + 120000, endedAt: startedAt + 123000, durationMs: 3000, peakConfidence: null, data: { direction: 'left', note: 'said "hi", then left' } }
+];
+const stats = { phoneDetected: 1, focusLost: 1, faceAbsent: 0 };
+const labels = { phoneDetected: 'Phone Detected', focusLost: 'Focus Lost', faceAbsent: 'Face Absent' };
+const integrity = computeIntegrity(events, { startedAt, now: session.endedAt, risk: STANDARD_POLICY.risk });
+
+const build = () => buildReport({
+  session, candidate: { name: 'Ada Lovelace', id: 'C-1042' }, stats, events, integrity, labels,
+  snapshots: { e1: { capturedAt: startedAt + 60500, mimeType: 'image/jpeg', dataUrl: 'data:image/jpeg;base64,AAAA' } },
+  now: session.endedAt
+});
+
+test('the report carries the schema, summary and every violation', () => {
+  const report = build();
+  assert.equal(report.schema, REPORT_SCHEMA);
+  assert.equal(report.schemaVersion, REPORT_SCHEMA_VERSION);
+  assert.equal(report.session.durationMs, 10 * 60 * 1000);
+  assert.equal(report.summary.totalViolations, 2);
+  assert.equal(report.summary.integrityScore, integrity.score);
+  assert.equal(report.summary.riskLevel, integrity.level);
+  // Deprecated, but 1.x importers still get it
+  const { weights } = STANDARD_POLICY.risk;
+  assert.equal(report.summary.riskScore, (weights.phoneDetected ?? 1) + (weights.focusLost ?? 1));
+  assert.deepEqual(report.detections.faceAbsent, { label: 'Face Absent', count: 0, totalDurationMs: 0, points: 0 });
+  assert.equal(report.violations[0].offsetMs, 60000);
+  assert.equal(report.violations[0].snapshot.mimeType, 'image/jpeg');
+  assert.equal(report.violations[1].snapshot, null);
+  assert.equal(report.violations[1].startedAt, '2026-01-05T09:02:00.000Z');
+});
+
+test('CSV has one row per violation, quoted where needed', () => {
+  const lines = reportToCsv(build()).split('\r\n');
+  assert.equal(lines.length, 3);
+  assert.ok(lines[0].startsWith('session_id,candidate_id,candidate_name,event_id,type'));
+  assert.ok(lines[1].startsWith('session-1,C-1042,Ada Lovelace,e1,phoneDetected,Phone Detected,'));
+  assert.ok(lines[2].includes('"{""direction"":""left"",""note"":""said \\""hi\\"", then left""}"'));
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHysteresis, smoothingFor, DEFAULT_SMOOTHING } from '../src/engine/smoothing.js';
+
+const on = (confidence = 1) => ({ active: true, confidence });
+const off = { active: false };
+
+test('with the defaults every report passes straight through', () => {
+  const filter = createHysteresis();
+  assert.deepEqual(filter.update(on(0.7), 0), { active: true, confidence: 0.7, data: null, at: 0 });
+  assert.equal(filter.update(off, 100).active, false);
+  assert.equal(filter.isPending(), false);
+});
+
+test('minOnMs waits out the streak and backdates the start', () => {
+  const filter = createHysteresis({ minOnMs: 300 });
+  assert.equal(filter.update(on(), 0).active, false);
+  assert.equal(filter.isPending(), true);
+  assert.equal(filter.update(on(), 200).active, false);
+  assert.deepEqual(filter.update(on(), 300), { active: true, confidence: 1, data: null, at: 0 });
+});
+
+test('minOnMs drops streaks that break early', () => {
+  const filter = createHysteresis({ minOnMs: 300 });
+  filter.update(on(), 0);
+  filter.update(off, 200);
+  assert.equal(filter.update(on(), 400).active, false);
+  assert.equal(filter.update(on(), 600).active, false);
+  assert.equal(filter.update(on(), 700).at, 400);
+});
+
+test('minOffMs bridges short gaps and ends the event when the gap began', () => {
+  const filter = createHysteresis({ minOffMs: 500 });
+  filter.update(on(), 0);
+  assert.equal(filter.update(off, 100).active, true);
+  assert.equal(filter.update(on(), 300).active, true);
+  filter.update(off, 400);
+  assert.equal(filter.isPending(), true);
+  assert.deepEqual(filter.settle(900), { active: false, at: 400 });
+});
+
+test('averageMs averages confidence over the window, inactive reports as 0', () => {
+  const filter = createHysteresis({ averageMs: 1000, minOffMs: 1000 });
+  filter.update(on(1), 0);
+  filter.update(off, 100);
+  assert.equal(filter.update(on(0.5), 200).confidence, 0.5);
+});
+
+test('smoothingFor layers per-type settings over the default', () => {
+  const smoothing = { default: { minOnMs: 100, cooldownMs: 50 }, types: { phoneDetected: { minOnMs: 1000 } } };
+  assert.deepEqual(smoothingFor(smoothing, 'phoneDetected'), { ...DEFAULT_SMOOTHING, minOnMs: 1000, cooldownMs: 50 });
+  assert.deepEqual(smoothingFor(smoothing, 'faceAbsent'), { ...DEFAULT_SMOOTHING, minOnMs: 100, cooldownMs: 50 });
+  assert.deepEqual(smoothingFor(null, 'faceAbsent'), DEFAULT_SMOOTHING);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmsDb, speechBandRatio, estimatePitch, createVoiceActivityDetector, separateVoices } from '../src/utils/voiceActivity.js';
+
+const SAMPLE_RATE = 16000;
+const FRAME = 2048;
+
+// A voiced frame: a fundamental with two weaker harmonics, as a vowel roughly looks
+const voice = (hz, amplitude = 0.3) => Float32Array.from({ length: FRAME }, (_, i) => {
+  const t = i / SAMPLE_RATE;
+  return amplitude * (Math.sin(2 * Math.PI * hz * t) + 0.5 * Math.sin(4 * Math.PI * hz * t) + 0.25 * Math.sin(6 * Math.PI * hz * t)) / 1.75;
+});
+
+// Deterministic white noise
+const noise = (amplitude, seed = 1) => {
+  let state = seed;
+  return Float32Array.from({ length: FRAME }, () => {
+    state = (state * 1103515245 + 12345) % 2 ** 31;
+    return amplitude * (state / 2 ** 30 - 1);
+  });
+};
+
+// AnalyserNode-style spectrum in dB, loud between `fromHz` and `toHz`
+const spectrum = (fromHz, toHz, bins = 1024) => Float32Array.from({ length: bins }, (_, i) => {
+  const hz = (i * SAMPLE_RATE) / 2 / bins;
+  return hz >= fromHz && hz <= toHz ? -30 : -90;
+});
+
+test('level is in dBFS and bottoms out at silence', () => {
+  assert.equal(rmsDb(new Float32Array(FRAME)), -100);
+  assert.ok(Math.abs(rmsDb(new Float32Array(FRAME).fill(0.1)) - -20) < 0.01);
+});
+
+test('speech band ratio separates voice-band energy from rumble and hiss', () => {
+  assert.ok(speechBandRatio(spectrum(300, 3400), SAMPLE_RATE) > 0.9);
+  assert.ok(speechBandRatio(spectrum(4000, 8000), SAMPLE_RATE) < 0.1);
+});
+
+test('pitch is found in voiced frames and not in noise or silence', () => {
+  for (const hz of [110, 200, 320]) {
+    const pitch = estimatePitch(voice(hz), SAMPLE_RATE);
+    assert.ok(Math.abs(pitch - hz) / hz < 0.03, `${pitch} for ${hz} Hz`);
+  }
+  assert.equal(estimatePitch(noise(0.3), SAMPLE_RATE), null);
+  assert.equal(estimatePitch(new Float32Array(FRAME), SAMPLE_RATE), null);
+});
+
+test('speech stands out from the noise floor; steady loud noise does not', () => {
+  const detector = createVoiceActivityDetector();
+  const quiet = { timeData: noise(0.001), spectrumDb: spectrum(4000, 8000), sampleRate: SAMPLE_RATE };
+  const speaking = { timeData: voice(150), spectrumDb: spectrum(300, 3400), sampleRate: SAMPLE_RATE };
+  const hum = { timeData: noise(0.05, 7), spectrumDb: spectrum(4000, 8000), sampleRate: SAMPLE_RATE };
+
+  assert.equal(detector.classify(quiet).speech, false);
+  const frame = detector.classify(speaking);
+  assert.equal(frame.speech, true);
+  assert.ok(Math.abs(frame.pitch - 150) < 5);
+  const loud = detector.classify(hum);
+  assert.equal(loud.speech, false);
+  assert.equal(loud.noise, true);
+});
+
+test('two voices far apart in pitch are told apart; one voice is not', () => {
+  const low = [110, 115, 118, 112, 120, 108, 116, 114];
+  const high = [210, 220, 205, 215, 225, 212, 208, 218];
+  const voices = separateVoices([...low, ...high], { minSamples: 5, minSeparation: 5 });
+  assert.ok(voices.low < 121 && voices.high > 204);
+  assert.ok(voices.separation > 5);
+
+  // One speaker's intonation: an even glide over the same range
+  const glide = Array.from({ length: 16 }, (_, i) => 110 * 2 ** (i / 16));
+  assert.equal(separateVoices(glide, { minSamples: 5, minSeparation: 5 }), null);
+  assert.equal(separateVoices(low, { minSamples: 5, minSeparation: 5 }), null);
+});
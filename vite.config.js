@@ -2,7 +2,32 @@ import { defineConfig } from 'vite'
 import tailwindcss from '@tailwindcss/vite'
 import react from '@vitejs/plugin-react'
 
+const backendProxy = {
+  '/api': 'http://localhost:8787',
+  '/relay': { target: 'ws://localhost:8787', ws: true },
+}
+
 // https://vite.dev/config/
 export default defineConfig({
+  // Relative asset URLs, so the embed files work wherever the build is hosted
+  base: './',
   plugins: [react(),tailwindcss()],
+  // The session backend and live relay in server/ (npm run server); builds point
+  // VITE_SESSION_API and VITE_RELAY_URL at it
+  server: { proxy: backendProxy },
+  preview: { proxy: backendProxy },
+  build: {
+    rollupOptions: {
+      input: {
+        main: 'index.html',
+        embed: 'embed.html',
+        reviewer: 'reviewer.html',
+        // <proctor-monitor>, loaded by host pages as dist/proctor-monitor.js
+        'proctor-monitor': 'src/embed/element.jsx',
+      },
+      output: {
+        entryFileNames: chunk => (chunk.name === 'proctor-monitor' ? '[name].js' : 'assets/[name]-[hash].js'),
+      },
+    },
+  },
 })